@@ -12,36 +12,418 @@ easy-to-understand frame of reference for moving objects. It also uses 2-dimensi
 Tested using Creative Cloud 2017
 
 Some issues include:
-- Grouping and ungrouping sometimes fill in fully enclosed holes in shapes
-- Color functions only consider fill color and have little error checking for objects without fill colors
-- Very little error checking for locked objects and layers, or for making sure an object type is the right type
+- Converting a gradient stop adds a copy of the gradient swatch for the converted objects, which can leave unused gradients in the swatches
+- Locked and hidden objects are skipped unless a function's unlock/unhide options are used
+- Very little error checking for making sure an object type is the right type
 ********/
 
 var CSTasks = (function(){
  
     var CSTasks = {};    
-    
+
+    //works for arrays created by Illustrator or another script engine, where instanceof Array can fail
+    function isArray(value){
+        return Object.prototype.toString.call(value) == "[object Array]";
+    }
+
+    /******************
+    ERRORS AND LOGGING
+    ******************/
+    //Problems are reported as errors with a type from CSTasks.ErrorType and written to the configured loggers.
+    //Problems a function can carry on from (such as a missing font) are logged and, with throwErrors set, thrown;
+    //problems it can't carry on from are always thrown. By default messages go to the console, and warnings and
+    //errors are also shown in an alert. In non-interactive mode (for unattended batch runs) alerts are never shown.
+
+    /**
+     * @description The types of error reported by CSTasks. Each is also the name of the error.
+     */
+    CSTasks.ErrorType = {
+        MISSING_ARTBOARD: "MissingArtboardError",
+        MISSING_FONT: "MissingFontError",
+        INVALID_COLOR: "InvalidColorError",
+        LOCKED_TARGET: "LockedTargetError",
+        INCOMPLETE_COPY: "IncompleteCopyError"
+    };
+
+    var logLevels = {debug: 0, info: 1, warn: 2, error: 3, none: 4};
+
+    var logSettings = {level: "info", loggers: null, interactive: true, throwErrors: false};
+
+    /**
+     * @function createError
+	 * @description Creates an error of one of the types in CSTasks.ErrorType
+	 * @param {String} type The error type, e.g. CSTasks.ErrorType.MISSING_FONT
+	 * @param {String} message The error message
+	 * @param {Object} details Optional values to copy onto the error, e.g. {font: "Helvetica"}
+	 * @return {Error} The error, with name and type set to the error type
+	 */
+    CSTasks.createError = function(type, message, details){
+        var error = new Error(message);
+        error.name = type;
+        error.type = type;
+        for (var key in details){
+            if (details.hasOwnProperty(key)) error[key] = details[key];
+        }
+        return error;
+    };
+
+    /**
+     * @function isError
+	 * @description Returns true if a value is an error of the given type (or of any CSTasks type if no type is given)
+	 * @param value The value to check, such as an error caught with try/catch
+	 * @param {String} type Optional error type from CSTasks.ErrorType
+	 * @return {boolean} True if it is an error of that type
+	 */
+    CSTasks.isError = function(value, type){
+        if (!value || !value.type) return false;
+        if (type) return value.type == type;
+        for (var key in CSTasks.ErrorType){
+            if (CSTasks.ErrorType[key] == value.type) return true;
+        }
+        return false;
+    };
+
+    function formatLogEntry(entry){
+        return "[" + entry.level.toUpperCase() + "] " + entry.message;
+    }
+
+    /**
+     * @function consoleLogger
+	 * @description Returns a logger that writes messages to the JavaScript console with $.writeln
+	 * @return {function} The logger
+	 */
+    CSTasks.consoleLogger = function(){
+        return function(entry){
+            $.writeln(formatLogEntry(entry));
+        };
+    };
+
+    /**
+     * @function fileLogger
+	 * @description Returns a logger that adds each message, with the date and time, to the end of a text file
+	 * @param {File} file The log file. It's created if it doesn't exist.
+	 * @return {function} The logger
+	 */
+    CSTasks.fileLogger = function(file){
+        return function(entry){
+            file.encoding = "UTF-8";
+            if (!file.open("a")) return; //a log that can't be written mustn't stop the script
+            file.write(entry.date.toString() + " " + formatLogEntry(entry) + "\n");
+            file.close();
+        };
+    };
+
+    /**
+     * @function alertLogger
+	 * @description Returns a logger that shows messages in an alert, unless CSTasks is in non-interactive mode
+	 * @param {String} level Optional. The lowest level to show (default "warn")
+	 * @return {function} The logger
+	 */
+    CSTasks.alertLogger = function(level){
+        var minimum = logLevels[level || "warn"];
+        return function(entry){
+            if (logSettings.interactive && logLevels[entry.level] >= minimum) alert(entry.message);
+        };
+    };
+
+    /**
+     * @function configureLogging
+	 * @description Changes how CSTasks reports problems. Settings that aren't given are left as they are.
+	 * @param {Object} options level: the lowest level logged, one of "debug", "info" (default), "warn", "error" or "none";
+	 * loggers: array of loggers, such as those from {@link consoleLogger}, {@link fileLogger} and {@link alertLogger},
+	 * or any function(entry) where entry is {level, message, error, date} (default console and alerts);
+	 * interactive: false to never show alerts and to turn off Illustrator's own dialogs, for unattended runs (default true);
+	 * throwErrors: true to throw errors that would otherwise only be logged (default false)
+	 * @return {Object} The previous settings, which can be passed back to configureLogging to restore them
+	 */
+    CSTasks.configureLogging = function(options){
+        var previous = {level: logSettings.level, loggers: logSettings.loggers, interactive: logSettings.interactive, throwErrors: logSettings.throwErrors};
+        options = options || {};
+        if (options.level !== undefined) {
+            if (!logLevels.hasOwnProperty(options.level)) throw new Error("Unknown log level: " + options.level);
+            logSettings.level = options.level;
+        }
+        if (options.loggers !== undefined) logSettings.loggers = options.loggers;
+        if (options.throwErrors !== undefined) logSettings.throwErrors = options.throwErrors;
+        if (options.interactive !== undefined) {
+            logSettings.interactive = options.interactive;
+            app.userInteractionLevel = options.interactive ? UserInteractionLevel.DISPLAYALERTS : UserInteractionLevel.DONTDISPLAYALERTS;
+        }
+        return previous;
+    };
+
+    /**
+     * @function log
+	 * @description Writes a message to the configured loggers if its level is at or above the logging level
+	 * @param {String} level "debug", "info", "warn" or "error"
+	 * @param {String} message The message
+	 * @param {Error} error Optional error the message is about
+	 */
+    CSTasks.log = function(level, message, error){
+        if (logLevels[level] < logLevels[logSettings.level] || level == "none") return;
+        var loggers = logSettings.loggers || [CSTasks.consoleLogger(), CSTasks.alertLogger()];
+        var entry = {level: level, message: message, error: error || null, date: new Date()};
+        for (var i = 0; i < loggers.length; i++) loggers[i](entry);
+    };
+
+    /**
+     * @function reportError
+	 * @description Logs an error at the "error" level and, if throwErrors is set (see {@link configureLogging}), throws it
+	 * @param {Error} error The error, e.g. from {@link createError}
+	 * @return {Error} The error, if it wasn't thrown
+	 */
+    CSTasks.reportError = function(error){
+        CSTasks.log("error", error.message, error);
+        if (logSettings.throwErrors) throw error;
+        return error;
+    };
+
+    //throws an error that a function can't carry on from. It isn't logged, since the caller may catch it
+    function raise(type, message, details){
+        throw CSTasks.createError(type, message, details);
+    }
+
+    //logs the objects a function left alone because they're locked or hidden
+    function logSkipped(functionName, skipped){
+        if (skipped.length > 0) CSTasks.log("info", functionName + " skipped " + skipped.length + " locked or hidden object" + (skipped.length == 1 ? "" : "s"));
+    }
+
+    //throws a LockedTargetError if an object, or a layer or group containing it, is locked
+    function checkUnlocked(item){
+        for (var node = item; node && node.typename != "Document"; node = node.parent){
+            if (node.locked) raise(CSTasks.ErrorType.LOCKED_TARGET, (item.name || item.typename) + " is locked", {target: item});
+        }
+    }
+
+    //throws a MissingArtboardError if a document has no artboard at the index
+    function checkArtboardIndex(doc, index){
+        if (!(index >= 0 && index < doc.artboards.length)) raise(CSTasks.ErrorType.MISSING_ARTBOARD, "There is no artboard with the index " + index, {index: index});
+    }
+
+    /*********
+    TRAVERSAL
+    *********/
+
+    //returns whether a node or any layer or group containing it is locked and hidden
+    function getInheritedState(node){
+        var state = {locked: false, hidden: false};
+        while (node && node.typename != "Document"){
+            if (node.locked) state.locked = true;
+            if (node.typename == "Layer" ? !node.visible : node.hidden) state.hidden = true;
+            node = node.parent;
+        }
+        return state;
+    }
+
+    //copies a collection into an array, so items can be moved or removed while it's being walked
+    function toArray(collection){
+        var array = [];
+        for (var i = 0; i < collection.length; i++) array.push(collection[i]);
+        return array;
+    }
+
+    function getChildren(node){
+        switch (node.typename){
+            case "Document":
+                return toArray(node.layers);
+            case "Layer":
+                return toArray(node.pageItems).concat(toArray(node.layers));
+            case "GroupItem":
+                return toArray(node.pageItems);
+            case "CompoundPathItem":
+                return toArray(node.pathItems);
+        }
+        return [];
+    }
+
+    function makeFilter(filter){
+        if (!filter) return function(){ return true; };
+        if (typeof filter == "function") return filter;
+        var types = {};
+        if (isArray(filter)) for (var i = 0; i < filter.length; i++) types[filter[i]] = true;
+        else types[filter] = true;
+        return function(item, info){ return types[info.type] === true; };
+    }
+
+    /**
+     * @function walk
+	 * @description Visits every layer and object in a container, recursing through sublayers, groups (including clipping groups) and compound paths.
+	 * The container can be a Document, Layer, GroupItem or CompoundPathItem, whose contents are visited,
+	 * or an array or collection of objects (such as a selection or doc.pathItems), which are visited along with their contents.
+	 * In a layer, its objects are visited before its sublayers. Each object is visited before its contents.
+	 * The visitor is called as visitor(item, info), where info is {type, depth, locked, hidden, layer, parent}:
+	 * type is the typename (e.g. "Layer", "GroupItem", "PathItem"); depth is 0 for the first level inside the container;
+	 * locked and hidden are true if the object or anything containing it is locked or hidden; layer is the object's layer;
+	 * and parent is the object's container. If the visitor returns false, the object's contents are skipped.
+	 * @param container The Document, Layer, GroupItem, CompoundPathItem, or array of objects to walk
+	 * @param {function} visitor Function called for each object that passes the filter
+	 * @param filter Optional. A typename (e.g. "PathItem"), an array of typenames, or a function(item, info) that returns true
+	 * for the objects to visit. Objects that don't pass the filter aren't given to the visitor, but their contents are still walked.
+	 */
+    CSTasks.walk = function(container, visitor, filter){
+        var matches = makeFilter(filter);
+
+        function visit(node, depth, state, layer, parent){
+            var isLayer = (node.typename == "Layer");
+            var info = {
+                type: node.typename,
+                depth: depth,
+                locked: state.locked || node.locked,
+                hidden: state.hidden || (isLayer ? !node.visible : node.hidden),
+                layer: isLayer ? node : layer,
+                parent: parent
+            };
+            var descend = true;
+            if (matches(node, info)) descend = (visitor(node, info) !== false);
+            if (descend) visitChildren(node, depth + 1, info, info.layer);
+        }
+
+        function visitChildren(node, depth, state, layer){
+            var children = getChildren(node);
+            for (var i = 0; i < children.length; i++) visit(children[i], depth, state, layer, node);
+        }
+
+        var type = container.typename;
+        if (type == "Document") visitChildren(container, 0, {locked: false, hidden: false}, null);
+        else if (type == "Layer" || type == "GroupItem" || type == "CompoundPathItem") {
+            visitChildren(container, 0, getInheritedState(container), (type == "Layer") ? container : container.layer);
+        }
+        else {
+            var items = toArray(container);
+            for (var i = 0; i < items.length; i++){
+                visit(items[i], 0, getInheritedState(items[i].parent), items[i].layer, items[i].parent);
+            }
+        }
+    };
+
+    /**
+     * @function getItems
+	 * @description Returns an array of every object in a container that passes the filter, in the order visited by {@link walk}.
+	 * For example, getItems(doc, "PathItem") returns every path in the document, including paths in groups and compound paths.
+	 * @param container The Document, Layer, GroupItem, CompoundPathItem, or array of objects to search
+	 * @param filter Optional typename, array of typenames or function(item, info), as in {@link walk}
+	 * @return {array} Array of the matching objects
+	 */
+    CSTasks.getItems = function(container, filter){
+        var items = [];
+        CSTasks.walk(container, function(item){
+            items.push(item);
+        }, filter);
+        return items;
+    };
+
+    /********************
+    LOCKING AND VISIBILITY
+    ********************/
+    //Functions that change objects skip locked objects (and some skip hidden ones) unless they're given the options
+    //unlock: true and/or unhide: true. Those options unlock or show what's needed with unlockContents, do the work,
+    //and put everything back with restoreContents. Such functions report what they changed and skipped as {touched, skipped}.
+
+    function isHidden(node){
+        return (node.typename == "Layer") ? !node.visible : node.hidden;
+    }
+
+    function setHidden(node, hidden){
+        if (node.typename == "Layer") node.visible = !hidden;
+        else node.hidden = hidden;
+    }
+
+    /**
+     * @function unlockContents
+	 * @description Unlocks and/or shows everything in a container, along with the layers and groups that contain it,
+	 * and returns the previous state so it can be put back with {@link restoreContents}
+	 * @param container The Document, Layer, GroupItem, or array of objects to unlock, as accepted by {@link walk}
+	 * @param {Object} options Optional. unlock: unlock locked layers and objects; unhide: show hidden layers and objects.
+	 * If options is omitted, both are done.
+	 * @return {array} The previous state, as an array of {target, locked, hidden} for each layer or object that was changed
+	 */
+    CSTasks.unlockContents = function(container, options){
+        options = options || {unlock: true, unhide: true};
+        var state = [];
+
+        //a node can be reached more than once (e.g. the shared layer of several objects), but only its first visit
+        //finds it locked or hidden, so it's only recorded once without keeping track of the nodes already seen
+        function change(node){
+            var entry = {target: node, locked: node.locked, hidden: isHidden(node)};
+            var changed = false;
+            if (options.unlock && entry.locked) {
+                node.locked = false;
+                changed = true;
+            }
+            if (options.unhide && entry.hidden) {
+                setHidden(node, false);
+                changed = true;
+            }
+            if (changed) state.push(entry);
+        }
+
+        //the layers and groups containing an object have to be unlocked first, outermost first
+        function changeAncestors(node){
+            var ancestors = [];
+            for (var parent = node.parent; parent && parent.typename != "Document"; parent = parent.parent) ancestors.unshift(parent);
+            for (var i = 0; i < ancestors.length; i++) change(ancestors[i]);
+        }
+
+        var type = container.typename;
+        if (type == "Layer" || type == "GroupItem" || type == "CompoundPathItem") {
+            changeAncestors(container);
+            change(container);
+        }
+        else if (type != "Document") {
+            for (var i = 0; i < container.length; i++) changeAncestors(container[i]);
+        }
+        CSTasks.walk(container, change);
+        return state;
+    };
+
+    /**
+     * @function restoreContents
+	 * @description Puts back the locked and hidden state saved by {@link unlockContents}. Objects that have since been deleted are ignored.
+	 * @param {array} state The state returned by {@link unlockContents}
+	 */
+    CSTasks.restoreContents = function(state){
+        for (var i = state.length - 1; i >= 0; i--){ //innermost first, so their layers are still unlocked
+            try {
+                setHidden(state[i].target, state[i].hidden);
+                state[i].target.locked = state[i].locked;
+            }
+            catch (e) {
+                //the object was deleted while it was unlocked (e.g. by clearArtboard)
+            }
+        }
+    };
+
+    //unlocks what the options ask for, or returns null if they don't ask for anything
+    function unlockForOptions(container, options){
+        if (!options || (!options.unlock && !options.unhide)) return null;
+        return CSTasks.unlockContents(container, {unlock: options.unlock, unhide: options.unhide});
+    }
+
     /*********************
     SELECTING AND GROUPING
     **********************/
       
     /**
      * @function selectEverything
-	 * @description Selects everything in a document that is unlocked and returns an array of all the selected objects
+	 * @description Selects everything in a document that is unlocked and visible and returns an array of all the selected objects.
+	 * Objects inside groups are selected individually; compound paths are selected as a whole, so their holes are kept.
 	 * @param {Document} doc The document (should be open and active)
 	 * @return {array} Array of all the selected objects
 	 */
     CSTasks.selectEverything = function(doc){
         doc.selection = null;
-        for (var i = 0; i < doc.pathItems.length; i++ ) {
-            if (!doc.pathItems[i].layer.locked && !doc.pathItems[i].locked) doc.pathItems[i].selected = true;
-        }
+        CSTasks.walk(doc, function(item, info){
+            if (info.type == "Layer" || info.type == "GroupItem") return true;
+            if (!info.locked && !info.hidden) item.selected = true;
+            return false;
+        });
         return doc.selection;
     };    
     
     /**
      * @function selectContentsOnArtboard
-	 * @description Selects everything on a specified artboard and returns an array of all the selected objects
+	 * @description Selects everything on a specified artboard and returns an array of all the selected objects.
+	 * If there is no artboard at the index, a MissingArtboardError is reported (see {@link reportError}) and nothing is selected.
 	 * @param {Document} doc The document (should be open and active)
 	 * @param {number} i Index of the artboard
 	 * @return {array} Array of all the selected objects
@@ -52,14 +434,15 @@ var CSTasks = (function(){
         	doc.artboards.setActiveArtboardIndex(i);
         	doc.selectObjectsOnActiveArtboard();
         }
-        else alert("There is no artboard with the index " + i);
+        else CSTasks.reportError(CSTasks.createError(CSTasks.ErrorType.MISSING_ARTBOARD, "There is no artboard with the index " + i, {index: i}));
         
         return doc.selection; 
     };
 
     /**
      * @function groupSelection
-	 * @description Creates and returns a group from an array of selected objects
+	 * @description Creates and returns a group from an array of selected objects, keeping their stacking order.
+	 * Paths that are part of a compound path are grouped with the whole compound path, so its holes are kept.
 	 * @param {Document} doc The document (should be open and active)
 	 * @param {Array} sel Array of selected objects
 	 * @return {Group} The grouped selection
@@ -67,39 +450,141 @@ var CSTasks = (function(){
 
     CSTasks.groupSelection = function(doc, sel){
         var newGroup = doc.groupItems.add();
-        for (var i = 0; i<sel.length; i++) {  
-            sel[i].moveToBeginning(newGroup);
-        } 
+        for (var i = sel.length - 1; i >= 0; i--) { //moving each to the beginning in reverse keeps the original order
+            var item = sel[i];
+            if (item.parent.typename == "CompoundPathItem") item = item.parent;
+            if (item.parent !== newGroup) item.moveToBeginning(newGroup);
+        }
         return newGroup;
     };
 
+    //moves the contents of a group out in front of it, in the same order and layer, and removes the empty group.
+    //Clipping masks are released, and removed if removeMasks is true
+    function releaseGroup(group, removeMasks){
+        var items = toArray(group.pageItems);
+        for (var i = 0; i < items.length; i++){
+            items[i].move(group, ElementPlacement.PLACEBEFORE);
+            if (group.clipped && isClippingMask(items[i])){
+                if (removeMasks) {
+                    items[i].remove();
+                    items[i] = null;
+                }
+                else setClipping(items[i], false);
+            }
+        }
+        group.remove();
+        return items;
+    }
+
+    function isClippingMask(item){
+        if (item.typename == "PathItem") return item.clipping;
+        if (item.typename == "CompoundPathItem") return item.pathItems.length > 0 && item.pathItems[0].clipping;
+        return false;
+    }
+
+    function setClipping(item, clipping){
+        if (item.typename == "PathItem") item.clipping = clipping;
+        else for (var i = 0; i < item.pathItems.length; i++) item.pathItems[i].clipping = clipping;
+    }
+
     /**
      * @function ungroupOnce
-	 * @description Ungroups a group (no recursion for nested groups)
+	 * @description Ungroups a group (no recursion for nested groups). The contents stay in the group's place in the stacking order and layer.
+	 * Throws a LockedTargetError if the group or its layer is locked.
 	 * @param {Group} group
 	 */
     CSTasks.ungroupOnce = function(group){
-        for (var i=group.pageItems.length-1; i>=0; i--)  {
-            group.pageItems[i].move(group.pageItems[i].layer, ElementPlacement.PLACEATEND);  
+        checkUnlocked(group);
+        releaseGroup(group, false);
+    };
+
+    /**
+     * @function ungroupAll
+	 * @description Ungroups every group in a container, however deeply nested. The contents of each group stay in its place
+	 * in the stacking order and layer, and compound paths are never broken apart, so holes in shapes are kept.
+	 * Clipping groups are kept by default (groups inside them are still ungrouped); with options.clipping "release",
+	 * their masks are released too. Locked groups, and groups in locked layers, are skipped.
+	 * @param container The Document, Layer or GroupItem to ungroup, or an array of objects (groups in it are ungrouped)
+	 * @param {Object} options Optional. clipping: "keep" (default) or "release"; removeMasks: if true, released mask paths are deleted
+	 * instead of being left as unpainted paths; unlock: also ungroup locked groups and groups in locked layers (the layers are locked again afterwards)
+	 * @return {Object} Report with ungrouped: the number of groups removed, released: the number of clipping masks released,
+	 * and skipped: array of locked groups that were left alone
+	 */
+    CSTasks.ungroupAll = function(container, options){
+        options = options || {};
+        var release = (options.clipping == "release");
+        var report = {ungrouped: 0, released: 0, skipped: []};
+        var state = unlockForOptions(container, {unlock: options.unlock});
+
+        function flatten(group, locked){
+            if (locked) {
+                report.skipped.push(group);
+                return;
+            }
+            //ungroup the contents first, so only this level has to move
+            var items = toArray(group.pageItems);
+            for (var i = 0; i < items.length; i++){
+                if (items[i].typename == "GroupItem") flatten(items[i], items[i].locked);
+            }
+            if (group.clipped && !release) return;
+            if (group.clipped) report.released++;
+            releaseGroup(group, options.removeMasks);
+            report.ungrouped++;
+        }
+
+        try {
+            var groups = [];
+            if (container.typename == "GroupItem") groups.push({group: container, locked: getInheritedState(container).locked});
+            else {
+                //only the outermost groups; flatten takes care of the ones inside
+                CSTasks.walk(container, function(item, info){
+                    groups.push({group: item, locked: info.locked});
+                    return false;
+                }, "GroupItem");
+            }
+            for (var i = 0; i < groups.length; i++) flatten(groups[i].group, groups[i].locked);
+        }
+        finally {
+            if (state) CSTasks.restoreContents(state);
         }
+        logSkipped("ungroupAll", report.skipped);
+        return report;
     };
-    
+
     /**
      * @function clearArtboard
-	 * @description Deletes every unlocked object on the specified artboard
+	 * @description Deletes every unlocked, visible object on the specified artboard. Throws a MissingArtboardError if there is no artboard at the index.
 	 * @param {Document} doc The  document (should be open and active)
 	 * @param {number} i Index of the artboard
-	 */ 
-    CSTasks.clearArtboard = function(doc, index){ //clears an artboard at the given index
-		doc.selection = null;
-		doc.artboards.setActiveArtboardIndex(index);
-		doc.selectObjectsOnActiveArtboard();
-		var sel = doc.selection; // get selection 
-		for (var i = 0; i<sel.length; i++) {  
-			sel[i].remove(); 
+	 * @param {Object} options Optional. unlock and unhide: also delete locked and/or hidden objects (other layers and objects keep their state)
+	 * @return {Object} Report with touched: the paths (see {@link getItemPath}) of the deleted objects, and skipped: locked or hidden objects left on the artboard
+	 */
+    CSTasks.clearArtboard = function(doc, index, options){ //clears an artboard at the given index
+		checkArtboardIndex(doc, index);
+		var report = {touched: [], skipped: []};
+		var state = unlockForOptions(doc, options);
+		try {
+			doc.selection = null;
+			doc.artboards.setActiveArtboardIndex(index);
+			doc.selectObjectsOnActiveArtboard();
+			var sel = doc.selection; // get selection
+			CSTasks.walk(doc, function(item, info){
+				if (info.type == "Layer") return true;
+				if ((info.locked || info.hidden) && CSTasks.getArtboardIndex(doc, item) == index) report.skipped.push(item);
+				return false;
+			});
+			for (var i = 0; i<sel.length; i++) {
+				report.touched.push(CSTasks.getItemPath(sel[i]));
+				sel[i].remove();
+			}
 		}
+		finally {
+			if (state) CSTasks.restoreContents(state);
+		}
+		logSkipped("clearArtboard", report.skipped);
+		return report;
 	};
-    
+
     /********************
     POSITION AND MOVEMENT
     ********************/
@@ -163,10 +648,12 @@ var CSTasks = (function(){
      * @function translateSelectionTo
 	 * @description Takes an array of selected objects and translates their position so the top left corner
 	 * is at the specified destination. Preserves relative positions of objects.
+	 * Throws a LockedTargetError, without moving anything, if any of the objects is locked.
 	 * @param {array} sel The array of selected objects
 	 * @param {array} destination The destination position as an [x,y] array
 	 */    
     CSTasks.translateSelectionTo = function(sel, destination){ 
+        for (var i = 0; i < sel.length; i++) checkUnlocked(sel[i]);
     	var pos = CSTasks.getCollectionTopLeft(sel);
     	var offset = CSTasks.getOffset(destination, pos);
         for (var i = 0; i<sel.length; i++) {  
@@ -176,15 +663,418 @@ var CSTasks = (function(){
 
 	/**
      * @function translateObjectTo
-	 * @description Takes an object and translates its position so the top left corner is at the specified destination
+	 * @description Takes an object and translates its position so the top left corner is at the specified destination.
+	 * Throws a LockedTargetError if the object is locked.
 	 * @param sel The object (such as a pathItem or group)
 	 * @param {array} destination The destination position as an [x,y] array
 	 */ 
     CSTasks.translateObjectTo = function(object, destination){
+        checkUnlocked(object);
         var offset = CSTasks.getOffset(destination, object.position);
         object.translate(offset[0],offset[1]);
     };
 
+    /*******************
+    BOUNDS AND ALIGNMENT
+    *******************/
+    //Bounds are [left, top, right, bottom] arrays, like an artboardRect. There are three kinds:
+    //- "geometric": the shapes themselves, without strokes
+    //- "visible": including strokes and effects (the default)
+    //- "clipped": visible bounds, but a clipping group only counts the area inside its mask
+    //An anchor names a point on the bounds: "topLeft", "top", "topRight", "left", "center", "right", "bottomLeft", "bottom" or "bottomRight".
+
+    //returns the bounds around all of boundsList, or null if it's empty
+    function unionBounds(boundsList){
+        if (boundsList.length == 0) return null;
+        var union = boundsList[0].slice(0);
+        for (var i = 1; i < boundsList.length; i++){
+            var b = boundsList[i];
+            union = [Math.min(union[0], b[0]), Math.max(union[1], b[1]), Math.max(union[2], b[2]), Math.min(union[3], b[3])];
+        }
+        return union;
+    }
+
+    function getItemBounds(item, type){
+        if (item.typename == "Artboard") return item.artboardRect;
+        if (type == "geometric") return item.geometricBounds;
+        if (type == "clipped" && item.typename == "GroupItem" && item.pageItems.length > 0){
+            var children = toArray(item.pageItems);
+            if (item.clipped){
+                for (var i = 0; i < children.length; i++){
+                    if (isClippingMask(children[i])) return children[i].geometricBounds;
+                }
+            }
+            var boundsList = [];
+            for (var i = 0; i < children.length; i++) boundsList.push(getItemBounds(children[i], type));
+            return unionBounds(boundsList);
+        }
+        return item.visibleBounds;
+    }
+
+    //accepts one object or artboard, or an array or collection of them, and returns an array
+    function toItemList(items){
+        if (items.typename && typeof items.length != "number") return [items];
+        return toArray(items);
+    }
+
+    /**
+     * @function getBounds
+	 * @description Returns the bounds of an object, an artboard, or several of them together
+	 * @param items An object (such as a pathItem or group), an Artboard, or an array or collection of them
+	 * @param {String} type Optional. "geometric", "visible" (default) or "clipped", as described above
+	 * @return {array} The bounds as a [left, top, right, bottom] array, or null if there are no objects (such as an empty selection)
+	 */
+    CSTasks.getBounds = function(items, type){
+        type = type || "visible";
+        if (type != "geometric" && type != "visible" && type != "clipped") throw new Error("Unknown bounds type: " + type);
+        var list = toItemList(items);
+        var boundsList = [];
+        for (var i = 0; i < list.length; i++) boundsList.push(getItemBounds(list[i], type));
+        return unionBounds(boundsList);
+    };
+
+    /**
+     * @function getAnchorPoint
+	 * @description Takes bounds and an anchor name and returns the position of that point on the bounds
+	 * @param {array} bounds Bounds as a [left, top, right, bottom] array
+	 * @param {String} anchor Optional. One of the anchors described above (default "topLeft")
+	 * @return {array} The position as an [x,y] array
+	 */
+    CSTasks.getAnchorPoint = function(bounds, anchor){
+        var x = {left: bounds[0], center: (bounds[0] + bounds[2]) / 2, right: bounds[2]};
+        var y = {top: bounds[1], middle: (bounds[1] + bounds[3]) / 2, bottom: bounds[3]};
+        switch (anchor || "topLeft"){
+            case "topLeft": return [x.left, y.top];
+            case "top": return [x.center, y.top];
+            case "topRight": return [x.right, y.top];
+            case "left": return [x.left, y.middle];
+            case "center": return [x.center, y.middle];
+            case "right": return [x.right, y.middle];
+            case "bottomLeft": return [x.left, y.bottom];
+            case "bottom": return [x.center, y.bottom];
+            case "bottomRight": return [x.right, y.bottom];
+        }
+        throw new Error("Unknown anchor: " + anchor);
+    };
+
+    /**
+     * @function translateAnchorTo
+	 * @description Moves an object, or several objects together, so that an anchor point of their bounds is at the destination.
+	 * For example, translateAnchorTo(logo, [0, 0], {anchor: "center"}) centers the logo's visible bounds on [0, 0].
+	 * Throws a LockedTargetError, without moving anything, if any of the objects is locked. Does nothing if there are no objects.
+	 * @param items The object, or an array or collection of objects
+	 * @param {array} destination The destination position as an [x,y] array
+	 * @param {Object} options Optional. anchor: the anchor to move (default "topLeft"); bounds: the bounds type (default "visible")
+	 */
+    CSTasks.translateAnchorTo = function(items, destination, options){
+        options = options || {};
+        var list = toItemList(items);
+        if (list.length == 0) return;
+        for (var i = 0; i < list.length; i++) checkUnlocked(list[i]);
+        var offset = CSTasks.getOffset(destination, CSTasks.getAnchorPoint(CSTasks.getBounds(list, options.bounds), options.anchor));
+        for (var i = 0; i < list.length; i++) list[i].translate(offset[0], offset[1]);
+    };
+
+    /**
+     * @function alignObjects
+	 * @description Aligns objects to each other, to an artboard or to a key object, like the Align panel. Does nothing if there are no objects.
+	 * @param items An array or collection of objects
+	 * @param {String} alignment "left", "center" or "right" to align horizontally, or "top", "middle" or "bottom" to align vertically
+	 * @param {Object} options Optional. to: an Artboard, or a key object that the others are aligned to and that doesn't move
+	 * (default the bounds of all the objects together); bounds: the bounds type (default "visible")
+	 */
+    CSTasks.alignObjects = function(items, alignment, options){
+        options = options || {};
+        var list = toItemList(items);
+        if (list.length == 0) return;
+        var target = options.to ? CSTasks.getBounds(options.to, options.bounds) : CSTasks.getBounds(list, options.bounds);
+        var moving = [];
+        for (var i = 0; i < list.length; i++){
+            if (list[i] !== options.to) moving.push(list[i]);
+        }
+        for (var i = 0; i < moving.length; i++) checkUnlocked(moving[i]);
+
+        for (var i = 0; i < moving.length; i++){
+            var b = getItemBounds(moving[i], options.bounds || "visible");
+            var dx = 0, dy = 0;
+            switch (alignment){
+                case "left": dx = target[0] - b[0]; break;
+                case "center": dx = (target[0] + target[2]) / 2 - (b[0] + b[2]) / 2; break;
+                case "right": dx = target[2] - b[2]; break;
+                case "top": dy = target[1] - b[1]; break;
+                case "middle": dy = (target[1] + target[3]) / 2 - (b[1] + b[3]) / 2; break;
+                case "bottom": dy = target[3] - b[3]; break;
+                default: throw new Error("Unknown alignment: " + alignment);
+            }
+            moving[i].translate(dx, dy);
+        }
+    };
+
+    /**
+     * @function distributeObjects
+	 * @description Spaces objects out evenly, left to right or top to bottom, like Distribute Spacing in the Align panel.
+	 * With a spacing, the first object stays where it is and each of the others is placed that far from the one before it;
+	 * without one, the first and last objects stay where they are and the gaps between all the objects are made equal.
+	 * @param items An array or collection of objects
+	 * @param {String} direction "horizontal" or "vertical"
+	 * @param {Object} options Optional. spacing: the gap between objects; bounds: the bounds type (default "visible")
+	 */
+    CSTasks.distributeObjects = function(items, direction, options){
+        options = options || {};
+        if (direction != "horizontal" && direction != "vertical") throw new Error("Unknown direction: " + direction);
+        var horizontal = (direction == "horizontal");
+        var list = toItemList(items);
+        if (list.length < 2) return;
+        for (var i = 0; i < list.length; i++) checkUnlocked(list[i]);
+
+        var entries = [];
+        for (var i = 0; i < list.length; i++) entries.push({item: list[i], bounds: getItemBounds(list[i], options.bounds || "visible")});
+        entries.sort(function(a, b){
+            return horizontal ? a.bounds[0] - b.bounds[0] : b.bounds[1] - a.bounds[1];
+        });
+
+        //sizes are measured along the direction: widths going right, heights going down
+        var spacing = options.spacing;
+        if (spacing === undefined) {
+            var first = entries[0].bounds, last = entries[entries.length - 1].bounds;
+            var total = horizontal ? last[2] - first[0] : first[1] - last[3];
+            for (var i = 0; i < entries.length; i++){
+                var b = entries[i].bounds;
+                total -= horizontal ? b[2] - b[0] : b[1] - b[3];
+            }
+            spacing = total / (entries.length - 1);
+        }
+        var edge = horizontal ? entries[0].bounds[2] : entries[0].bounds[3];
+        for (var i = 1; i < entries.length; i++){
+            var b = entries[i].bounds;
+            if (horizontal) {
+                entries[i].item.translate(edge + spacing - b[0], 0);
+                edge += spacing + b[2] - b[0];
+            }
+            else {
+                entries[i].item.translate(0, edge - spacing - b[1]);
+                edge -= spacing + b[1] - b[3];
+            }
+        }
+    };
+
+    /**
+     * @function centerOnArtboard
+	 * @description Moves an object, or several objects together, so they are centered on an artboard. Does nothing if there are no objects.
+	 * @param items The object, or an array or collection of objects
+	 * @param {Artboard} artboard The artboard
+	 * @param {Object} options Optional. bounds: the bounds type (default "visible"); horizontal or vertical: false to only center in the other direction
+	 */
+    CSTasks.centerOnArtboard = function(items, artboard, options){
+        options = options || {};
+        var list = toItemList(items);
+        if (list.length == 0) return;
+        var center = CSTasks.getAnchorPoint(artboard.artboardRect, "center");
+        var current = CSTasks.getAnchorPoint(CSTasks.getBounds(list, options.bounds), "center");
+        if (options.horizontal === false) center[0] = current[0];
+        if (options.vertical === false) center[1] = current[1];
+        CSTasks.translateAnchorTo(list, center, {anchor: "center", bounds: options.bounds});
+    };
+
+    /**************
+    ARTBOARD LAYOUT
+    **************/
+    //Artboards are placed by the [x,y] position of their top left corner, like objects. Functions that move artboards
+    //move the objects on them too: an object belongs to the artboard that contains its center (see getArtboardIndex),
+    //and objects in groups move with their group. Locked objects stay where they are unless options.unlock is set.
+
+    //returns an artboard rect with its top left corner at pos
+    function rectAt(pos, width, height){
+        return [pos[0], pos[1], pos[0] + width, pos[1] - height];
+    }
+
+    //returns an array with the top-level objects on each artboard, as {item, locked, hidden}
+    function getArtboardContents(doc){
+        var contents = [];
+        for (var i = 0; i < doc.artboards.length; i++) contents.push([]);
+        CSTasks.walk(doc, function(item, info){
+            if (info.type == "Layer") return true;
+            var index = CSTasks.getArtboardIndex(doc, item);
+            if (index >= 0) contents[index].push({item: item, locked: info.locked, hidden: info.hidden});
+            return false;
+        });
+        return contents;
+    }
+
+    //moves an artboard so its top left corner is at pos, along with its contents, adding them to the report
+    function moveArtboardTo(doc, index, pos, contents, report){
+        var rect = doc.artboards[index].artboardRect;
+        var offset = CSTasks.getOffset(pos, [rect[0], rect[1]]);
+        doc.artboards[index].artboardRect = rectAt(pos, rect[2] - rect[0], rect[1] - rect[3]);
+        for (var i = 0; i < contents.length; i++){
+            if (contents[i].locked) report.skipped.push(contents[i].item);
+            else {
+                contents[i].item.translate(offset[0], offset[1]);
+                report.touched.push(contents[i].item);
+            }
+        }
+    }
+
+    /**
+     * @function moveArtboard
+	 * @description Moves an artboard so its top left corner is at the specified position, along with the objects on it
+	 * @param {Document} doc The document
+	 * @param {number} index Index of the artboard
+	 * @param {array} position The destination position as an [x,y] array
+	 * @param {Object} options Optional. unlock: also move locked objects (they're locked again afterwards)
+	 * @return {Object} Report with touched: the objects that were moved, and skipped: the locked objects that weren't
+	 */
+    CSTasks.moveArtboard = function(doc, index, position, options){
+        checkArtboardIndex(doc, index);
+        var report = {touched: [], skipped: []};
+        var state = unlockForOptions(doc, {unlock: options && options.unlock});
+        try {
+            moveArtboardTo(doc, index, position, getArtboardContents(doc)[index], report);
+        }
+        finally {
+            if (state) CSTasks.restoreContents(state);
+        }
+        logSkipped("moveArtboard", report.skipped);
+        return report;
+    };
+
+    /**
+     * @function createArtboardGrid
+	 * @description Adds a number of artboards of the same size to a document, laid out in a grid from left to right and top to bottom
+	 * @param {Document} doc The document
+	 * @param {number} count The number of artboards to add
+	 * @param {Object} options Optional. width and height: the artboard size (default the size of the first artboard);
+	 * columns: the number of columns (default the square root of count, rounded up); gutter: the space between artboards (default 20);
+	 * position: the top left corner of the grid as an [x,y] array (default below the existing artboards);
+	 * names: array of names for the new artboards (see {@link nameArtboards});
+	 * replace: if true, the existing artboards are removed (the objects on them are left where they are), and the grid starts at their top left corner
+	 * @return {array} The indices of the new artboards
+	 */
+    CSTasks.createArtboardGrid = function(doc, count, options){
+        options = options || {};
+        var first = doc.artboards[0].artboardRect;
+        var width = options.width || (first[2] - first[0]);
+        var height = options.height || (first[1] - first[3]);
+        var columns = options.columns || Math.ceil(Math.sqrt(count));
+        var gutter = (options.gutter === undefined) ? 20 : options.gutter;
+        var existing = doc.artboards.length;
+
+        var position = options.position;
+        if (!position) {
+            position = CSTasks.getArtboardsTopLeft(doc.artboards);
+            if (!options.replace) {
+                for (var i = 0; i < existing; i++) position[1] = Math.min(position[1], doc.artboards[i].artboardRect[3] - gutter);
+            }
+        }
+
+        for (var i = 0; i < count; i++){
+            var column = i % columns;
+            var row = Math.floor(i / columns);
+            doc.artboards.add(rectAt([position[0] + column * (width + gutter), position[1] - row * (height + gutter)], width, height));
+        }
+        if (options.replace) {
+            for (var i = 0; i < existing; i++) doc.artboards.remove(0);
+        }
+
+        var indices = [];
+        var start = doc.artboards.length - count;
+        for (var i = 0; i < count; i++) indices.push(start + i);
+        if (options.names) CSTasks.nameArtboards(doc, options.names, start);
+        return indices;
+    };
+
+    /**
+     * @function arrangeArtboards
+	 * @description Rearranges a document's artboards in a grid, in index order from left to right and top to bottom, moving the objects on them too.
+	 * Artboards keep their sizes: each is placed the gutter's distance from the one before it, and each row starts below the tallest artboard of the row above.
+	 * @param {Document} doc The document
+	 * @param {Object} options Optional. columns: the number of columns (default the square root of the number of artboards, rounded up);
+	 * gutter: the space between artboards (default 20); position: the top left corner of the grid as an [x,y] array (default the top left of the artboards now);
+	 * unlock: also move locked objects (they're locked again afterwards)
+	 * @return {Object} Report with touched: the objects that were moved, and skipped: the locked objects that weren't
+	 */
+    CSTasks.arrangeArtboards = function(doc, options){
+        options = options || {};
+        var count = doc.artboards.length;
+        var columns = options.columns || Math.ceil(Math.sqrt(count));
+        var gutter = (options.gutter === undefined) ? 20 : options.gutter;
+        var position = options.position || CSTasks.getArtboardsTopLeft(doc.artboards);
+
+        var positions = [];
+        var x = position[0], y = position[1], rowHeight = 0;
+        for (var i = 0; i < count; i++){
+            if (i > 0 && i % columns == 0) {
+                x = position[0];
+                y -= rowHeight + gutter;
+                rowHeight = 0;
+            }
+            var rect = doc.artboards[i].artboardRect;
+            positions.push([x, y]);
+            x += rect[2] - rect[0] + gutter;
+            rowHeight = Math.max(rowHeight, rect[1] - rect[3]);
+        }
+
+        var report = {touched: [], skipped: []};
+        var state = unlockForOptions(doc, {unlock: options.unlock});
+        try {
+            var contents = getArtboardContents(doc); //found before anything moves, since artboards can move onto each other's places
+            for (var i = 0; i < count; i++) moveArtboardTo(doc, i, positions[i], contents[i], report);
+        }
+        finally {
+            if (state) CSTasks.restoreContents(state);
+        }
+        logSkipped("arrangeArtboards", report.skipped);
+        return report;
+    };
+
+    /**
+     * @function fitArtboardToContents
+	 * @description Resizes an artboard to fit the clipped bounds (see {@link getBounds}) of the visible objects on it, plus padding.
+	 * An artboard with nothing on it is left as it is.
+	 * @param {Document} doc The document
+	 * @param {number} index Index of the artboard
+	 * @param {number | array} padding Optional. The space around the objects, either one number or [top, right, bottom, left] (default 0)
+	 * @return {artboardRect} The artboard's new rect
+	 */
+    CSTasks.fitArtboardToContents = function(doc, index, padding){
+        checkArtboardIndex(doc, index);
+        if (!padding) padding = 0;
+        if (!isArray(padding)) padding = [padding, padding, padding, padding];
+
+        var contents = getArtboardContents(doc)[index];
+        var items = [];
+        for (var i = 0; i < contents.length; i++){
+            if (!contents[i].hidden) items.push(contents[i].item);
+        }
+        if (items.length == 0) {
+            CSTasks.log("info", "fitArtboardToContents left artboard " + doc.artboards[index].name + " as it is, because there is nothing on it");
+            return doc.artboards[index].artboardRect;
+        }
+        var bounds = CSTasks.getBounds(items, "clipped");
+        var rect = [bounds[0] - padding[3], bounds[1] + padding[0], bounds[2] + padding[1], bounds[3] - padding[2]];
+        doc.artboards[index].artboardRect = rect;
+        return rect;
+    };
+
+    /**
+     * @function nameArtboards
+	 * @description Names a document's artboards from a list, in index order. Empty names are skipped, and names beyond the last artboard are ignored.
+	 * @param {Document} doc The document
+	 * @param {array} names Array of names
+	 * @param {number} start Optional index of the first artboard to name (default 0)
+	 * @return {number} The number of artboards that were named
+	 */
+    CSTasks.nameArtboards = function(doc, names, start){
+        start = start || 0;
+        var named = 0;
+        for (var i = 0; i < names.length && start + i < doc.artboards.length; i++){
+            if (names[i] === undefined || names[i] === null || names[i] === "") continue;
+            doc.artboards[start + i].name = String(names[i]);
+            named++;
+        }
+        return named;
+    };
+
     /******************************************
     CREATING DOCUMENTS AND DUPLICATING CONTENTS
     ******************************************/
@@ -268,24 +1158,113 @@ var CSTasks = (function(){
 		return newItem;
 	};
 
+    //layer properties copied by duplicateDocument, besides visibility and locking, which are set once everything is copied
+    var layerProperties = ["name", "color", "opacity", "printable", "preview", "dimPlacedImages"];
+
+    //copies the process color swatches that the new document doesn't have yet, converted to its colorspace.
+    //Spot colors and gradients come along with the objects that use them.
+    function copySwatches(doc, newDoc){
+        var s = (newDoc.documentColorSpace == DocumentColorSpace.CMYK) ? 1 : 0;
+        var names = {};
+        for (var i = 0; i < newDoc.swatches.length; i++) names[newDoc.swatches[i].name] = true;
+        for (var i = 0; i < doc.swatches.length; i++){
+            var swatch = doc.swatches[i];
+            var color = swatch.color;
+            var entry;
+            if (names[swatch.name]) continue;
+            if (color.typename == "RGBColor") entry = {name: swatch.name, rgb: [color.red, color.green, color.blue]};
+            else if (color.typename == "CMYKColor") entry = {name: swatch.name, cmyk: [color.cyan, color.magenta, color.yellow, color.black]};
+            else continue;
+            var copy = newDoc.swatches.add();
+            copy.name = swatch.name;
+            copy.color = CSTasks.initializePalette([entry])[0][s];
+        }
+    }
+
+    //copies a layer's options, then its objects and sublayers, each in their own stacking order, into an empty layer.
+    //Each copied layer and top-level object is added to copies as {source, copy}.
+    function copyLayer(source, layer, copies, report){
+        for (var p = 0; p < layerProperties.length; p++){
+            if (source[layerProperties[p]] !== undefined) layer[layerProperties[p]] = source[layerProperties[p]];
+        }
+        copies.push({source: source, copy: layer});
+        //the layer is unlocked and shown while it's copied, then both it and the copy are put back as it was
+        var locked = source.locked, visible = source.visible;
+        source.locked = false;
+        source.visible = true;
+        try {
+            //scripts can't tell where objects sit among the sublayers, so the objects are copied first and the
+            //sublayers, which are added on top, end up in front of them. Both go from the back, each in front of the last.
+            var items = toArray(source.pageItems);
+            for (var i = items.length - 1; i >= 0; i--) copyItem(items[i], layer, copies, report);
+            var sublayers = toArray(source.layers);
+            for (var i = sublayers.length - 1; i >= 0; i--) copyLayer(sublayers[i], layer.layers.add(), copies, report);
+        }
+        finally {
+            source.locked = locked;
+            source.visible = visible;
+        }
+        layer.visible = visible;
+        layer.locked = locked;
+    }
+
+    //copies a top-level object to the front of a layer, in the same position and locked or hidden as it was
+    function copyItem(item, layer, copies, report){
+        var locked = item.locked, hidden = item.hidden;
+        try {
+            item.locked = false;
+            item.hidden = false;
+            var copy = item.duplicate(layer, ElementPlacement.PLACEATBEGINNING);
+            var offset = CSTasks.getOffset(item.position, copy.position);
+            if (offset[0] != 0 || offset[1] != 0) copy.translate(offset[0], offset[1]);
+            copy.hidden = hidden;
+            copy.locked = locked;
+            copies.push({source: item, copy: copy});
+            report.touched.push(item);
+        }
+        catch (e) {
+            report.skipped.push(item);
+        }
+        finally {
+            item.hidden = hidden;
+            item.locked = locked;
+        }
+    }
+
     /**
      * @function duplicateDocument
-	 * @description Takes a document and desired colorspace. Creates and returns a new document in the specified colorspace with all artboards and contents duplicated
+	 * @description Takes a document and desired colorspace. Creates and returns a new document in the specified colorspace with the same artboards
+	 * (including their names and rulers), layers, sublayers and contents, with every object in its own layer in the same stacking order and position.
+	 * Layers keep their names, colors and other options, and layers and objects stay locked or hidden as they were. Process color swatches are copied too.
+	 * Locked and hidden layers and objects are copied too. A layer's objects keep their order, and so do its sublayers, but the sublayers are
+	 * put in front of the layer's own objects, as scripts can't tell where objects sit among the sublayers.
 	 * @param {Document} doc The document to duplicate
 	 * @param {DocumentColorSpace} colorspace The desired colorspace: DocumentColorSpace.RGB or DocumentColorSpace.CMYK 
+	 * @param {Object} options Optional. report: an object whose touched and skipped arrays are set to the top-level objects that were copied,
+	 * and those that couldn't be, and whose copies array is set to a {source, copy} pair for every layer and top-level object copied
 	 * @return {Document} The newly created document
 	 */
     //take a document and desired colorspace (e.g. DocumentColorSpace.RGB)
-    //creates and returns a new document in that colorspace with all artboards and contents duplicated
-	CSTasks.duplicateDocument = function(doc, colorspace){
-        var sel = CSTasks.selectEverything(doc);
-        var abPos = CSTasks.getArtboardsTopLeft(doc.artboards);
-        var selPos = CSTasks.getCollectionTopLeft(sel);
-        var offset = CSTasks.getOffset(selPos,abPos);
+    //creates and returns a new document in that colorspace with all artboards, layers and contents duplicated
+	CSTasks.duplicateDocument = function(doc, colorspace, options){
+        options = options || {};
+        var report = options.report || {};
+        report.touched = [];
+        report.skipped = [];
         var newDoc = CSTasks.duplicateArtboardsInNewDoc(doc, colorspace);
-        var newSel = CSTasks.duplicateSelectionInNewDoc(sel,newDoc);
-        var newAbPos = CSTasks.getArtboardsTopLeft(newDoc.artboards);
-        CSTasks.translateSelectionTo(newSel,[newAbPos[0] + offset[0], newAbPos[1] + offset[1]]);
+        for (var i = 0; i < doc.artboards.length; i++){
+            newDoc.artboards[i].name = doc.artboards[i].name;
+            newDoc.artboards[i].rulerOrigin = doc.artboards[i].rulerOrigin;
+        }
+        copySwatches(doc, newDoc);
+
+        var copies = [];
+        var startLayer = newDoc.layers[0];
+        //new layers are added on top, so start from the bottom
+        for (var i = doc.layers.length - 1; i >= 0; i--) copyLayer(doc.layers[i], newDoc.layers.add(), copies, report);
+        startLayer.remove();
+        report.copies = copies;
+        logSkipped("duplicateDocument", report.skipped);
         return newDoc;
     };
     
@@ -308,63 +1287,874 @@ var CSTasks = (function(){
     };   
     
     /*******************
-    SAVING AND EXPORTING
+    SCALING AND VARIANTS
     ********************/
+    //Scales are percentages, like resize: 200 is twice the size. Sizes are in points, which are pixels at 72 ppi.
+    //Stroke widths scale with the objects unless options.strokes is false. Effects (such as drop shadows) keep their size:
+    //resize can only scale stroke widths, so effects follow the objects only if they're expanded first.
+    //Snapping rounds the size of artboards and the top left corner of objects to whole pixels, measured from the artboard
+    //(or from the ruler origin for objects scaled on their own).
+
+    //Transformation values for the anchors understood by getAnchorPoint
+    function transformationFor(anchor){
+        var names = {topLeft: "TOPLEFT", top: "TOP", topRight: "TOPRIGHT", left: "LEFT", center: "CENTER", right: "RIGHT",
+            bottomLeft: "BOTTOMLEFT", bottom: "BOTTOM", bottomRight: "BOTTOMRIGHT"};
+        if (!names.hasOwnProperty(anchor)) throw new Error("Unknown anchor: " + anchor);
+        return Transformation[names[anchor]];
+    }
+
+    //scales each object about origin, so they keep their positions relative to each other and to origin
+    function scaleAbout(list, sx, sy, origin, strokes){
+        var lineScale = strokes === false ? 100 : Math.sqrt(sx * sy);
+        for (var i = 0; i < list.length; i++){
+            var center = CSTasks.getAnchorPoint(list[i].geometricBounds, "center");
+            list[i].resize(sx, sy, true, true, true, true, lineScale, Transformation.CENTER);
+            list[i].translate((center[0] - origin[0]) * (sx / 100 - 1), (center[1] - origin[1]) * (sy / 100 - 1));
+        }
+    }
+
+    //moves each object so its top left corner is on a whole pixel, measured from origin
+    function snapToPixels(list, origin){
+        for (var i = 0; i < list.length; i++){
+            var pos = list[i].position;
+            list[i].translate(Math.round(pos[0] - origin[0]) - (pos[0] - origin[0]), Math.round(pos[1] - origin[1]) - (pos[1] - origin[1]));
+        }
+    }
+
     /**
-     * @function scaleAndExportPNG
-	 * @description Takes a document and destination file and exports a PNG at the specified scale
-	 * @param {Document} doc The document to export
-	 * @param {File} destFile  The file to export to
-	 * @param {number} scaling The percent by which to scale the PNG. For example, to scale to 50% use 50.
-	 * @return {Document} The newly created document
+     * @function scaleObjects
+	 * @description Scales objects together, like selecting them all and using the Scale tool, so they keep their positions relative to each other.
+	 * Throws a LockedTargetError, without scaling anything, if any of the objects is locked. Does nothing if there are no objects.
+	 * @param items The object, or an array or collection of objects
+	 * @param scale The percent scale, or an array of horizontal and vertical percent scales
+	 * @param {Object} options Optional. anchor: the point of the objects' geometric bounds that stays still (default "center");
+	 * strokes: false to keep stroke widths as they are; snap: true to snap the objects to whole pixels
 	 */
-    CSTasks.scaleAndExportPNG = function(doc, destFile, scaling) {
-		var options = new ExportOptionsPNG24();
-		options.antiAliasing = true;
-		options.transparency = true; 
-		options.artBoardClipping = true;
-		options.horizontalScale = scaling;
-		options.verticalScale = scaling;	
-		doc.exportFile(destFile, ExportType.PNG24, options);
-	};
-
+    CSTasks.scaleObjects = function(items, scale, options){
+        options = options || {};
+        var list = toItemList(items);
+        if (list.length == 0) return;
+        var scales = isArray(scale) ? scale : [scale, scale];
+        for (var i = 0; i < list.length; i++) checkUnlocked(list[i]);
+        if (list.length == 1) {
+            var lineScale = options.strokes === false ? 100 : Math.sqrt(scales[0] * scales[1]);
+            list[0].resize(scales[0], scales[1], true, true, true, true, lineScale, transformationFor(options.anchor || "center"));
+        }
+        else scaleAbout(list, scales[0], scales[1], CSTasks.getAnchorPoint(CSTasks.getBounds(list, "geometric"), options.anchor || "center"), options.strokes);
+        if (options.snap) snapToPixels(list, [0, 0]);
+    };
+
+    /**
+     * @function scaleObjectsToSize
+	 * @description Scales objects together so their geometric bounds fit a width and/or height, keeping their proportions
+	 * (see {@link getScaleForSize}). Options are the same as for {@link scaleObjects}. Does nothing if there are no objects.
+	 * @param items The object, or an array or collection of objects
+	 * @param {number} width The target width (optional)
+	 * @param {number} height The target height (optional)
+	 * @param {Object} options Optional. See {@link scaleObjects}
+	 * @return {number} The percent scale that was used, or null if there are no objects
+	 */
+    CSTasks.scaleObjectsToSize = function(items, width, height, options){
+        var bounds = CSTasks.getBounds(items, "geometric");
+        if (!bounds) return null;
+        var scale = CSTasks.getScaleForSize(bounds, width, height);
+        CSTasks.scaleObjects(items, scale, options);
+        return scale;
+    };
+
+    /**
+     * @function scaleArtboard
+	 * @description Resizes an artboard to a width and height and scales the objects on it to match, keeping their proportions.
+	 * If only one of width and height is given, the other keeps the artboard's proportions; if the proportions change,
+	 * the objects are scaled to fit. Locked objects are left as they are unless options.unlock is set.
+	 * @param {Document} doc The document
+	 * @param {number} index Index of the artboard
+	 * @param {number} width The new width (optional if height is given)
+	 * @param {number} height The new height (optional if width is given)
+	 * @param {Object} options Optional. strokes: false to keep stroke widths as they are; snap: true to snap to whole pixels;
+	 * keepOffset: false to center the objects on the artboard instead of keeping their scaled offset from its top left corner (default true);
+	 * unlock: also scale locked objects (they're locked again afterwards)
+	 * @return {Object} Report with touched: the objects that were scaled, and skipped: the locked objects that weren't
+	 */
+    CSTasks.scaleArtboard = function(doc, index, width, height, options){
+        options = options || {};
+        checkArtboardIndex(doc, index);
+        var rect = doc.artboards[index].artboardRect;
+        var scale = CSTasks.getScaleForSize(rect, width, height);
+        width = width || (rect[2] - rect[0]) * scale / 100;
+        height = height || (rect[1] - rect[3]) * scale / 100;
+        if (options.snap) {
+            width = Math.round(width);
+            height = Math.round(height);
+        }
+        var report = {touched: [], skipped: []};
+        var state = unlockForOptions(doc, {unlock: options.unlock});
+        try {
+            var contents = getArtboardContents(doc)[index];
+            for (var i = 0; i < contents.length; i++){
+                if (contents[i].locked) report.skipped.push(contents[i].item);
+                else report.touched.push(contents[i].item);
+            }
+            doc.artboards[index].artboardRect = rectAt([rect[0], rect[1]], width, height);
+            if (report.touched.length > 0) {
+                scaleAbout(report.touched, scale, scale, [rect[0], rect[1]], options.strokes);
+                if (options.keepOffset === false) {
+                    CSTasks.centerOnArtboard(report.touched, doc.artboards[index], {bounds: "geometric"});
+                }
+                if (options.snap) snapToPixels(report.touched, [rect[0], rect[1]]);
+            }
+        }
+        finally {
+            if (state) CSTasks.restoreContents(state);
+        }
+        logSkipped("scaleArtboard", report.skipped);
+        return report;
+    };
+
+    //copies the visible objects from an artboard's contents (see getArtboardContents) onto an artboard in another document,
+    //at the same offset from its top left corner, and returns the copies, which are locked if the originals were
+    function copyArtboardContents(contents, sourceRect, destDoc, destIndex){
+        var rect = destDoc.artboards[destIndex].artboardRect;
+        var copies = [];
+        for (var i = 0; i < contents.length; i++){
+            if (contents[i].hidden) continue;
+            var item = contents[i].item;
+            var copy = item.duplicate(destDoc.layers[0], ElementPlacement.PLACEATEND);
+            var locked = copy.locked;
+            copy.locked = false;
+            var offset = CSTasks.getOffset(item.position, [sourceRect[0], sourceRect[1]]);
+            CSTasks.translateObjectTo(copy, [rect[0] + offset[0], rect[1] + offset[1]]);
+            copy.locked = locked;
+            copies.push(copy);
+        }
+        return copies;
+    }
+
+    /**
+     * @function createSizeVariants
+	 * @description Copies an artboard and the visible objects on it into a new document once for each size, each copy scaled with {@link scaleArtboard}.
+	 * For example, createSizeVariants(doc, 0, [16, 24, 32, 48]) makes one document with 16x16, 24x24, 32x32 and 48x48 artboards in a row.
+	 * @param {Document} doc The source document
+	 * @param {number} index Index of the artboard to copy
+	 * @param {array} sizes Array of sizes: a number for a square artboard, or a [width, height] array
+	 * @param {Object} options Optional. documents: true to make a new document for each size instead of one artboard each;
+	 * colorspace: the colorspace of the new documents (default the source document's); gutter: the space between artboards (default 20);
+	 * name: template for the artboard names, with the tokens {name} (the source artboard's name), {width} and {height} (default "{name}-{width}");
+	 * strokes, snap and keepOffset: see {@link scaleArtboard}
+	 * @return {array} The new documents: one for each size if options.documents is set, otherwise one with an artboard for each size
+	 */
+    CSTasks.createSizeVariants = function(doc, index, sizes, options){
+        options = options || {};
+        checkArtboardIndex(doc, index);
+        var source = doc.artboards[index];
+        var sourceRect = source.artboardRect;
+        var colorspace = options.colorspace || doc.documentColorSpace;
+        var gutter = options.gutter === undefined ? 20 : options.gutter;
+        var contents = getArtboardContents(doc)[index];
+        var docs = [];
+        var newDoc;
+
+        for (var i = 0; i < sizes.length; i++){
+            var size = isArray(sizes[i]) ? sizes[i] : [sizes[i], sizes[i]];
+            var abIndex = 0;
+            if (options.documents || i == 0) {
+                newDoc = CSTasks.duplicateArtboardInNewDoc(doc, source, colorspace);
+                docs.push(newDoc);
+            }
+            else {
+                var last = newDoc.artboards[newDoc.artboards.length - 1].artboardRect;
+                newDoc.artboards.add(rectAt([last[2] + gutter, last[1]], sourceRect[2] - sourceRect[0], sourceRect[1] - sourceRect[3]));
+                abIndex = newDoc.artboards.length - 1;
+            }
+
+            copyArtboardContents(contents, sourceRect, newDoc, abIndex);
+            //locked copies are unlocked while they're scaled, and locked again afterwards
+            CSTasks.scaleArtboard(newDoc, abIndex, size[0], size[1], {strokes: options.strokes, snap: options.snap, keepOffset: options.keepOffset, unlock: true});
+            newDoc.artboards[abIndex].name = CSTasks.formatFileName(options.name || "{name}-{width}", {name: source.name, width: size[0], height: size[1]});
+        }
+        return docs;
+    };
+
+    /*******************
+    SAVING AND EXPORTING
+    ********************/
+    //PNGs are exported with the classic export options, except that type-optimized antialiasing and scales over
+    //maxExportScale are only available in Export for Screens. That names the file after the artboard (changing any
+    //characters it doesn't allow), and puts it in a subfolder named for the scale if the user's Create Sub-folders
+    //preference is on, so it's written with a prefix of its own, then found by the prefix and moved to destFile.
+
+    //the largest horizontalScale and verticalScale that the classic export options take, in percent
+    var maxExportScale = 776.19;
+
+    //returns the files in a folder, or in the folders directly inside it, whose names start with prefix
+    function findPrefixedFiles(folder, prefix){
+        var found = [];
+        var entries = folder.getFiles();
+        for (var i = 0; i < entries.length; i++){
+            if (entries[i] instanceof Folder) {
+                var inner = entries[i].getFiles(function(file){ return (file instanceof File) && decodeURI(file.name).indexOf(prefix) == 0; });
+                for (var j = 0; j < inner.length; j++) found.push(inner[j]);
+            }
+            else if (decodeURI(entries[i].name).indexOf(prefix) == 0) found.push(entries[i]);
+        }
+        return found;
+    }
+
+    //exports a PNG24 or PNG8 of the artboard at index, or of all the artwork if index is undefined, with the settings described in scaleAndExportPNG
+    function exportPNG(doc, destFile, format, scaling, index, settings){
+        var clip = (index !== undefined && index !== null);
+        if (settings.antiAliasing == "type" || scaling > maxExportScale) {
+            if (format == "png8" || settings.matte || !clip) {
+                var reason = (settings.antiAliasing == "type") ? "Type-optimized antialiasing" : "Scales over " + maxExportScale + "%";
+                throw new Error(reason + " can only be exported as PNG24 of an artboard without a matte, which Export for Screens writes");
+            }
+            var screensOptions = new ExportForScreensOptionsPNG24();
+            if (settings.antiAliasing == "type") screensOptions.antiAliasing = AntiAliasingMethod.TYPEOPTIMIZED;
+            else if (settings.antiAliasing === false || settings.antiAliasing == "none") screensOptions.antiAliasing = AntiAliasingMethod.None;
+            else screensOptions.antiAliasing = AntiAliasingMethod.ARTOPTIMIZED;
+            screensOptions.transparency = (settings.transparency !== false);
+            //a width in pixels rather than a factor, which Export for Screens also limits
+            var rect = doc.artboards[index].artboardRect;
+            screensOptions.scaleType = ExportForScreensScaleType.SCALEBYWIDTH;
+            screensOptions.scaleTypeValue = Math.round((rect[2] - rect[0]) * scaling / 100);
+            var item = new ExportForScreensItemToExport();
+            item.artboards = String(index + 1);
+            item.document = false;
+            var prefix = "cstasks-" + new Date().getTime() + "-";
+            var folders = {};
+            var entries = destFile.parent.getFiles();
+            for (var i = 0; i < entries.length; i++) if (entries[i] instanceof Folder) folders[entries[i].fsName] = true;
+            doc.exportForScreens(destFile.parent, ExportForScreensType.SE_PNG24, screensOptions, item, prefix);
+            var written = findPrefixedFiles(destFile.parent, prefix);
+            if (written.length == 0) throw new Error("Export for Screens didn't write a file starting with " + prefix);
+            if (destFile.exists) destFile.remove();
+            var subfolder = written[0].parent;
+            if (subfolder.fsName == destFile.parent.fsName) written[0].rename(destFile.name);
+            else {
+                written[0].copy(destFile.fsName);
+                written[0].remove();
+                //a subfolder the export made is taken away again once it's empty
+                if (!folders[subfolder.fsName]) subfolder.remove();
+            }
+            return;
+        }
+
+        var options = (format == "png8") ? new ExportOptionsPNG8() : new ExportOptionsPNG24();
+        options.antiAliasing = (settings.antiAliasing !== false && settings.antiAliasing != "none");
+        options.transparency = !settings.matte && settings.transparency !== false;
+        if (settings.matte) {
+            options.matte = true;
+            options.matteColor = resolveColor(settings.matte, null, DocumentColorSpace.RGB);
+        }
+        options.artBoardClipping = clip;
+        options.horizontalScale = scaling;
+        options.verticalScale = scaling;
+        doc.exportFile(destFile, (format == "png8") ? ExportType.PNG8 : ExportType.PNG24, options);
+    }
+
+    /**
+     * @function scaleAndExportPNG
+	 * @description Takes a document and destination file and exports a PNG of an artboard at the specified scale, or at a size in pixels.
+	 * For example, scaleAndExportPNG(doc, new File("~/icons/icon.png"), null, {width: 24, resolution: 2}) writes a 48 px wide icon@2x.png.
+	 * Throws a MissingArtboardError if there is no artboard at settings.artboardIndex.
+	 * @param {Document} doc The document to export
+	 * @param {File} destFile  The file to export to
+	 * @param {number} scaling The percent by which to scale the PNG. For example, to scale to 50% use 50. Ignored if settings.width or settings.height is set.
+	 * @param {Object} settings Optional. width and/or height: the size in pixels, from which the scale is worked out (see {@link getScaleForSize});
+	 * artboardIndex: the artboard to export (default the active one); clip: false to export all the artwork instead of clipping it to the artboard;
+	 * resolution: a multiple for high-density screens, such as 2 or 3, which multiplies the scale and adds "@2x" or "@3x" to the file name;
+	 * format: "png" for PNG24 (default) or "png8"; transparency: false for an opaque background (default true);
+	 * matte: the background color (a hex string, palette entry or RGBColor), which also turns transparency off;
+	 * antiAliasing: "art" (default), "type" to optimize it for text, or "none". Type-optimized antialiasing, and scales over 776.19%
+	 * (the most the classic PNG export takes), use Export for Screens, which can't write PNG8, a matte or an unclipped export;
+	 * manifest: a Manifest to add the file to (see {@link createManifest})
+	 * @return {File} The file that was written
+	 */
+    CSTasks.scaleAndExportPNG = function(doc, destFile, scaling, settings) {
+		settings = settings || {};
+		var index = (settings.artboardIndex === undefined) ? doc.artboards.getActiveArtboardIndex() : settings.artboardIndex;
+		checkArtboardIndex(doc, index);
+		doc.artboards.setActiveArtboardIndex(index);
+		if (settings.clip === false) index = undefined;
+
+		var rect = (index === undefined) ? doc.visibleBounds : doc.artboards[index].artboardRect;
+		if (settings.width || settings.height) scaling = CSTasks.getScaleForSize(rect, settings.width, settings.height);
+		var resolution = settings.resolution || 1;
+		scaling = (scaling || 100) * resolution;
+		if (resolution != 1) destFile = new File(destFile.parent.fsName + "/" + destFile.name.replace(/(\.[^\.]+)?$/, "@" + resolution + "x$1"));
+
+		var format = (settings.format || "png").toLowerCase();
+		var source = documentSource(doc);
+		exportPNG(doc, destFile, format, scaling, index, settings);
+		if (settings.manifest) settings.manifest.add(doc, destFile, format, {scale: scaling, artboardIndex: index, source: source});
+		return destFile;
+	};
+
+    /**
+     * @function getScaleForSize
+	 * @description Takes a rect and a target width and/or height in pixels and returns the percent scale needed to export it at that size.
+	 * If both are given, the smaller scale is used so the export fits inside width x height. Assumes 1pt = 1px (72 ppi).
+	 * @param {artboardRect} rect A rect in the form [left, top, right, bottom], such as an artboardRect or visibleBounds
+	 * @param {number} width The target width in pixels (optional)
+	 * @param {number} height The target height in pixels (optional)
+	 * @return {number} The percent scale, e.g. 200 for twice the size
+	 */
+    CSTasks.getScaleForSize = function(rect, width, height){
+        var scales = [];
+        if (width) scales.push(width / (rect[2] - rect[0]) * 100);
+        if (height) scales.push(height / (rect[1] - rect[3]) * 100);
+        if (scales.length == 0) return 100;
+        return Math.min.apply(null, scales);
+    };
+
+    //file extensions for the formats understood by exportDocument and exportTargets
+    var exportExtensions = {png: "png", png8: "png", jpg: "jpg", jpeg: "jpg", svg: "svg", pdf: "pdf", eps: "eps"};
+
+    //Illustrator appends "_<artboard name>" to SVG and EPS files when it saves a single artboard,
+    //so move the file it wrote back to the name we asked for
+    function restoreArtboardFileName(destFile, artboardName){
+        var base = destFile.name.replace(/\.[^\.]+$/, "");
+        var ext = destFile.name.substr(base.length);
+        var written = new File(destFile.parent.fsName + "/" + base + "_" + artboardName + ext);
+        if (written.exists){
+            if (destFile.exists) destFile.remove();
+            written.rename(destFile.name);
+        }
+    }
+
+    //saveAs switches a document to the file it writes, so PDF and EPS files are saved from a copy that's closed afterwards.
+    //While exportTargets runs, this is {doc, copy} for the copy that all of its PDF and EPS files are saved from, made for the first one.
+    var exportCopy = null;
+
+    //returns a copy of doc to save PDF and EPS files from, throwing an IncompleteCopyError rather than leaving out objects it couldn't copy
+    function copyForSaving(doc){
+        var report = {};
+        var copy = CSTasks.duplicateDocument(doc, doc.documentColorSpace, {report: report});
+        if (report.skipped.length > 0) {
+            copy.close(SaveOptions.DONOTSAVECHANGES);
+            raise(CSTasks.ErrorType.INCOMPLETE_COPY, report.skipped.length + " object" + (report.skipped.length == 1 ? "" : "s") +
+                " in " + doc.name + " couldn't be copied to save a PDF or EPS file from", {skipped: report.skipped});
+        }
+        return copy;
+    }
+
+    function saveCopyAs(doc, destFile, options){
+        var active = app.activeDocument;
+        var shared = (exportCopy !== null && exportCopy.doc === doc);
+        var copy = shared ? exportCopy.copy : null;
+        try {
+            if (!copy) copy = copyForSaving(doc);
+            if (shared) exportCopy.copy = copy;
+            copy.saveAs(destFile, options);
+        }
+        finally {
+            if (copy && !shared) copy.close(SaveOptions.DONOTSAVECHANGES);
+            active.activate();
+        }
+    }
+
+    /**
+     * @function sanitizeFileName
+	 * @description Takes a string and returns a version that is safe to use as a file name on Mac and Windows.
+	 * Characters that aren't allowed in file names are replaced with underscores, and leading and trailing spaces, dots, dashes and underscores are removed.
+	 * @param {String} name The string to clean up
+	 * @return {String} The safe file name, or "untitled" if nothing is left
+	 */
+    CSTasks.sanitizeFileName = function(name){
+        var safe = String(name).replace(/[\\\/:\*\?"<>\|\x00-\x1f]/g, "_");
+        safe = safe.replace(/^[\s\._\-]+|[\s\._\-]+$/g, "");
+        return (safe.length > 0) ? safe : "untitled";
+    };
+
+    /**
+     * @function formatFileName
+	 * @description Takes a filename template and an object of token values and returns a safe file name (without extension).
+	 * Each {token} in the template is replaced with the matching value; unknown tokens are left as they are.
+	 * For example "{docName}-{artboardName}@{scale}" with {docName: "logo", artboardName: "Icon", scale: 200} gives "logo-Icon@200".
+	 * @param {String} template The filename template
+	 * @param {Object} tokens Object with a value for each token
+	 * @return {String} The file name, cleaned up with {@link sanitizeFileName}
+	 */
+    CSTasks.formatFileName = function(template, tokens){
+        var name = template.replace(/\{(\w+)\}/g, function(match, key){
+            return tokens.hasOwnProperty(key) ? String(tokens[key]) : match;
+        });
+        return CSTasks.sanitizeFileName(name);
+    };
+
+    /**
+     * @function getUniqueFile
+	 * @description Takes a folder, file name and extension and returns a File that doesn't collide with names already used.
+	 * If the name is taken, "-2", "-3", etc. is added. Names are compared without regard to case, as on Mac and Windows file systems.
+	 * @param {Folder} folder The folder for the file
+	 * @param {String} name The file name without extension
+	 * @param {String} extension The file extension without the dot
+	 * @param {Object} used Object whose keys are the names already used in this run; the new name is added to it
+	 * @param {boolean} overwrite If false, files that already exist on disk also count as taken (default true)
+	 * @return {File} The File to write to
+	 */
+    CSTasks.getUniqueFile = function(folder, name, extension, used, overwrite){
+        var candidate = name;
+        for (var n = 2; used[(candidate + "." + extension).toLowerCase()] ||
+                (overwrite === false && new File(folder.fsName + "/" + candidate + "." + extension).exists); n++){
+            candidate = name + "-" + n;
+        }
+        used[(candidate + "." + extension).toLowerCase()] = true;
+        return new File(folder.fsName + "/" + candidate + "." + extension);
+    };
+
+    /**
+     * @function exportDocument
+	 * @description Takes a document, destination file and format and writes the document to that file.
+	 * Raster formats (png, png8, jpg) are clipped to the artboard at settings.artboardIndex, or cover all the artwork if it's omitted,
+	 * and scaled by settings.scale. Vector formats (svg, pdf, eps) ignore the scale.
+	 * PDF and EPS are written with saveAs from a copy of the document made by {@link duplicateDocument}, so the document still saves to its own file.
+	 * The copy has the document's artboards, layers, objects and process color swatches, but not its graphic styles, or symbols and spot,
+	 * gradient and pattern swatches that no object uses. If any object can't be copied, an IncompleteCopyError is thrown and no file is written.
+	 * Throws a MissingArtboardError if there is no artboard at settings.artboardIndex.
+	 * @param {Document} doc The document to export
+	 * @param {File} destFile The file to export to
+	 * @param {String} format One of "png", "png8", "jpg", "svg", "pdf" or "eps"
+	 * @param {Object} settings Optional. scale: percent scale for raster formats (default 100); artboardIndex: the artboard to export;
+	 * quality: JPEG quality 0-100 (default 80); transparency, matte and antiAliasing for PNGs, as in {@link scaleAndExportPNG};
+	 * manifest: a Manifest to add the file to (see {@link createManifest}); source: the document's source for the manifest, as in {@link createManifest}
+	 * (default read from the document before exporting)
+	 * @return {File} The file that was written
+	 */
+    CSTasks.exportDocument = function(doc, destFile, format, settings){
+        settings = settings || {};
+        format = format.toLowerCase();
+        var scaling = settings.scale || 100;
+        var index = settings.artboardIndex;
+        var perArtboard = (index !== undefined && index !== null);
+        var source = settings.source || documentSource(doc);
+        var options;
+        if (perArtboard) checkArtboardIndex(doc, index);
+
+        if (perArtboard && (format == "png" || format == "png8" || format == "jpg" || format == "jpeg")) {
+            doc.artboards.setActiveArtboardIndex(index);
+        }
+
+        if (format == "png" || format == "png8") exportPNG(doc, destFile, format, scaling, index, settings);
+        else if (format == "jpg" || format == "jpeg") {
+            options = new ExportOptionsJPEG();
+            options.antiAliasing = true;
+            options.artBoardClipping = perArtboard;
+            options.horizontalScale = scaling;
+            options.verticalScale = scaling;
+            options.qualitySetting = (settings.quality === undefined) ? 80 : settings.quality;
+            doc.exportFile(destFile, ExportType.JPEG, options);
+        }
+        else if (format == "svg") {
+            options = new ExportOptionsSVG();
+            options.embedRasterImages = true;
+            if (perArtboard) {
+                options.saveMultipleArtboards = true;
+                options.artboardRange = String(index + 1);
+            }
+            doc.exportFile(destFile, ExportType.SVG, options);
+            if (perArtboard) restoreArtboardFileName(destFile, doc.artboards[index].name);
+        }
+        else if (format == "pdf") {
+            options = new PDFSaveOptions();
+            if (perArtboard) options.artboardRange = String(index + 1);
+            saveCopyAs(doc, destFile, options);
+        }
+        else if (format == "eps") {
+            options = new EPSSaveOptions();
+            if (perArtboard) {
+                options.saveMultipleArtboards = true;
+                options.artboardRange = String(index + 1);
+            }
+            saveCopyAs(doc, destFile, options);
+            if (perArtboard) restoreArtboardFileName(destFile, doc.artboards[index].name);
+        }
+        else throw new Error("Unknown export format: " + format);
+
+        if (settings.manifest) settings.manifest.add(doc, destFile, format, {scale: scaling, artboardIndex: index, source: source});
+        return destFile;
+    };
+
+    /**
+     * @function exportTargets
+	 * @description Takes a document, an output folder and a list of export targets, and writes every target.
+	 * Each target is an object with:
+	 * format: "png", "png8", "jpg", "svg", "pdf" or "eps" (default "png");
+	 * scale: percent scale (default 100), or width and/or height: the size in pixels, from which the scale is worked out;
+	 * artboards: "each" to export every artboard on its own (default), "all" to export the whole document as one file,
+	 * or an artboard index or array of indices;
+	 * name: a filename template (see {@link formatFileName}) using the tokens {docName}, {artboardName}, {index}, {scale},
+	 * {width}, {height}, {format} and {colorspace};
+	 * quality: JPEG quality (0-100); transparency, matte and antiAliasing: PNG settings, as in {@link scaleAndExportPNG}.
+	 * File names that collide within the run get a numbered suffix (see {@link getUniqueFile}).
+	 * All the PDF and EPS files are saved from one copy of the document (see {@link exportDocument}).
+	 * @param {Document} doc The document to export
+	 * @param {Folder} folder The folder to write the files to
+	 * @param {array} targets Array of target objects as described above
+	 * @param {Object} options Optional. overwrite: if false, existing files are not overwritten and a numbered name is used instead;
+	 * tokens: an object with values for extra tokens in the filename templates;
+	 * manifest: a Manifest to add the files to (see {@link createManifest}), or a file name such as "manifest.json" to write a new one to in the folder
+	 * @return {array} Array of the Files that were written
+	 */
+    CSTasks.exportTargets = function(doc, folder, targets, options){
+        options = options || {};
+        var manifest = getManifest(options.manifest);
+        //read once, so every entry names the document as it was before any of the exports
+        var source = documentSource(doc);
+        var docName = doc.name.replace(/\.[^\.]+$/, "");
+        var colorspace = (doc.documentColorSpace == DocumentColorSpace.CMYK) ? "cmyk" : "rgb";
+        var used = {};
+        var written = [];
+        var previousCopy = exportCopy;
+        exportCopy = {doc: doc, copy: null};
+        try {
+            for (var t = 0; t < targets.length; t++){
+                var target = targets[t];
+                var format = (target.format || "png").toLowerCase();
+                if (!exportExtensions.hasOwnProperty(format)) throw new Error("Unknown export format: " + format);
+
+                var indices;
+                if (target.artboards === "all") indices = [undefined];
+                else if (target.artboards === undefined || target.artboards === "each") {
+                    indices = [];
+                    for (var i = 0; i < doc.artboards.length; i++) indices.push(i);
+                }
+                else indices = isArray(target.artboards) ? target.artboards : [target.artboards];
+
+                for (var j = 0; j < indices.length; j++){
+                    var index = indices[j];
+                    var wholeDoc = (index === undefined);
+                    var rect = wholeDoc ? doc.visibleBounds : doc.artboards[index].artboardRect;
+                    var scaling = (target.width || target.height) ? CSTasks.getScaleForSize(rect, target.width, target.height) : (target.scale || 100);
+                    var template = target.name || (wholeDoc ? "{docName}_{scale}" : "{docName}_{artboardName}_{scale}");
+                    var tokens = {
+                        docName: docName,
+                        artboardName: wholeDoc ? "" : doc.artboards[index].name,
+                        index: wholeDoc ? "" : index,
+                        scale: Math.round(scaling * 100) / 100,
+                        width: Math.round((rect[2] - rect[0]) * scaling / 100),
+                        height: Math.round((rect[1] - rect[3]) * scaling / 100),
+                        format: format,
+                        colorspace: colorspace
+                    };
+                    if (options.tokens) {
+                        for (var key in options.tokens) if (options.tokens.hasOwnProperty(key)) tokens[key] = options.tokens[key];
+                    }
+                    var name = CSTasks.formatFileName(template, tokens);
+                    var destFile = CSTasks.getUniqueFile(folder, name, exportExtensions[format], used, options.overwrite);
+                    written.push(CSTasks.exportDocument(doc, destFile, format, {scale: scaling, artboardIndex: index, quality: target.quality,
+                        transparency: target.transparency, matte: target.matte, antiAliasing: target.antiAliasing, manifest: manifest, source: source}));
+                }
+            }
+        }
+        finally {
+            if (exportCopy.copy) exportCopy.copy.close(SaveOptions.DONOTSAVECHANGES);
+            exportCopy = previousCopy;
+        }
+        if (typeof options.manifest == "string") manifest.write(new File(folder.fsName + "/" + options.manifest));
+        return written;
+    };
+
+    /**
+     * @function exportArtboards
+	 * @description Takes a document, output folder and filename template and exports each artboard to its own file.
+	 * The template can use the tokens {docName}, {artboardName}, {index}, {scale}, {width}, {height}, {format} and {colorspace},
+	 * e.g. "{docName}-{artboardName}@{scale}". Unsafe characters are replaced and colliding names get a numbered suffix.
+	 * @param {Document} doc The document to export
+	 * @param {Folder} folder The folder to write the files to
+	 * @param {String} template The filename template, without extension
+	 * @param {Object} options Optional. format (default "png"), scale, width, height and quality as in {@link exportTargets};
+	 * artboards: index or array of indices to export instead of every artboard; overwrite: if false, existing files are kept;
+	 * manifest: see {@link exportTargets}
+	 * @return {array} Array of the Files that were written, one per artboard
+	 */
+    CSTasks.exportArtboards = function(doc, folder, template, options){
+        options = options || {};
+        var target = {
+            format: options.format,
+            scale: options.scale,
+            width: options.width,
+            height: options.height,
+            quality: options.quality,
+            artboards: (options.artboards === undefined) ? "each" : options.artboards,
+            name: template
+        };
+        return CSTasks.exportTargets(doc, folder, [target], {overwrite: options.overwrite, manifest: options.manifest});
+    };
+
+    /**
+     * @function createManifest
+	 * @description Returns a Manifest, which keeps a record of exported files so that other tools can find them without guessing at file names.
+	 * Pass it as the manifest setting or option of {@link exportDocument}, {@link exportTargets}, {@link exportArtboards}, {@link scaleAndExportPNG}
+	 * or {@link generateVariants}, and each file they write is added to it. A Manifest has:
+	 * entries: array of {source, document, artboard, artboardIndex, format, scale, width, height, colorspace, path, bytes, sha256},
+	 * where source is the document's file (or its name if it hasn't been saved), artboard is the artboard's name (null for the whole document),
+	 * scale is null for vector formats, width and height are in pixels (points for vector formats), colorspace is "rgb" or "cmyk",
+	 * and sha256 is the hash of the file's contents (see {@link hashFile});
+	 * and the methods add(doc, file, format, settings), which records a file written by exportDocument with those settings
+	 * (settings.source, if given, is the {source, document} to record, as read from the document before anything was exported),
+	 * and write(file), which writes the entries to a JSON file, adding to each its path relative to the JSON file as file.
+	 * @param {Object} options Optional. hash: false to leave out the hashes, which are slow for large files
+	 * @return {Object} The Manifest
+	 */
+    CSTasks.createManifest = function(options){
+        options = options || {};
+        var manifest = {entries: []};
+
+        manifest.add = function(doc, file, format, settings){
+            settings = settings || {};
+            format = format.toLowerCase();
+            var index = settings.artboardIndex;
+            var wholeDoc = (index === undefined || index === null);
+            var raster = (format == "png" || format == "png8" || format == "jpg" || format == "jpeg");
+            var scale = raster ? (settings.scale || 100) : 100;
+            var rect = wholeDoc ? doc.visibleBounds : doc.artboards[index].artboardRect;
+            var source = settings.source || documentSource(doc);
+            var entry = {
+                source: source.source,
+                document: source.document,
+                artboard: wholeDoc ? null : doc.artboards[index].name,
+                artboardIndex: wholeDoc ? null : index,
+                format: format,
+                scale: raster ? scale : null,
+                width: Math.round((rect[2] - rect[0]) * scale / 100),
+                height: Math.round((rect[1] - rect[3]) * scale / 100),
+                colorspace: (doc.documentColorSpace == DocumentColorSpace.CMYK) ? "cmyk" : "rgb",
+                path: file.fsName,
+                bytes: file.length
+            };
+            if (options.hash !== false) entry.sha256 = CSTasks.hashFile(file);
+            manifest.entries.push(entry);
+            return entry;
+        };
+
+        manifest.write = function(file){
+            var folder = file.parent.fsName + "/";
+            var entries = [];
+            for (var i = 0; i < manifest.entries.length; i++){
+                var entry = {};
+                for (var key in manifest.entries[i]) entry[key] = manifest.entries[i][key];
+                entry.file = (entry.path.indexOf(folder) == 0) ? entry.path.substr(folder.length) : entry.path;
+                entries.push(entry);
+            }
+            return CSTasks.writeTextFile(file, CSTasks.toJSON({generated: new Date().toString(), count: entries.length, assets: entries}, "  "));
+        };
+
+        return manifest;
+    };
+
+    //returns a document's {source, document} for a manifest entry: its file (or its name if it hasn't been saved) and its name
+    function documentSource(doc){
+        var source = {source: doc.name, document: doc.name};
+        try {
+            if (doc.fullName) source.source = doc.fullName.fsName;
+        }
+        catch (e) {
+            //the document hasn't been saved
+        }
+        return source;
+    }
+
+    //takes a manifest option: returns the Manifest, or a new one if it's a file name to write, or null
+    function getManifest(option){
+        if (!option) return null;
+        return (typeof option == "string") ? CSTasks.createManifest() : option;
+    }
 
 	/***
 	TEXT
 	****/
-	
+	//Fonts can be given by their PostScript name (e.g. "Helvetica-Bold"), or as {family, style} (e.g. {family: "Helvetica", style: "Bold"}),
+	//where the style defaults to "Regular". Families and styles are compared without regard to case.
+
+	//fonts by name and by family and style, rebuilt when the number of installed fonts changes
+	var fontIndex = null;
+
+	function getFontIndex(){
+		if (fontIndex && fontIndex.length == textFonts.length) return fontIndex;
+		fontIndex = {length: textFonts.length, byName: {}, byFamily: {}};
+		for (var i = 0; i < textFonts.length; i++){
+			var font = textFonts[i];
+			fontIndex.byName[font.name] = font;
+			var family = String(font.family).toLowerCase();
+			if (!fontIndex.byFamily.hasOwnProperty(family)) fontIndex.byFamily[family] = {};
+			fontIndex.byFamily[family][String(font.style).toLowerCase()] = font;
+		}
+		return fontIndex;
+	}
+
+	function describeFont(font){
+		if (typeof font == "string") return font;
+		return font.family + " " + (font.style || "Regular");
+	}
+
+	/**
+     * @function findFont
+	 * @description Looks up an installed font by name or by family and style, trying each fallback in turn if it isn't installed
+	 * @param font The font name, or {family, style}
+	 * @param {array} fallbacks Optional. Fonts to try in order if the first isn't installed, each a name or {family, style}
+	 * @return {TextFont} The first of the fonts that is installed, or null if none of them are
+	 */
+	CSTasks.findFont = function(font, fallbacks){
+		var index = getFontIndex();
+		var candidates = [font].concat(fallbacks || []);
+		for (var i = 0; i < candidates.length; i++){
+			var candidate = candidates[i];
+			if (typeof candidate == "string") {
+				if (index.byName.hasOwnProperty(candidate)) return index.byName[candidate];
+			}
+			else {
+				var styles = index.byFamily[String(candidate.family).toLowerCase()];
+				var style = String(candidate.style || "Regular").toLowerCase();
+				if (styles && styles.hasOwnProperty(style)) return styles[style];
+			}
+		}
+		return null;
+	};
+
 	/**
      * @function setFont
-	 * @description Takes a text frame and a string with the desired font name, sets the text frame to the desired font or alerts if not found 
+	 * @description Takes a text frame and the desired font and sets the text frame to the first of the font and its fallbacks that is installed (see {@link findFont}).
+	 * If none of them are installed, a MissingFontError is reported (see {@link reportError}) and the font is left as it is.
 	 * @param {textFrame} textRef The text frame whose font you want to set
-	 * @param {String} desiredFont A string with the name of the font you want
+	 * @param desiredFont The name of the font you want, or {family, style}
+	 * @param {array} fallbacks Optional. Fonts to use if the desired font isn't installed
+	 * @return {TextFont} The font that was set, or null
 	 */  
-	CSTasks.setFont = function(textRef, desiredFont){
-		var foundFont = false;
-		for (var i = 0; i < textFonts.length; i++){
-			if (textFonts[i].name == desiredFont) {
-				textRef.textRange.characterAttributes.textFont = textFonts[i];
-				foundFont = true;
-				break;
-			}		
+	CSTasks.setFont = function(textRef, desiredFont, fallbacks){
+		var font = CSTasks.findFont(desiredFont, fallbacks);
+		if (font) textRef.textRange.characterAttributes.textFont = font;
+		else {
+			var names = [describeFont(desiredFont)];
+			for (var i = 0; fallbacks && i < fallbacks.length; i++) names.push(describeFont(fallbacks[i]));
+			CSTasks.reportError(CSTasks.createError(CSTasks.ErrorType.MISSING_FONT,
+				"Didn't find the font " + names.join(", ") + ". Please check if the font is installed or check the script to make sure the font name is right.", {font: desiredFont}));
 		}
-		if (!foundFont) alert("Didn't find the font. Please check if the font is installed or check the script to make sure the font name is right.");
+		return font;
 	};
-	
+
+	//Justification values for the names understood by applyTextStyle
+	var justifications = {left: "LEFT", center: "CENTER", right: "RIGHT", full: "FULLJUSTIFYLASTLINELEFT"};
+
+	/**
+     * @function applyTextStyle
+	 * @description Applies a style to all the text in a text frame. Only the properties that are set in the style are changed.
+	 * @param {textFrame} textRef The text frame
+	 * @param {Object} style Object with any of: font: a font name or {family, style}; fallbacks: fonts to try if it isn't installed (see {@link setFont});
+	 * size: font size in pts; leading: line spacing in pts, or "auto"; tracking: in thousandths of an em;
+	 * color: the fill color, such as a color from a palette; justification: "left", "center", "right" or "full", or a Justification value
+	 * @return {textFrame} The text frame
+	 */
+	CSTasks.applyTextStyle = function(textRef, style){
+		var attributes = textRef.textRange.characterAttributes;
+		if (style.font) CSTasks.setFont(textRef, style.font, style.fallbacks);
+		if (style.size !== undefined) attributes.size = style.size;
+		if (style.leading == "auto") attributes.autoLeading = true;
+		else if (style.leading !== undefined) {
+			attributes.autoLeading = false;
+			attributes.leading = style.leading;
+		}
+		if (style.tracking !== undefined) attributes.tracking = style.tracking;
+		if (style.color) attributes.fillColor = style.color;
+		if (style.justification) {
+			textRef.textRange.paragraphAttributes.justification = justifications.hasOwnProperty(style.justification) ?
+				Justification[justifications[style.justification]] : style.justification;
+		}
+		return textRef;
+	};
+
 	/**
      * @function createTextFrame
-	 * @description Creates a text frame in a specified document with the specified message, position and font size
+	 * @description Creates a text frame in a specified document with the specified message, position and style.
+	 * For example, createTextFrame(doc, "Label", [0, 0], {font: {family: "Helvetica", style: "Bold"}, size: 18, area: [200, 50]}).
 	 * @param {Document} doc The document where you want to place the text frame
 	 * @param {String} message The contents for the text frame
 	 * @param {array} pos The top left corner of the text frame as an [x,y] array
-	 * @param {number} size Font size in pts
+	 * @param style Font size in pts, or a style object as in {@link applyTextStyle}, which can also have area:
+	 * a [width, height] array to make area text that wraps inside that box, instead of point text
+	 * @return {textFrame} The new text frame
 	 */  	
-    CSTasks.createTextFrame = function(doc, message, pos, size){
-        var textRef = doc.textFrames.add();
+    CSTasks.createTextFrame = function(doc, message, pos, style){
+        if (typeof style == "number") style = {size: style};
+        style = style || {};
+        var textRef;
+        if (style.area) textRef = doc.textFrames.areaText(doc.pathItems.rectangle(pos[1], pos[0], style.area[0], style.area[1]));
+        else textRef = doc.textFrames.add();
         textRef.contents = message;
-        textRef.left = pos[0];
-        textRef.top = pos[1];
-        textRef.textRange.characterAttributes.size = size;
+        CSTasks.applyTextStyle(textRef, style);
+        if (!style.area) {
+            textRef.left = pos[0];
+            textRef.top = pos[1];
+        }
+        return textRef;
+    };
+
+    /**
+     * @function substituteText
+	 * @description Fills in variables in the text frames in a container, like {@link formatFileName} does for file names.
+	 * Each {name} in a text frame is replaced with the matching value; unknown variables are left as they are.
+	 * Only the variables' characters are replaced, so each takes the formatting of its own first character and the rest of the frame keeps its formatting. Locked and hidden frames are skipped unless options.unlock and options.unhide are set.
+	 * @param container The Document, Layer or GroupItem, or an array of text frames
+	 * @param {Object} values Object with a value for each variable
+	 * @param {Object} options Optional. unlock and unhide: also change locked and/or hidden frames (they're restored afterwards)
+	 * @return {Object} Report with touched: the frames that were changed, and skipped: the locked and hidden frames that weren't
+	 */
+    CSTasks.substituteText = function(container, values, options){
+        var report = {touched: [], skipped: []};
+        var state = unlockForOptions(container, options);
+        try {
+            CSTasks.walk(container, function(item, info){
+                var matches = [];
+                String(item.contents).replace(/\{(\w+)\}/g, function(match, key, offset){
+                    if (values.hasOwnProperty(key)) matches.push({start: offset, length: match.length, value: String(values[key])});
+                    return match;
+                });
+                if (matches.length == 0) return;
+                if (info.locked || info.hidden) report.skipped.push(item);
+                else {
+                    //replace just the variable's characters, last first so the earlier offsets still hold;
+                    //setting the frame's contents would give all of it the first character's formatting
+                    for (var m = matches.length - 1; m >= 0; m--) {
+                        var range = item.characters[matches[m].start];
+                        range.length = matches[m].length;
+                        if (matches[m].value == "") range.remove();
+                        else range.contents = matches[m].value;
+                    }
+                    report.touched.push(item);
+                }
+            }, "TextFrame");
+        }
+        finally {
+            if (state) CSTasks.restoreContents(state);
+        }
+        logSkipped("substituteText", report.skipped);
+        return report;
+    };
+
+    /**
+     * @function outlineText
+	 * @description Converts the text frames in a container to outlines, so the artwork doesn't depend on installed fonts.
+	 * Locked and hidden frames are skipped unless options.unlock and options.unhide are set.
+	 * @param container The Document, Layer or GroupItem, or an array of text frames
+	 * @param {Object} options Optional. unlock and unhide: also convert locked and/or hidden frames (their containers are restored afterwards)
+	 * @return {Object} Report with touched: the groups of outlines that replaced the frames, and skipped: the locked and hidden frames
+	 */
+    CSTasks.outlineText = function(container, options){
+        var report = {touched: [], skipped: []};
+        var state = unlockForOptions(container, options);
+        try {
+            var frames = [];
+            CSTasks.walk(container, function(item, info){
+                if (info.locked || info.hidden) report.skipped.push(item);
+                else frames.push(item);
+            }, "TextFrame");
+            for (var i = 0; i < frames.length; i++) report.touched.push(frames[i].createOutline());
+        }
+        finally {
+            if (state) CSTasks.restoreContents(state);
+        }
+        logSkipped("outlineText", report.skipped);
+        return report;
     };
     
     
@@ -373,7 +2163,7 @@ var CSTasks = (function(){
     Color palette
     ************/
     //A quick and dirty way to deal with color palettes with corresponding RGB and CMYK values. 
-    //In future, might connect to custom swatches?
+    //Palettes can also be read from files and swatches: see Palette files below.
     
     /**
      * @function initializeColorPalette
@@ -402,78 +2192,715 @@ var CSTasks = (function(){
         return colors;
     };
     
+    /*************
+    Palette files
+    **************/
+    //Palettes can also be kept in files as a list of named colors, called a palette definition:
+    //[{name: "Brand Blue", rgb: [0, 94, 184], cmyk: [100, 60, 0, 0], hex: "#005EB8", spot: "PANTONE 300 C"}, ...]
+    //rgb is 0-255 and cmyk is 0-100. Each color needs at least one of rgb, cmyk and hex; the others are filled in
+    //by Illustrator's color conversion. spot is optional and records the name of a matching spot color.
+
+    /**
+     * @function hexToRGB
+	 * @description Takes a hex color string such as "#005EB8" or "05B" and returns its RGB values. Throws an InvalidColorError if it isn't a hex color.
+	 * @param {String} hex The hex color, with or without "#"
+	 * @return {array} The color as an [R,G,B] array (range 0-255)
+	 */
+    CSTasks.hexToRGB = function(hex){
+        hex = String(hex).replace(/^#/, "");
+        if (hex.length == 3) hex = hex.charAt(0) + hex.charAt(0) + hex.charAt(1) + hex.charAt(1) + hex.charAt(2) + hex.charAt(2);
+        if (!/^[0-9a-fA-F]{6}$/.test(hex)) raise(CSTasks.ErrorType.INVALID_COLOR, "Invalid hex color: " + hex, {color: hex});
+        return [parseInt(hex.substr(0, 2), 16), parseInt(hex.substr(2, 2), 16), parseInt(hex.substr(4, 2), 16)];
+    };
+
+    /**
+     * @function rgbToHex
+	 * @description Takes RGB values and returns the hex color string
+	 * @param {array} rgb The color as an [R,G,B] array (range 0-255)
+	 * @return {String} The hex color in the form "#005EB8"
+	 */
+    CSTasks.rgbToHex = function(rgb){
+        var hex = "#";
+        for (var i = 0; i < 3; i++){
+            var value = Math.max(0, Math.min(255, Math.round(rgb[i])));
+            hex += (value < 16 ? "0" : "") + value.toString(16).toUpperCase();
+        }
+        return hex;
+    };
+
+    function convertSampleColor(values, fromSpace, toSpace){
+        var converted = app.convertSampleColor(fromSpace, values, toSpace, ColorConvertPurpose.defaultpurpose);
+        for (var i = 0; i < converted.length; i++) converted[i] = Math.round(converted[i]);
+        return converted;
+    }
+
+    //fills in the missing rgb, cmyk and hex values of a palette definition entry
+    function completePaletteEntry(entry){
+        var rgb = entry.rgb ? entry.rgb.slice(0) : null;
+        var cmyk = entry.cmyk ? entry.cmyk.slice(0) : null;
+        if (!rgb && entry.hex) rgb = CSTasks.hexToRGB(entry.hex);
+        if (!rgb && cmyk) rgb = convertSampleColor(cmyk, ImageColorSpace.CMYK, ImageColorSpace.RGB);
+        if (!rgb) raise(CSTasks.ErrorType.INVALID_COLOR, "Palette color " + entry.name + " has no RGB, CMYK or hex value", {color: entry.name});
+        if (!cmyk) cmyk = convertSampleColor(rgb, ImageColorSpace.RGB, ImageColorSpace.CMYK);
+
+        var complete = {name: String(entry.name), rgb: rgb, cmyk: cmyk, hex: CSTasks.rgbToHex(rgb)};
+        if (entry.spot) complete.spot = String(entry.spot);
+        return complete;
+    }
+
+    /**
+     * @function initializePalette
+	 * @description Takes a palette definition (see above) and returns a color palette like {@link initializeColorPalette}
+	 * @param {array} definition Array of palette colors in the form {name, rgb, cmyk, hex, spot}
+	 * @return {array} A 2-dimensional array with corresponding RGBColor and CMYKColor objects in the form [[RGBColor,CMYKColor],[RGBColor2,CMYKColor2],...]
+	 */
+    CSTasks.initializePalette = function(definition){
+        var RGBArray = [];
+        var CMYKArray = [];
+        for (var i = 0; i < definition.length; i++){
+            var entry = completePaletteEntry(definition[i]);
+            RGBArray.push(entry.rgb);
+            CMYKArray.push(entry.cmyk);
+        }
+        return CSTasks.initializeColorPalette(RGBArray, CMYKArray);
+    };
+
+    /**
+     * @function readPaletteJSON
+	 * @description Reads a palette definition from a JSON file. The file holds either an array of colors
+	 * or an object with a colors array, e.g. {"name": "Brand", "colors": [{"name": "Brand Blue", "hex": "#005EB8"}]}
+	 * @param {File} file The JSON file
+	 * @return {array} The palette definition, with rgb, cmyk and hex filled in for every color
+	 */
+    CSTasks.readPaletteJSON = function(file){
+        var data = CSTasks.parseJSON(CSTasks.readTextFile(file));
+        var colors = isArray(data) ? data : data.colors;
+        if (!isArray(colors)) throw new Error(file.name + " doesn't contain a list of colors");
+        var definition = [];
+        for (var i = 0; i < colors.length; i++) definition.push(completePaletteEntry(colors[i]));
+        return definition;
+    };
+
+    /**
+     * @function writePaletteJSON
+	 * @description Writes a palette definition to a JSON file in the form read by {@link readPaletteJSON}
+	 * @param {array} definition The palette definition
+	 * @param {File} file The file to write
+	 * @param {String} name Optional name for the palette
+	 * @return {File} The file that was written
+	 */
+    CSTasks.writePaletteJSON = function(definition, file, name){
+        var colors = [];
+        for (var i = 0; i < definition.length; i++) colors.push(completePaletteEntry(definition[i]));
+        var data = {name: name || file.name.replace(/\.[^\.]+$/, ""), colors: colors};
+        return CSTasks.writeTextFile(file, CSTasks.toJSON(data, "  "));
+    };
+
+    //Adobe Swatch Exchange files are big-endian binary: "ASEF", version 1.0, the number of blocks, then the blocks.
+    //Each block has a type (group start, group end or color), its length, and for colors a UTF-16 name,
+    //a color model ("RGB ", "CMYK", "Gray" or "LAB ") with 32-bit float values, and a color type (0 global, 1 spot, 2 normal).
+    var aseGroupStart = 0xC001, aseGroupEnd = 0xC002, aseColor = 0x0001;
+
+    function readFloat32(data, pos){
+        var b0 = data.charCodeAt(pos), b1 = data.charCodeAt(pos + 1), b2 = data.charCodeAt(pos + 2), b3 = data.charCodeAt(pos + 3);
+        var sign = (b0 & 0x80) ? -1 : 1;
+        var exponent = ((b0 & 0x7f) << 1) | (b1 >> 7);
+        var mantissa = ((b1 & 0x7f) << 16) | (b2 << 8) | b3;
+        if (exponent == 0) return sign * mantissa * Math.pow(2, -149);
+        if (exponent == 255) return mantissa ? NaN : sign * Infinity;
+        return sign * (1 + mantissa / 8388608) * Math.pow(2, exponent - 127);
+    }
+
+    function writeFloat32(value){
+        if (value == 0 || !isFinite(value)) return String.fromCharCode(0, 0, 0, 0);
+        var sign = (value < 0) ? 0x80 : 0;
+        value = Math.abs(value);
+        var exponent = Math.floor(Math.log(value) / Math.LN2);
+        if (value / Math.pow(2, exponent) >= 2) exponent++;
+        if (value / Math.pow(2, exponent) < 1) exponent--;
+        var mantissa = Math.round((value / Math.pow(2, exponent) - 1) * 8388608);
+        if (mantissa >= 8388608) {
+            mantissa = 0;
+            exponent++;
+        }
+        exponent += 127;
+        if (exponent <= 0) return String.fromCharCode(0, 0, 0, 0); //too small for a color value to matter
+        return String.fromCharCode(sign | (exponent >> 1), ((exponent & 1) << 7) | (mantissa >> 16), (mantissa >> 8) & 0xff, mantissa & 0xff);
+    }
+
+    function writeUint16(value){
+        return String.fromCharCode((value >> 8) & 0xff, value & 0xff);
+    }
+
+    function writeUint32(value){
+        return writeUint16(Math.floor(value / 65536)) + writeUint16(value % 65536);
+    }
+
+    /**
+     * @function readPaletteASE
+	 * @description Reads a palette definition from an Adobe Swatch Exchange (.ase) file.
+	 * Spot colors keep their name as spot. Colors with the same name in different color models are combined into one entry.
+	 * @param {File} file The .ase file
+	 * @return {array} The palette definition, with rgb, cmyk and hex filled in for every color
+	 */
+    CSTasks.readPaletteASE = function(file){
+        file.encoding = "BINARY";
+        if (!file.open("r")) throw new Error("Couldn't open " + file.fsName);
+        var data = file.read();
+        file.close();
+        if (data.substr(0, 4) != "ASEF") throw new Error(file.name + " is not an Adobe Swatch Exchange file");
+
+        var pos = 8; //skip the signature and version
+        function uint16(){
+            var value = (data.charCodeAt(pos) << 8) | data.charCodeAt(pos + 1);
+            pos += 2;
+            return value;
+        }
+        var blockCount = uint16() * 65536 + uint16();
+        var entries = [];
+        var byName = {};
+        for (var b = 0; b < blockCount && pos < data.length; b++){
+            var type = uint16();
+            var length = uint16() * 65536 + uint16();
+            var blockEnd = pos + length;
+            if (type == aseColor){
+                var nameLength = uint16();
+                var name = "";
+                for (var c = 0; c < nameLength - 1; c++) name += String.fromCharCode(uint16());
+                pos += 2; //null terminator
+                var model = data.substr(pos, 4);
+                pos += 4;
+                var channels = {"RGB ": 3, "CMYK": 4, "Gray": 1, "LAB ": 3}[model] || 0;
+                var values = [];
+                for (var v = 0; v < channels; v++){
+                    values.push(readFloat32(data, pos));
+                    pos += 4;
+                }
+                var colorType = uint16();
+
+                var entry = byName.hasOwnProperty(name) ? byName[name] : {name: name};
+                if (model == "RGB ") entry.rgb = [Math.round(values[0] * 255), Math.round(values[1] * 255), Math.round(values[2] * 255)];
+                else if (model == "CMYK") entry.cmyk = [Math.round(values[0] * 100), Math.round(values[1] * 100), Math.round(values[2] * 100), Math.round(values[3] * 100)];
+                else if (model == "Gray" && !entry.rgb) entry.rgb = [Math.round(values[0] * 255), Math.round(values[0] * 255), Math.round(values[0] * 255)];
+                else if (model == "LAB " && !entry.rgb) entry.rgb = convertSampleColor([values[0] * 100, values[1], values[2]], ImageColorSpace.LAB, ImageColorSpace.RGB);
+                if (colorType == 1) entry.spot = name;
+                if (!byName.hasOwnProperty(name) && (entry.rgb || entry.cmyk)){
+                    byName[name] = entry;
+                    entries.push(entry);
+                }
+            }
+            //group start and end blocks only hold the group name, which isn't needed for a palette
+            pos = blockEnd;
+        }
+
+        var definition = [];
+        for (var i = 0; i < entries.length; i++) definition.push(completePaletteEntry(entries[i]));
+        return definition;
+    };
+
+    /**
+     * @function writePaletteASE
+	 * @description Writes a palette definition to an Adobe Swatch Exchange (.ase) file as a single named group.
+	 * ASE holds one color model per swatch, so the colors are written in either RGB or CMYK.
+	 * Colors with a spot name are written as spot colors, the rest as global colors.
+	 * @param {array} definition The palette definition
+	 * @param {File} file The file to write
+	 * @param {Object} options Optional. model: "RGB" (default) or "CMYK"; name: the group name (default the file name)
+	 * @return {File} The file that was written
+	 */
+    CSTasks.writePaletteASE = function(definition, file, options){
+        options = options || {};
+        var useCMYK = (options.model == "CMYK");
+        var groupName = options.name || file.name.replace(/\.[^\.]+$/, "");
+
+        function nameBytes(name){
+            var bytes = writeUint16(name.length + 1);
+            for (var c = 0; c < name.length; c++) bytes += writeUint16(name.charCodeAt(c));
+            return bytes + writeUint16(0);
+        }
+        function block(type, body){
+            return writeUint16(type) + writeUint32(body.length) + body;
+        }
+
+        var blocks = [block(aseGroupStart, nameBytes(groupName))];
+        for (var i = 0; i < definition.length; i++){
+            var entry = completePaletteEntry(definition[i]);
+            var body = nameBytes(entry.name);
+            if (useCMYK){
+                body += "CMYK";
+                for (var v = 0; v < 4; v++) body += writeFloat32(entry.cmyk[v] / 100);
+            }
+            else {
+                body += "RGB ";
+                for (var v = 0; v < 3; v++) body += writeFloat32(entry.rgb[v] / 255);
+            }
+            body += writeUint16(entry.spot ? 1 : 0);
+            blocks.push(block(aseColor, body));
+        }
+        blocks.push(block(aseGroupEnd, ""));
+
+        file.encoding = "BINARY";
+        if (!file.open("w")) throw new Error("Couldn't write to " + file.fsName);
+        file.write("ASEF" + writeUint16(1) + writeUint16(0) + writeUint32(blocks.length) + blocks.join(""));
+        file.close();
+        return file;
+    };
+
+    /**
+     * @function readPaletteSwatches
+	 * @description Reads a palette definition from a document's swatches, either from one swatch group or from all the swatches.
+	 * Gradients, patterns and the [None] and [Registration] swatches are skipped. Spot colors keep their name as spot.
+	 * @param {Document} doc The document with the swatches
+	 * @param {String} groupName Optional name of the swatch group to read
+	 * @return {array} The palette definition, with rgb, cmyk and hex filled in for every color
+	 */
+    CSTasks.readPaletteSwatches = function(doc, groupName){
+        var swatches = groupName ? doc.swatchGroups.getByName(groupName).getAllSwatches() : doc.swatches;
+        var definition = [];
+        for (var i = 0; i < swatches.length; i++){
+            var entry = {name: swatches[i].name};
+            var color = swatches[i].color;
+            if (/^\[.*\]$/.test(entry.name)) continue;
+            if (color.typename == "SpotColor"){
+                entry.spot = color.spot.name;
+                color = color.spot.color;
+            }
+            if (color.typename == "RGBColor") entry.rgb = [color.red, color.green, color.blue];
+            else if (color.typename == "CMYKColor") entry.cmyk = [color.cyan, color.magenta, color.yellow, color.black];
+            else if (color.typename == "GrayColor") entry.cmyk = [0, 0, 0, color.gray];
+            else continue;
+            definition.push(completePaletteEntry(entry));
+        }
+        return definition;
+    };
+
+    /**
+     * @function readPalette
+	 * @description Reads a palette definition from a .json or .ase file, depending on its extension
+	 * @param {File} file The palette file
+	 * @return {array} The palette definition
+	 */
+    CSTasks.readPalette = function(file){
+        if (/\.ase$/i.test(file.name)) return CSTasks.readPaletteASE(file);
+        return CSTasks.readPaletteJSON(file);
+    };
+
+    /***************
+    Palette objects
+    ****************/
+    //A Palette wraps a palette definition with names, lookups and configurable matching.
+    //Anywhere a color palette array is accepted, a Palette can be used instead.
+
+    /**
+     * @function rgbToLab
+	 * @description Takes sRGB values and returns the color in CIE Lab (D65 white point)
+	 * @param {array} rgb The color as an [R,G,B] array (range 0-255)
+	 * @return {array} The color as an [L,a,b] array
+	 */
+    CSTasks.rgbToLab = function(rgb){
+        var linear = [];
+        for (var i = 0; i < 3; i++){
+            var c = rgb[i] / 255;
+            linear[i] = (c <= 0.04045) ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        }
+        var xyz = [
+            (linear[0] * 0.4124 + linear[1] * 0.3576 + linear[2] * 0.1805) / 0.95047,
+            (linear[0] * 0.2126 + linear[1] * 0.7152 + linear[2] * 0.0722) / 1.00000,
+            (linear[0] * 0.0193 + linear[1] * 0.1192 + linear[2] * 0.9505) / 1.08883
+        ];
+        for (var i = 0; i < 3; i++){
+            xyz[i] = (xyz[i] > 0.008856) ? Math.pow(xyz[i], 1 / 3) : (7.787 * xyz[i] + 16 / 116);
+        }
+        return [116 * xyz[1] - 16, 500 * (xyz[0] - xyz[1]), 200 * (xyz[1] - xyz[2])];
+    };
+
+    /**
+     * @function deltaE
+	 * @description Returns the perceptual distance (CIE76 Delta E) between two Lab colors.
+	 * A distance under about 2.3 is barely noticeable; the same color gives 0.
+	 * @param {array} lab1 A color as an [L,a,b] array
+	 * @param {array} lab2 Another color as an [L,a,b] array
+	 * @return {number} The distance between the colors
+	 */
+    CSTasks.deltaE = function(lab1, lab2){
+        return Math.sqrt(Math.pow(lab1[0] - lab2[0], 2) + Math.pow(lab1[1] - lab2[1], 2) + Math.pow(lab1[2] - lab2[2], 2));
+    };
+
+    //returns the Lab values of color channels as returned by getChannels
+    function channelsToLab(channels, colorspace){
+        if (colorspace == DocumentColorSpace.RGB) return CSTasks.rgbToLab([channels.red, channels.green, channels.blue]);
+        return app.convertSampleColor(ImageColorSpace.CMYK, [channels.cyan, channels.magenta, channels.yellow, channels.black],
+            ImageColorSpace.LAB, ColorConvertPurpose.defaultpurpose);
+    }
+
+    function isPalette(palette){
+        return palette && typeof palette.toArray == "function";
+    }
+
+    //accepts a Palette or a color palette array and returns the color palette array
+    function getPaletteArray(palette){
+        return isPalette(palette) ? palette.toArray() : palette;
+    }
+
+    /**
+     * @function createPalette
+	 * @description Takes a palette definition (see Palette files) and returns a Palette object, which can be used anywhere a color palette array is accepted.
+	 * A Palette has:
+	 * entries: array of {name, rgb, cmyk, hex, spot, colors} where colors is [RGBColor, CMYKColor];
+	 * tolerance: the largest difference in any channel that still counts as the same color (default 1);
+	 * mode: "exact" to only match within tolerance, or "nearest" to snap to the closest color by Delta E (default "exact");
+	 * maxDistance: in nearest mode, the largest Delta E that still snaps to a palette color (default 10);
+	 * and the methods get(name), indexOf(name), fromHex(hex), match(color, colorspace), nearest(color, colorspace), toArray() and toDefinition().
+	 * match returns {index, entry, distance}, with index -1 and entry null if nothing matches, or null if the color can't be compared (e.g. NoColor).
+	 * Its distance is the Delta E to the matched color, or to the nearest one if nothing matches (Infinity if the palette is empty).
+	 * nearest returns the same for the closest color whether it matches or not, or null if the palette is empty or the color can't be compared.
+	 * @param {array} definition Array of palette colors in the form {name, rgb, cmyk, hex, spot}
+	 * @param {Object} options Optional tolerance, mode and maxDistance as above
+	 * @return {Object} The Palette
+	 */
+    CSTasks.createPalette = function(definition, options){
+        options = options || {};
+        var entries = [];
+        for (var i = 0; i < definition.length; i++) entries.push(completePaletteEntry(definition[i]));
+        var colors = CSTasks.initializePalette(entries);
+        for (var i = 0; i < entries.length; i++) entries[i].colors = colors[i];
+        var labs = {}; //Lab values of the entries, by colorspace
+
+        var palette = {
+            entries: entries,
+            tolerance: (options.tolerance === undefined) ? 1 : options.tolerance,
+            mode: options.mode || "exact",
+            maxDistance: (options.maxDistance === undefined) ? 10 : options.maxDistance
+        };
+
+        palette.indexOf = function(name){
+            for (var i = 0; i < entries.length; i++){
+                if (entries[i].name == name) return i;
+            }
+            return -1;
+        };
+
+        palette.get = function(name){
+            var index = palette.indexOf(name);
+            return (index >= 0) ? entries[index] : null;
+        };
+
+        palette.fromHex = function(hex){
+            var wanted = CSTasks.rgbToHex(CSTasks.hexToRGB(hex));
+            for (var i = 0; i < entries.length; i++){
+                if (entries[i].hex == wanted) return entries[i];
+            }
+            return null;
+        };
+
+        palette.nearest = function(color, colorspace){
+            var channels = getChannels(color, colorspace);
+            if (!channels || entries.length == 0) return null;
+            var s = (colorspace == DocumentColorSpace.CMYK) ? 1 : 0;
+            if (!labs[s]){
+                labs[s] = [];
+                for (var i = 0; i < entries.length; i++) labs[s].push(channelsToLab(getChannels(entries[i].colors[s], colorspace), colorspace));
+            }
+            var lab = channelsToLab(channels, colorspace);
+            var best = {index: -1, entry: null, distance: Infinity};
+            for (var i = 0; i < entries.length; i++){
+                var distance = CSTasks.deltaE(lab, labs[s][i]);
+                if (distance < best.distance) best = {index: i, entry: entries[i], distance: distance};
+            }
+            return best;
+        };
+
+        palette.match = function(color, colorspace){
+            var channels = getChannels(color, colorspace);
+            if (!channels) return null;
+            var s = (colorspace == DocumentColorSpace.CMYK) ? 1 : 0;
+            var nearest = palette.nearest(color, colorspace);
+            //an empty palette (such as an empty swatch group) matches nothing
+            if (!nearest) return {index: -1, entry: null, distance: Infinity};
+            for (var i = 0; i < entries.length; i++){
+                if (channelsMatch(channels, getChannels(entries[i].colors[s], colorspace), palette.tolerance)){
+                    var distance = (i == nearest.index) ? nearest.distance : CSTasks.deltaE(channelsToLab(channels, colorspace), labs[s][i]);
+                    return {index: i, entry: entries[i], distance: distance};
+                }
+            }
+            if (palette.mode == "nearest" && nearest.distance <= palette.maxDistance) return nearest;
+            return {index: -1, entry: null, distance: nearest.distance};
+        };
+
+        palette.toArray = function(){
+            return colors;
+        };
+
+        palette.toDefinition = function(){
+            var definition = [];
+            for (var i = 0; i < entries.length; i++){
+                var entry = {name: entries[i].name, rgb: entries[i].rgb, cmyk: entries[i].cmyk, hex: entries[i].hex};
+                if (entries[i].spot) entry.spot = entries[i].spot;
+                definition.push(entry);
+            }
+            return definition;
+        };
+
+        return palette;
+    };
+
+    /**
+     * @function loadPalette
+	 * @description Reads a palette file (.json or .ase) and returns a Palette as created by {@link createPalette}
+	 * @param {File} file The palette file
+	 * @param {Object} options Optional tolerance, mode and maxDistance as in {@link createPalette}
+	 * @return {Object} The Palette
+	 */
+    CSTasks.loadPalette = function(file, options){
+        return CSTasks.createPalette(CSTasks.readPalette(file), options);
+    };
+
+    //takes a palette color name, hex color, palette entry or color and returns it as a color for the colorspace,
+    //looking names up in the palette (a Palette object) if there is one
+    function resolveColor(value, palette, colorspace){
+        var s = (colorspace == DocumentColorSpace.CMYK) ? 1 : 0;
+        if (typeof value == "object") return value.colors ? value.colors[s] : value;
+        var entry = palette ? palette.get(value) : null;
+        if (entry) return entry.colors[s];
+        return CSTasks.initializePalette([{name: value, hex: value}])[0][s];
+    }
+
+    /************
+    Swatch sheets
+    ************/
+    //A swatch sheet shows a palette as a grid of labelled swatches, so that brand guideline pages can be made from
+    //the same palette the scripts use. Each swatch is labelled with its name, RGB, CMYK and hex values, and spot color if it has one.
+
+    //returns the entries of a Palette, palette definition or color palette array, with rgb, cmyk and hex filled in
+    function getPaletteEntries(palette){
+        if (isPalette(palette)) return palette.entries;
+        var entries = [];
+        for (var i = 0; i < palette.length; i++){
+            var color = palette[i];
+            if (isArray(color)) {
+                color = {name: "Color " + (i + 1), rgb: [color[0].red, color[0].green, color[0].blue],
+                    cmyk: [color[1].cyan, color[1].magenta, color[1].yellow, color[1].black]};
+            }
+            entries.push(completePaletteEntry(color));
+        }
+        var colors = CSTasks.initializePalette(entries);
+        for (var i = 0; i < entries.length; i++) entries[i].colors = colors[i];
+        return entries;
+    }
+
+    //returns the lines of a swatch label
+    function swatchLabel(entry){
+        var round = function(values){
+            var rounded = [];
+            for (var i = 0; i < values.length; i++) rounded.push(Math.round(values[i]));
+            return rounded.join(" ");
+        };
+        var lines = [entry.name, "RGB " + round(entry.rgb), "CMYK " + round(entry.cmyk), "HEX " + entry.hex];
+        if (entry.spot) lines.push(entry.spot);
+        return lines;
+    }
+
+    /**
+     * @function createSwatchSheet
+	 * @description Draws a palette as a grid of labelled swatches (see above) in a new document for each colorspace, by default one RGB and one CMYK document.
+	 * Each sheet has one artboard, sized to fit the grid. If a folder is given, the sheets are exported to it with {@link exportTargets}.
+	 * For example, createSwatchSheet(doc, CSTasks.loadPalette(file), {title: "Brand colors", folder: assets, exports: [{format: "pdf"}, {format: "png"}]}).
+	 * @param {Document} sourceDoc The document to take the units from, as in {@link newDocument}
+	 * @param palette A Palette (see {@link createPalette}), palette definition, or color palette array (whose colors are named "Color 1", "Color 2" and so on)
+	 * @param {Object} options Optional. colorspaces: array of the colorspaces to make a sheet in (default [DocumentColorSpace.RGB, DocumentColorSpace.CMYK]);
+	 * columns: the number of swatches in a row (default 4); swatch: the [width, height] of a swatch (default [120, 80]);
+	 * gutter: the space between swatches (default 18); margin: the space around the grid (default 36);
+	 * title: text for the top of the sheet; name: the sheet's artboard name (default "Palette");
+	 * text: style for the labels, as in {@link applyTextStyle} (default 9 pt); the title is twice the size;
+	 * folder: the folder to export to; exports: the export targets (default [{format: "pdf"}]), whose names can use the extra token {sheet}
+	 * and default to "{sheet}_{colorspace}"; overwrite and manifest: see {@link exportTargets};
+	 * close: true to close the sheets once they've been exported
+	 * @return {Object} Object with documents: the sheets (empty if they were closed), and files: the exported Files
+	 */
+    CSTasks.createSwatchSheet = function(sourceDoc, palette, options){
+        options = options || {};
+        var entries = getPaletteEntries(palette);
+        var colorspaces = options.colorspaces || [DocumentColorSpace.RGB, DocumentColorSpace.CMYK];
+        var columns = Math.max(1, Math.min(options.columns || 4, entries.length));
+        var swatch = options.swatch || [120, 80];
+        var gutter = options.gutter === undefined ? 18 : options.gutter;
+        var margin = options.margin === undefined ? 36 : options.margin;
+        var name = options.name || "Palette";
+
+        var textStyle = {size: 9};
+        if (options.text) {
+            for (var key in options.text) if (options.text.hasOwnProperty(key)) textStyle[key] = options.text[key];
+        }
+        if (textStyle.leading === undefined || textStyle.leading == "auto") textStyle.leading = Math.round(textStyle.size * 1.25 * 100) / 100;
+        var titleStyle = {size: textStyle.size * 2, leading: textStyle.leading * 2, font: textStyle.font, fallbacks: textStyle.fallbacks, color: textStyle.color};
+        var titleHeight = options.title ? titleStyle.leading + gutter : 0;
+
+        var labelHeight = 5 * textStyle.leading;
+        var cellHeight = swatch[1] + textStyle.leading / 2 + labelHeight;
+        var rows = Math.ceil(entries.length / columns);
+        var width = 2 * margin + columns * swatch[0] + (columns - 1) * gutter;
+        var height = 2 * margin + titleHeight + rows * cellHeight + Math.max(0, rows - 1) * gutter;
+
+        var manifest = getManifest(options.manifest);
+        var result = {documents: [], files: []};
+        for (var c = 0; c < colorspaces.length; c++){
+            var s = (colorspaces[c] == DocumentColorSpace.CMYK) ? 1 : 0;
+            var doc = CSTasks.newDocument(sourceDoc, colorspaces[c]);
+            var artboard = doc.artboards[0];
+            artboard.artboardRect = CSTasks.newRect(0, 0, width, height);
+            artboard.name = name;
+            var origin = [artboard.artboardRect[0] + margin, artboard.artboardRect[1] - margin];
+
+            if (options.title) CSTasks.createTextFrame(doc, options.title, origin, titleStyle).name = "Title";
+            for (var i = 0; i < entries.length; i++){
+                var left = origin[0] + (i % columns) * (swatch[0] + gutter);
+                var top = origin[1] - titleHeight - Math.floor(i / columns) * (cellHeight + gutter);
+                var rect = doc.pathItems.rectangle(top, left, swatch[0], swatch[1]);
+                rect.name = entries[i].name;
+                rect.filled = true;
+                rect.fillColor = entries[i].colors[s];
+                rect.stroked = false;
+                var label = CSTasks.createTextFrame(doc, swatchLabel(entries[i]).join("\r"), [left, top - swatch[1] - textStyle.leading / 2], textStyle);
+                label.name = entries[i].name + " label";
+            }
+
+            if (options.folder) {
+                var targets = options.exports || [{format: "pdf"}];
+                var named = [];
+                for (var t = 0; t < targets.length; t++){
+                    var target = {};
+                    for (var key in targets[t]) if (targets[t].hasOwnProperty(key)) target[key] = targets[t][key];
+                    target.name = target.name || "{sheet}_{colorspace}";
+                    named.push(target);
+                }
+                result.files = result.files.concat(CSTasks.exportTargets(doc, options.folder, named,
+                    {overwrite: options.overwrite, manifest: manifest, tokens: {sheet: name}}));
+            }
+            if (options.close) doc.close(SaveOptions.DONOTSAVECHANGES);
+            else result.documents.push(doc);
+        }
+        if (options.folder && typeof options.manifest == "string") manifest.write(new File(options.folder.fsName + "/" + options.manifest));
+        return result;
+    };
+
     /*************
     Color matching
     **************/
     
+    //Color functions work on the fill and stroke of each item. For each paint:
+    //- fills and strokes that are turned off, and NoColor, are skipped: they are never matched to a palette or converted
+    //- RGB, CMYK and gray colors are compared in the document colorspace (gray is treated as the equivalent RGB or CMYK color)
+    //- spot colors are compared using their base color with the tint applied, and are replaced with process colors when converted
+    //- gradients are matched and converted stop by stop, in a copy of the gradient swatch, so the objects that
+    //  weren't converted keep the original
+    //- pattern colors never match and are left alone
+
+    //returns the channel values of a color in the given colorspace as an object (e.g. {red, green, blue}),
+    //or null if the color can't be compared in that colorspace
+    function getChannels(color, colorspace){
+        if (!color) return null;
+        switch (color.typename){
+            case "RGBColor":
+                if (colorspace == DocumentColorSpace.RGB) return {red: color.red, green: color.green, blue: color.blue};
+                return null;
+            case "CMYKColor":
+                if (colorspace == DocumentColorSpace.CMYK) return {cyan: color.cyan, magenta: color.magenta, yellow: color.yellow, black: color.black};
+                return null;
+            case "GrayColor":
+                if (colorspace == DocumentColorSpace.RGB) {
+                    var value = 255 * (1 - color.gray / 100);
+                    return {red: value, green: value, blue: value};
+                }
+                return {cyan: 0, magenta: 0, yellow: 0, black: color.gray};
+            case "SpotColor":
+                var base = getChannels(color.spot.color, colorspace);
+                if (!base) return null;
+                for (var channel in base){
+                    if (colorspace == DocumentColorSpace.RGB) base[channel] = 255 - (255 - base[channel]) * color.tint / 100;
+                    else base[channel] = base[channel] * color.tint / 100;
+                }
+                return base;
+        }
+        return null;
+    }
+
+    function channelsMatch(channels1, channels2, tolerance){
+        if (tolerance === undefined) tolerance = 1;
+        for (var channel in channels1){
+            if (!(Math.abs(channels1[channel] - channels2[channel]) < tolerance)) return false; //can't do equality because it adds very small decimals
+        }
+        return true;
+    }
+
+    function isNoColor(color){
+        return !color || color.typename == "NoColor";
+    }
+
     /**
      * @function colorMatch
-	 * @description Compares two colors in the specified colorspace and returns true if they are the same, false if not
-	 * @param {RGBColor | CMYKColor} color1 First color to compare
-	 * @param {RGBColor | CMYKColor} color2 First color to compare
+	 * @description Compares two colors in the specified colorspace and returns true if they are the same, false if not.
+	 * Gray and spot colors are compared by their equivalent process color. NoColor only matches NoColor, and gradients and patterns never match.
+	 * @param {Color} color1 First color to compare
+	 * @param {Color} color2 Second color to compare
 	 * @param {DocumentColorSpace} colorspace The desired colorspace: DocumentColorSpace.RGB or DocumentColorSpace.CMYK
+	 * @param {number} tolerance Optional. Colors match if every channel differs by less than this (default 1)
 	 * @return {boolean} True if the colors are the same, false if not
-	 */     
-    CSTasks.colorMatch = function(color1, color2, colorspace){
-		if (colorspace == DocumentColorSpace.RGB){
-			if (Math.abs(color1.red - color2.red) < 1 &&
-			Math.abs(color1.green - color2.green) < 1 &&
-			Math.abs(color1.blue - color2.blue) < 1) { //can't do equality because it adds very small decimals
-				return true;
-			}
-		}
-		else if (colorspace == DocumentColorSpace.CMYK){
-			if (Math.abs(color1.cyan - color2.cyan) < 1 &&
-			Math.abs(color1.magenta - color2.magenta) < 1 &&
-			Math.abs(color1.yellow - color2.yellow) < 1 &&
-			Math.abs(color1.black - color2.black) < 1) { //can't do equality because it adds very small decimals
-				return true;
-			}		
-		}
-        return false;
+	 */
+    CSTasks.colorMatch = function(color1, color2, colorspace, tolerance){
+        if (isNoColor(color1) || isNoColor(color2)) return isNoColor(color1) && isNoColor(color2);
+        var channels1 = getChannels(color1, colorspace);
+        var channels2 = getChannels(color2, colorspace);
+        if (!channels1 || !channels2) return false;
+        return channelsMatch(channels1, channels2, tolerance);
     };
-    
+
+    //returns {index, distance} for the palette color matching color, with index -1 if there is no match.
+    //distance is only known for Palettes
+    function matchColorToPalette(color, palette, colorspace){
+        if (isPalette(palette)){
+            var match = palette.match(color, colorspace);
+            if (!match) return {index: -1};
+            var result = {index: match.index, distance: match.distance};
+            if (match.index < 0) {
+                var nearest = palette.nearest(color, colorspace);
+                result.nearest = nearest ? nearest.index : -1;
+            }
+            return result;
+        }
+        var channels = getChannels(color, colorspace);
+        if (!channels) return {index: -1};
+        var s = 0;
+        if (colorspace == DocumentColorSpace.CMYK) s = 1;
+        for (var i = 0; i < palette.length; i++){
+            if (channelsMatch(channels, getChannels(palette[i][s], colorspace))) return {index: i};
+        }
+        return {index: -1};
+    }
+
     /**
      * @function colorMatchToPalette
-	 * @description Compares a color to a color palette (as created in {@link initializeColorPalette}) in the specified colorspace. 
-	 * Returns the index of the matching color or -1 if no match.
-	 * @param {RGBColor | CMYKColor} color  Color to compare
-	 * @param {array} paletteArray Color palette as created from {@link initializeColorPalette}
+	 * @description Compares a color to a color palette (as created in {@link initializeColorPalette} or {@link createPalette}) in the specified colorspace.
+	 * Returns the index of the matching color or -1 if no match. NoColor, gradients and patterns return -1.
+	 * A Palette uses its own tolerance and, in nearest mode, returns the closest color within its maxDistance.
+	 * @param {Color} color  Color to compare
+	 * @param {array | Palette} paletteArray Color palette as created from {@link initializeColorPalette}, or a Palette
 	 * @param {DocumentColorSpace} colorspace The desired colorspace: DocumentColorSpace.RGB or DocumentColorSpace.CMYK
 	 * @return {number} Index of the matching color or -1 if no match
-	 */  
+	 */
     CSTasks.colorMatchToPalette = function(color, paletteArray, colorspace){
-    	if (colorspace == DocumentColorSpace.RGB){
-			for (var i = 0; i < paletteArray.length; i++){
-				if (Math.abs(color.red - paletteArray[i][0].red) < 1 &&
-				Math.abs(color.green - paletteArray[i][0].green) < 1 &&
-				Math.abs(color.blue - paletteArray[i][0].blue) < 1) { //can't do equality because it adds very small decimals
-					return i;
-				}
-			}
-    	}
-		else if (colorspace == DocumentColorSpace.CMYK){
-				for (var i = 0; i < paletteArray.length; i++){
-					if (Math.abs(color.cyan - paletteArray[i][1].cyan) < 1 &&
-					Math.abs(color.magenta - paletteArray[i][1].magenta) < 1 &&
-					Math.abs(color.yellow - paletteArray[i][1].yellow) < 1 &&
-					Math.abs(color.black - paletteArray[i][1].black) < 1) { //can't do equality because it adds very small decimals
-						return i;
-					}
-				}	
-		} 
-        return -1;
+        return matchColorToPalette(color, paletteArray, colorspace).index;
     };
-   
+
     /**
      * @function colorMatchItemsToPalette
-	 * @description Compares an array of pathItems to a color palette (as created in {@link initializeColorPalette}) in the specified colorspace. 
+	 * @description Compares an array of pathItems to a color palette (as created in {@link initializeColorPalette}) in the specified colorspace.
 	 * Returns an array with the index of the matching fill color (or -1 if no match) for each pathItem.
+	 * Only considers fill colors; use {@link matchItemColors} to match strokes and gradients as well.
 	 * @param {pathItems} pathItems  Array of pathItems
-	 * @param {array} paletteArray Color palette as created from {@link initializeColorPalette}
+	 * @param {array | Palette} paletteArray Color palette as created from {@link initializeColorPalette}, or a Palette
 	 * @param {DocumentColorSpace} colorspace The desired colorspace: DocumentColorSpace.RGB or DocumentColorSpace.CMYK
 	 * @return {array} Array in which each element is the index of a pathItem's matching color (or -1 if no match)
-	 */ 
+	 */
     CSTasks.colorMatchItemsToPalette = function(pathItems, paletteArray, colorspace){
         var colorIndex = new Array(pathItems.length);
         for (var i = 0; i < pathItems.length; i++ ) {
@@ -482,74 +2909,477 @@ var CSTasks = (function(){
         }
         return colorIndex;
     };
-    
-    
+
+    //returns null for a paint with no color, otherwise {index, distance, nearest} where index is an array of palette indices
+    //(one per stop) for a gradient, or the palette index (-1 if no match) for anything else; distance and nearest
+    //(the index of the closest palette color, for colors that don't match a Palette) are the same shape
+    function matchPaint(color, paletteArray, colorspace){
+        if (isNoColor(color)) return null;
+        if (color.typename == "GradientColor"){
+            var stops = color.gradient.gradientStops;
+            var indices = new Array(stops.length);
+            var distances = new Array(stops.length);
+            var nearest = new Array(stops.length);
+            for (var j = 0; j < stops.length; j++){
+                var stopMatch = matchColorToPalette(stops[j].color, paletteArray, colorspace);
+                indices[j] = stopMatch.index;
+                distances[j] = stopMatch.distance;
+                nearest[j] = stopMatch.nearest;
+            }
+            return {index: indices, distance: distances, nearest: nearest};
+        }
+        return matchColorToPalette(color, paletteArray, colorspace);
+    }
+
+    /**
+     * @function matchItemColors
+	 * @description Compares the fill and stroke of each pathItem to a color palette (as created in {@link initializeColorPalette} or {@link createPalette}) in the specified colorspace.
+	 * Returns an array with a match for each pathItem in the form {fill, stroke}. Each of fill and stroke is
+	 * null if that paint is turned off or has no color, an array with the matching index for each stop if it is a gradient,
+	 * or otherwise the index of the matching color (or -1 if no match). The array can be passed to {@link applyPalette}.
+	 * With a Palette, each match also has fillDistance and strokeDistance: the Delta E to the matched color, or to the nearest color if there's no match,
+	 * and fillNearest and strokeNearest: the index of the nearest color when there's no match (arrays for gradients).
+	 * @param {pathItems} pathItems  Array of pathItems
+	 * @param {array | Palette} paletteArray Color palette as created from {@link initializeColorPalette}, or a Palette
+	 * @param {DocumentColorSpace} colorspace The desired colorspace: DocumentColorSpace.RGB or DocumentColorSpace.CMYK
+	 * @return {array} Array of {fill, stroke} matches, one for each pathItem
+	 */
+    CSTasks.matchItemColors = function(pathItems, paletteArray, colorspace){
+        var matches = new Array(pathItems.length);
+        for (var i = 0; i < pathItems.length; i++ ) {
+            var fill = pathItems[i].filled ? matchPaint(pathItems[i].fillColor, paletteArray, colorspace) : null;
+            var stroke = pathItems[i].stroked ? matchPaint(pathItems[i].strokeColor, paletteArray, colorspace) : null;
+            matches[i] = {fill: fill ? fill.index : null, stroke: stroke ? stroke.index : null};
+            if (isPalette(paletteArray)){
+                matches[i].fillDistance = fill ? fill.distance : null;
+                matches[i].strokeDistance = stroke ? stroke.distance : null;
+                matches[i].fillNearest = fill ? fill.nearest : null;
+                matches[i].strokeNearest = stroke ? stroke.nearest : null;
+            }
+        }
+        return matches;
+    };
+
+
     /***************
    	Color conversion
     ****************/
-    
+
+    function setPaint(item, paint, color){
+        if (paint == "fill") item.fillColor = color;
+        else item.strokeColor = color;
+    }
+
+    //Gradient stops belong to the gradient swatch, which every object with that gradient shares. So instead of changing
+    //its stops, a converted object is given its own copy of the gradient. copies holds the copies made so far by the
+    //original gradient's name, so the objects converted together still share one.
+
+    //returns a gradient color like color (with the same angle, origin and so on), but with a copy of its gradient in item's document
+    function copyGradientColor(item, color, copies){
+        var source = color.gradient;
+        var gradient = copies[source.name];
+        if (!gradient) {
+            gradient = getDocument(item).gradients.add();
+            gradient.type = source.type;
+            var stops = source.gradientStops;
+            while (gradient.gradientStops.length < stops.length) gradient.gradientStops.add();
+            for (var j = 0; j < stops.length; j++){
+                var stop = gradient.gradientStops[j];
+                stop.rampPoint = stops[j].rampPoint;
+                stop.midPoint = stops[j].midPoint;
+                stop.opacity = stops[j].opacity;
+                stop.color = stops[j].color;
+            }
+            copies[source.name] = gradient;
+        }
+        var copy = new GradientColor();
+        copy.gradient = gradient;
+        var geometry = ["angle", "length", "origin", "hiliteAngle", "hiliteLength", "matrix"];
+        for (var g = 0; g < geometry.length; g++){
+            if (color[geometry[g]] !== undefined) copy[geometry[g]] = color[geometry[g]];
+        }
+        return copy;
+    }
+
     /**
      * @function convertAllToColor
-	 * @description Takes an array of pathItems. Converts all pathItems in unlocked layers into endColor at the specified opacity
+	 * @description Takes an array of pathItems. Converts all pathItems in unlocked layers into endColor at the specified opacity.
+	 * pathItems can also be any container or array accepted by {@link walk}, in which case every path inside it is converted.
+	 * Fills and strokes are both converted (gradients become endColor); a fill or stroke that is turned off stays off,
+	 * and items with neither (such as clipping paths) are left alone.
 	 * @param {pathItems} pathItems  Array of pathItems
 	 * @param {RGBColor | CMYKColor} endColor  The color that you want to convert to
 	 * @param {number} opcty  The percent opacity (0-100)
-	 */  
-    CSTasks.convertAllToColor = function(pathItems, endColor, opcty){
-         for (var i = 0; i < pathItems.length; i++ ) {
-        	if (!pathItems[i].layer.locked && !pathItems[i].locked){
-				pathItems[i].fillColor = endColor;
-				pathItems[i].opacity = opcty;
-            }
+	 * @param {Object} options Optional. unlock: also convert locked paths (they're locked again afterwards)
+	 * @return {Object} Report with touched: the paths that were converted, and skipped: the locked paths that weren't
+	 */
+    CSTasks.convertAllToColor = function(pathItems, endColor, opcty, options){
+        var report = {touched: [], skipped: []};
+        var state = unlockForOptions(pathItems, {unlock: options && options.unlock});
+        try {
+            CSTasks.walk(pathItems, function(item, info){
+                if (info.locked) report.skipped.push(item);
+                else if (item.filled || item.stroked){
+                    if (item.filled) item.fillColor = endColor;
+                    if (item.stroked) item.strokeColor = endColor;
+                    item.opacity = opcty;
+                    report.touched.push(item);
+                }
+            }, "PathItem");
+        }
+        finally {
+            if (state) CSTasks.restoreContents(state);
         }
+        logSkipped("convertAllToColor", report.skipped);
+        return report;
     };
-    
+
     /**
      * @function convertMatchedItemsToColor
-	 * @description Takes an array of pathItems. For each pathItem in an unlocked layer with a fill color that matches startColor, 
-	 * converts the fill color to endColor
+	 * @description Takes an array of pathItems. For each pathItem in an unlocked layer with a fill or stroke color that matches startColor,
+	 * converts that color to endColor. Gradient stops that match startColor are converted too, in a copy of the gradient
+	 * that the converted paths share, so other objects with the same gradient keep their colors.
+	 * pathItems can also be any container or array accepted by {@link walk}, in which case every path inside it is checked.
 	 * @param {pathItems} pathItems  Array of pathItems
-	 * @param {RGBColor | CMYKColor} startColor  The color that you want to convert from
+	 * @param {Color} startColor  The color that you want to convert from
 	 * @param {RGBColor | CMYKColor} endColor  The color that you want to convert to
 	 * @param {DocumentColorSpace} colorspace The desired colorspace: DocumentColorSpace.RGB or DocumentColorSpace.CMYK
-	 */ 
-    CSTasks.convertMatchedItemsToColor = function(pathItems, startColor, endColor, colorspace){
-        for (var i = 0; i < pathItems.length; i++ ) {
-            if (CSTasks.colorMatch(pathItems[i].fillColor, startColor, colorspace) && !pathItems[i].layer.locked && !pathItems[i].locked) 
-            	pathItems[i].fillColor = endColor;
+	 * @param {Object} options Optional. unlock: also convert locked paths (they're locked again afterwards)
+	 * @return {Object} Report with touched: the paths that were changed, and skipped: the locked paths that weren't checked
+	 */
+    CSTasks.convertMatchedItemsToColor = function(pathItems, startColor, endColor, colorspace, options){
+        var paints = ["fill", "stroke"];
+        var report = {touched: [], skipped: []};
+        var gradients = {};
+        var state = unlockForOptions(pathItems, {unlock: options && options.unlock});
+        try {
+            CSTasks.walk(pathItems, function(item, info){
+                if (info.locked) {
+                    report.skipped.push(item);
+                    return;
+                }
+                var changed = false;
+                for (var p = 0; p < paints.length; p++){
+                    if (paints[p] == "fill" ? !item.filled : !item.stroked) continue;
+                    var color = (paints[p] == "fill") ? item.fillColor : item.strokeColor;
+                    if (color.typename == "GradientColor"){
+                        var stops = color.gradient.gradientStops;
+                        var converted = null;
+                        for (var j = 0; j < stops.length; j++){
+                            if (!CSTasks.colorMatch(stops[j].color, startColor, colorspace)) continue;
+                            if (!converted) converted = copyGradientColor(item, color, gradients);
+                            converted.gradient.gradientStops[j].color = endColor;
+                        }
+                        if (converted) {
+                            setPaint(item, paints[p], converted);
+                            changed = true;
+                        }
+                    }
+                    else if (CSTasks.colorMatch(color, startColor, colorspace)) {
+                        setPaint(item, paints[p], endColor);
+                        changed = true;
+                    }
+                }
+                if (changed) report.touched.push(item);
+            }, "PathItem");
+        }
+        finally {
+            if (state) CSTasks.restoreContents(state);
         }
+        logSkipped("convertMatchedItemsToColor", report.skipped);
+        return report;
     };
 
     /**
-     * @function convertToPalette
-	 * @description Given an array of pathItems, a color palette as created from {@link initializeColorPalette}, and an array that contains a reference to 
-	 * the desired color for each pathItem, converts each pathItem to the desired color in the palette, and keeps track of colors that are not converted.
-	 * Not really a standalone function, but enables converting an entire document from one colorspace to another.
-	 * @param {Document} doc  document containing the items you are converting (needed to create a text frame)
+     * @function createColorMapping
+	 * @description Takes two Palettes, such as a light and a dark theme, and returns a mapping from the colors of the first to the colors of the second,
+	 * for use with {@link applyColorMapping}. Each color is mapped to the color with the same name in the second palette,
+	 * or, if there isn't one, to the color in the same position.
+	 * @param {Palette} fromPalette The palette to map from
+	 * @param {Palette} toPalette The palette to map to
+	 * @return {array} Array of [fromColor, toColor] pairs, where each color is a palette entry
+	 */
+    CSTasks.createColorMapping = function(fromPalette, toPalette){
+        var mapping = [];
+        for (var i = 0; i < fromPalette.entries.length; i++){
+            var from = fromPalette.entries[i];
+            var to = toPalette.get(from.name) || toPalette.entries[i];
+            if (to) mapping.push([from, to]);
+        }
+        return mapping;
+    };
+
+    //returns the document that an object or layer is in
+    function getDocument(item){
+        while (item.typename != "Document") item = item.parent;
+        return item;
+    }
+
+    /**
+     * @function applyColorMapping
+	 * @description Swaps colors throughout a container in one pass, using a mapping such as {"Brand Blue": "Dark Blue"}: fills, strokes,
+	 * gradient stops and the fill and stroke of text are all changed. Each color is only changed once, by the first pair that matches it,
+	 * so a mapping can swap two colors. With options.dryRun nothing is changed, and the report shows what would be.
+	 * All the changes are made by one script, so a single undo takes them all back; they can also be undone with {@link revertColorMapping}.
+	 * Locked objects are skipped unless options.unlock is set.
+	 * @param container The Document, Layer or GroupItem, or an array of objects
+	 * @param mapping An object whose keys are the colors to change and whose values are the colors to change them to,
+	 * or an array of [from, to] pairs (see {@link createColorMapping}). Colors can be names in the palettes, hex colors, palette entries or color objects.
+	 * @param {Object} options Optional. palette: the Palette to look color names up in; fromPalette and toPalette: separate palettes for the colors to change
+	 * and the colors to change them to; colorspace: the colorspace to compare colors in (default the document's); tolerance: see {@link colorMatch};
+	 * dryRun: true to only report what would change; unlock: also change locked objects (they're locked again afterwards)
+	 * @return {Object} Report with dryRun; touched: the objects that were (or would be) changed; skipped: the locked objects;
+	 * and changes: an array of {item, paint, from, to, target, property, original}, where paint is "fill", "stroke", "gradient" or "text fill" or "text stroke",
+	 * from and to are the mapping's colors, and target[property] held the original color. A gradient is changed by giving the object
+	 * its own copy of it, so the gradient swatch itself is left alone; its changes have the object's fillColor or strokeColor as
+	 * target[property], and stop: the index of the changed stop.
+	 */
+    CSTasks.applyColorMapping = function(container, mapping, options){
+        options = options || {};
+        var type = container.typename;
+        var items = (type == "Document" || type == "Layer" || type == "GroupItem") ? container : toItemList(container);
+        if (!options.colorspace && items.length === 0) return {touched: [], skipped: [], changes: [], dryRun: !!options.dryRun};
+        var colorspace = options.colorspace || getDocument(items === container ? container : items[0]).documentColorSpace;
+        var fromPalette = options.fromPalette || options.palette;
+        var toPalette = options.toPalette || options.palette;
+
+        var pairs = [];
+        if (isArray(mapping)) {
+            for (var i = 0; i < mapping.length; i++) pairs.push({from: mapping[i][0], to: mapping[i][1]});
+        }
+        else {
+            for (var key in mapping) if (mapping.hasOwnProperty(key)) pairs.push({from: key, to: mapping[key]});
+        }
+        for (var i = 0; i < pairs.length; i++){
+            pairs[i].fromColor = resolveColor(pairs[i].from, fromPalette, colorspace);
+            pairs[i].toColor = resolveColor(pairs[i].to, toPalette, colorspace);
+        }
+
+        var report = {touched: [], skipped: [], changes: [], dryRun: !!options.dryRun};
+        var gradients = {};
+
+        function findPair(color){
+            for (var i = 0; i < pairs.length; i++){
+                if (CSTasks.colorMatch(color, pairs[i].fromColor, colorspace, options.tolerance)) return pairs[i];
+            }
+            return null;
+        }
+
+        //records a change to target[property] and makes it, unless this is a dry run
+        function swap(item, paint, target, property){
+            var original = target[property];
+            var pair = findPair(original);
+            if (!pair) return false;
+            report.changes.push({item: item, paint: paint, from: pair.from, to: pair.to, target: target, property: property, original: original});
+            if (!options.dryRun) target[property] = pair.toColor;
+            return true;
+        }
+
+        //the gradient is shared with every other object that uses it, so its stops are left alone: the new stop colors are
+        //all worked out from the original stops, then written into a copy of the gradient that the object is given instead
+        function swapGradient(item, property){
+            var color = item[property];
+            var stops = color.gradient.gradientStops;
+            var found = [];
+            for (var i = 0; i < stops.length; i++){
+                var pair = findPair(stops[i].color);
+                if (pair) found.push({stop: i, pair: pair});
+            }
+            for (var f = 0; f < found.length; f++){
+                report.changes.push({item: item, paint: "gradient", from: found[f].pair.from, to: found[f].pair.to, target: item, property: property, original: color, stop: found[f].stop});
+            }
+            if (found.length == 0 || options.dryRun) return found.length > 0;
+            var copied = gradients.hasOwnProperty(color.gradient.name);
+            var swapped = copyGradientColor(item, color, gradients);
+            if (!copied) {
+                for (var f = 0; f < found.length; f++) swapped.gradient.gradientStops[found[f].stop].color = found[f].pair.toColor;
+            }
+            item[property] = swapped;
+            return true;
+        }
+
+        var state = options.dryRun ? null : unlockForOptions(items, {unlock: options.unlock});
+        try {
+            CSTasks.walk(items, function(item, info){
+                //a dry run doesn't unlock anything, so it reports locked objects as it would find them unlocked
+                if (info.locked && !(options.dryRun && options.unlock)) {
+                    report.skipped.push(item);
+                    return;
+                }
+                var changed = false;
+                if (info.type == "PathItem") {
+                    if (item.filled) {
+                        if (item.fillColor.typename == "GradientColor") changed = swapGradient(item, "fillColor") || changed;
+                        else changed = swap(item, "fill", item, "fillColor") || changed;
+                    }
+                    if (item.stroked) {
+                        if (item.strokeColor.typename == "GradientColor") changed = swapGradient(item, "strokeColor") || changed;
+                        else changed = swap(item, "stroke", item, "strokeColor") || changed;
+                    }
+                }
+                else {
+                    var ranges = item.textRanges;
+                    for (var r = 0; r < ranges.length; r++){
+                        var attributes = ranges[r].characterAttributes;
+                        changed = swap(item, "text fill", attributes, "fillColor") || changed;
+                        changed = swap(item, "text stroke", attributes, "strokeColor") || changed;
+                    }
+                }
+                if (changed) report.touched.push(item);
+            }, ["PathItem", "TextFrame"]);
+        }
+        finally {
+            if (state) CSTasks.restoreContents(state);
+        }
+        logSkipped("applyColorMapping", report.skipped);
+        return report;
+    };
+
+    /**
+     * @function revertColorMapping
+	 * @description Puts back the colors changed by {@link applyColorMapping}, using its report. Does nothing for a dry run.
+	 * @param {Object} report The report returned by applyColorMapping
+	 * @param {Object} options Optional. unlock: set this if it was set for applyColorMapping
+	 */
+    CSTasks.revertColorMapping = function(report, options){
+        if (report.dryRun || report.changes.length == 0) return;
+        var items = [];
+        for (var i = 0; i < report.changes.length; i++) items.push(report.changes[i].item);
+        var state = unlockForOptions(items, options);
+        try {
+            for (var i = report.changes.length - 1; i >= 0; i--){
+                var change = report.changes[i];
+                change.target[change.property] = change.original;
+            }
+        }
+        finally {
+            if (state) CSTasks.restoreContents(state);
+        }
+    };
+
+    /**
+     * @function describeColor
+	 * @description Takes a color and returns a short human-readable description, such as "RGB(255, 0, 0)" or "CMYK(0, 100, 100, 0)"
+	 * @param {Color} color The color to describe
+	 * @return {String} The description
+	 */
+    CSTasks.describeColor = function(color){
+        if (!color) return "None";
+        switch (color.typename){
+            case "RGBColor":
+                return "RGB(" + Math.round(color.red) + ", " + Math.round(color.green) + ", " + Math.round(color.blue) + ")";
+            case "CMYKColor":
+                return "CMYK(" + Math.round(color.cyan) + ", " + Math.round(color.magenta) + ", " + Math.round(color.yellow) + ", " + Math.round(color.black) + ")";
+            case "GrayColor":
+                return "Gray(" + Math.round(color.gray) + ")";
+            case "SpotColor":
+                return "Spot(" + color.spot.name + ", " + Math.round(color.tint) + "%)";
+            case "GradientColor":
+                return "Gradient(" + color.gradient.name + ")";
+            case "PatternColor":
+                return "Pattern(" + color.pattern.name + ")";
+            case "NoColor":
+                return "None";
+        }
+        return color.typename;
+    };
+
+    //converts one paint of an item as described by a match from matchItemColors, adding the results to the report.
+    //Gradients are converted in a copy (see copyGradientColor), with gradients holding the copies made so far.
+    //found is {index, distance, nearest} for the paint, as in matchPaint, and palette is the Palette the matches were made with, if any.
+    function applyPaint(report, item, paint, found, paletteArray, palette, s, gradients){
+        var match = found.index;
+        var distance = found.distance;
+        if (match === null || match === undefined) return;
+        var color = (paint == "fill") ? item.fillColor : item.strokeColor;
+        if (isArray(match)){
+            var stops = color.gradient.gradientStops;
+            var converted = null;
+            for (var j = 0; j < stops.length && j < match.length; j++){
+                if (match[j] >= 0 && match[j] < paletteArray.length) {
+                    if (!converted) converted = copyGradientColor(item, color, gradients);
+                    converted.gradient.gradientStops[j].color = paletteArray[match[j]][s];
+                    report.converted.push({item: item, paint: paint, stop: j, index: match[j], distance: distance ? distance[j] : undefined});
+                }
+                else report.unmatched.push(unmatchedPaint(item, paint, j, stops[j].color, distance && distance[j], found.nearest && found.nearest[j], palette));
+            }
+            if (converted) setPaint(item, paint, converted);
+        }
+        else if (match >= 0 && match < paletteArray.length) {
+            setPaint(item, paint, paletteArray[match][s]);
+            report.converted.push({item: item, paint: paint, index: match, distance: distance});
+        }
+        else report.unmatched.push(unmatchedPaint(item, paint, undefined, color, distance, found.nearest, palette));
+    }
+
+    //returns an entry for applyPalette's unmatched list, with the Delta E to the nearest palette color and that color's palette entry if they're known
+    function unmatchedPaint(item, paint, stop, color, distance, nearest, palette){
+        var entry = {item: item, paint: paint, stop: stop, color: CSTasks.describeColor(color), distance: distance, nearest: null};
+        if (palette && nearest >= 0) entry.nearest = palette.entries[nearest];
+        return entry;
+    }
+
+    /**
+     * @function applyPalette
+	 * @description Given an array of pathItems, a color palette as created from {@link initializeColorPalette}, and an array that contains a reference to
+	 * the desired color for each pathItem, converts each pathItem to the desired color in the palette and reports what was and wasn't converted.
 	 * @param {pathItems} pathItems  Array of pathItems you wish to convert
-	 * @param {array} paletteArray  Color palette as created from {@link initializeColorPalette}
-	 * @param {RGBColor | CMYKColor} paletteIndex  Array in which each element corresponds to a pathItem in the pathItems array 
-	 * and contains the index of one of the colors from the paletteArray.
+	 * @param {array | Palette} paletteArray  Color palette as created from {@link initializeColorPalette}, or a Palette
+	 * @param {array} paletteIndex  Array in which each element corresponds to a pathItem in the pathItems array. Each element is either
+	 * a {fill, stroke} match as created by {@link matchItemColors}, or the index of the fill color in the paletteArray (or -1 if there is no match)
+	 * as created by {@link colorMatchItemsToPalette}
 	 * @param {DocumentColorSpace} colorspace The desired colorspace: DocumentColorSpace.RGB or DocumentColorSpace.CMYK
-	 */ 
-    CSTasks.convertToPalette = function(doc, pathItems, paletteArray, paletteIndex, colorspace){
-        var unmatchedColors = [];
+	 * @return {Object} Report with converted: array of {item, paint, stop, index, distance}, unmatched: array of {item, paint, stop, color, distance, nearest}
+	 * where paint is "fill" or "stroke", stop is the gradient stop index (gradients only), distance is the Delta E
+	 * from the matches given by {@link matchItemColors} with a Palette (to the nearest color, for unmatched paints), nearest is the Palette's entry
+	 * for the nearest color (null without a Palette), and color is a description
+	 * from {@link describeColor}, and unmatchedColors: the sorted unique descriptions of the unmatched colors
+	 */
+    CSTasks.applyPalette = function(pathItems, paletteArray, paletteIndex, colorspace){
+        var palette = isPalette(paletteArray) ? paletteArray : null;
+        paletteArray = getPaletteArray(paletteArray);
+        var report = {converted: [], unmatched: [], unmatchedColors: []};
+        var gradients = {};
         var s = 0;
         if (colorspace == DocumentColorSpace.CMYK) s = 1;
         for (var i = 0; i < pathItems.length; i++ ) {
-            if (paletteIndex[i] >=0 && paletteIndex[i] < paletteArray.length) pathItems[i].fillColor = paletteArray[paletteIndex[i]][s];
+            var match = paletteIndex[i];
+            if (typeof match == "number" || match === undefined) applyPaint(report, pathItems[i], "fill", {index: (match === undefined) ? -1 : match}, paletteArray, palette, s, gradients);
             else {
-                var unmatchedColor = "(" + pathItems[i].fillColor.red + ", " + pathItems[i].fillColor.green + ", " + pathItems[i].fillColor.blue + ")";
-                unmatchedColors.push(unmatchedColor);	
+                applyPaint(report, pathItems[i], "fill", {index: match.fill, distance: match.fillDistance, nearest: match.fillNearest},
+                    paletteArray, palette, s, gradients);
+                applyPaint(report, pathItems[i], "stroke", {index: match.stroke, distance: match.strokeDistance, nearest: match.strokeNearest},
+                    paletteArray, palette, s, gradients);
             }
         }
-        if (unmatchedColors.length > 0){  
-        	alert("One or more colors don't match the brand palette and weren't converted.");        
-            unmatchedColors = CSTasks.getUniqueElements(unmatchedColors);
+        for (var i = 0; i < report.unmatched.length; i++) report.unmatchedColors.push(report.unmatched[i].color);
+        report.unmatchedColors = CSTasks.getUniqueElements(report.unmatchedColors);
+        return report;
+    };
+
+    /**
+     * @function convertToPalette
+	 * @description Given an array of pathItems, a color palette as created from {@link initializeColorPalette}, and an array that contains a reference to
+	 * the desired color for each pathItem, converts each pathItem to the desired color in the palette, and keeps track of colors that are not converted.
+	 * Unconverted colors are logged as a warning (shown in an alert when interactive, see {@link configureLogging}) and listed in a text frame below the artboards.
+	 * Use {@link applyPalette} to get the same conversion without the warning and text frame, or {@link convertDocumentToColorspace} to convert a whole document.
+	 * @param {Document} doc  document containing the items you are converting (needed to create a text frame)
+	 * @param {pathItems} pathItems  Array of pathItems you wish to convert
+	 * @param {array | Palette} paletteArray  Color palette as created from {@link initializeColorPalette}, or a Palette
+	 * @param {array} paletteIndex  Array in which each element corresponds to a pathItem in the pathItems array
+	 * and contains the index of one of the colors from the paletteArray.
+	 * @param {DocumentColorSpace} colorspace The desired colorspace: DocumentColorSpace.RGB or DocumentColorSpace.CMYK
+	 * @return {Object} The report from {@link applyPalette}
+	 */
+    CSTasks.convertToPalette = function(doc, pathItems, paletteArray, paletteIndex, colorspace){
+        var report = CSTasks.applyPalette(pathItems, paletteArray, paletteIndex, colorspace);
+        var unmatchedColors = report.unmatchedColors;
+        if (unmatchedColors.length > 0){
             var unmatchedString = "Unconverted colors:";
             for (var i = 0; i < unmatchedColors.length; i++){
                 unmatchedString = unmatchedString + "\n" + unmatchedColors[i];
             }
+        	CSTasks.log("warn", "One or more colors don't match the brand palette and weren't converted.\n" + unmatchedString);
             var errorMsgPos = [Infinity, Infinity]; //gets the bottom left of all the artboards
             for (var i = 0; i < doc.artboards.length; i++){
             var rect = doc.artboards[i].artboardRect;
@@ -557,11 +3387,47 @@ var CSTasks = (function(){
 				if (rect[3] < errorMsgPos[1]) errorMsgPos[1] = rect[3];
         	}
         	errorMsgPos[1] = errorMsgPos[1] - 20;
-        	
+
             CSTasks.createTextFrame(doc, unmatchedString, errorMsgPos, 18);
         }
+        return report;
     };
-    
+
+    /**
+     * @function convertDocumentToColorspace
+	 * @description Takes a document, a color palette and a target colorspace, and returns a converted copy of the document.
+	 * The document is duplicated with {@link duplicateDocument}, every pathItem's fill and stroke (including gradient stops), locked and hidden ones included,
+	 * is matched against the palette in the source document's colorspace, and the copy's colors are set to the matching palette color in the target colorspace.
+	 * Each path in the copy is paired with the original inside the copy of its top-level object, which has the same structure. Unmatched items are left as Illustrator converted them.
+	 * @param {Document} doc The document to convert
+	 * @param {array | Palette} paletteArray Color palette as created from {@link initializeColorPalette}, or a Palette
+	 * @param {DocumentColorSpace} targetSpace The desired colorspace: DocumentColorSpace.RGB or DocumentColorSpace.CMYK
+	 * @return {Object} The report from {@link applyPalette} (on the copy's items), with document: the newly created document
+	 */
+    CSTasks.convertDocumentToColorspace = function(doc, paletteArray, targetSpace){
+        var copied = {};
+        var newDoc = CSTasks.duplicateDocument(doc, targetSpace, {report: copied});
+        var sourceItems = [];
+        var copyItems = [];
+        for (var i = 0; i < copied.copies.length; i++){
+            var pair = copied.copies[i];
+            if (pair.source.typename == "Layer") continue;
+            sourceItems = sourceItems.concat(CSTasks.getItems([pair.source], "PathItem"));
+            copyItems = copyItems.concat(CSTasks.getItems([pair.copy], "PathItem"));
+        }
+        var paletteIndex = CSTasks.matchItemColors(sourceItems, paletteArray, doc.documentColorSpace);
+        //locked copies are unlocked just while their colors are set
+        var state = CSTasks.unlockContents(copyItems, {unlock: true});
+        try {
+            var report = CSTasks.applyPalette(copyItems, paletteArray, paletteIndex, targetSpace);
+        }
+        finally {
+            CSTasks.restoreContents(state);
+        }
+        report.document = newDoc;
+        return report;
+    };
+
     /**
      * @function getUniqueElements
 	 * @description Takes an array and returns an array with the unique elements in sorted order
@@ -580,5 +3446,744 @@ var CSTasks = (function(){
         return [];
     };
 
+    /*****************
+    Variants from data
+    ******************/
+    //Makes variants of a master document from rows of data, like a mail merge. Each row is an object with:
+    //name: the variant's name, used for the {variant} token in export file names (default "variant-1", "variant-2", etc.);
+    //text: values for the {name} variables in text frames (see substituteText);
+    //colors: color swaps as {from: to}, each a palette color name or a hex color (see applyColorMapping);
+    //artboard: the index or name of the master artboard to use (default all of them for documents, the first for artboards);
+    //exports: an array of export targets (see exportTargets), or export: a single target.
+    //Rows can be read from a JSON or CSV file with readDataFile, where a CSV file has columns like "text.title", "colors.Blue" and "export.format".
+
+    //the export target settings that are numbers, which a CSV file gives as strings
+    var numericTargetKeys = {scale: true, width: true, height: true, quality: true, artboards: true};
+
+    //turns the numeric settings in an export target read from a CSV file back into numbers; names and the like stay strings
+    function normalizeTarget(target){
+        var normalized = {};
+        for (var key in target){
+            if (!target.hasOwnProperty(key)) continue;
+            var value = target[key];
+            var numeric = numericTargetKeys.hasOwnProperty(key) && typeof value == "string" && /^-?\d+(\.\d+)?$/.test(value);
+            normalized[key] = numeric ? Number(value) : value;
+        }
+        return normalized;
+    }
+
+    //returns the index of an artboard given by index or name, as a number or a string
+    function findArtboardIndex(doc, artboard){
+        if (typeof artboard == "number" || /^\d+$/.test(artboard)) {
+            checkArtboardIndex(doc, Number(artboard));
+            return Number(artboard);
+        }
+        for (var i = 0; i < doc.artboards.length; i++){
+            if (doc.artboards[i].name == artboard) return i;
+        }
+        raise(CSTasks.ErrorType.MISSING_ARTBOARD, "There is no artboard named " + artboard, {index: artboard});
+    }
+
+    //applies a row's text values and color swaps to a container or array of objects
+    function applyVariantRow(container, row, palette, colorspace){
+        if (row.text) CSTasks.substituteText(container, row.text, {unlock: true});
+        if (row.colors) CSTasks.applyColorMapping(container, row.colors, {palette: palette, colorspace: colorspace, unlock: true});
+    }
+
+    //takes a failed row's artboard and copied art back out of the artboards document
+    function removeVariantArtboard(doc, index, copies){
+        for (var i = 0; i < copies.length; i++){
+            copies[i].locked = false;
+            copies[i].remove();
+        }
+        doc.artboards.remove(index);
+    }
+
+    /**
+     * @function generateVariants
+	 * @description Makes a variant of a document for every row of data, as described above, and exports it.
+	 * Each variant is a copy of the whole document, or, in artboards mode, a copy of one artboard on a new artboard
+	 * in a single new document, named after the variant. A row that fails is logged and left out, along with its artboard and
+	 * copied art, and the rest still run.
+	 * @param {Document} doc The master document
+	 * @param {array} rows Array of row objects as described above
+	 * @param {Folder} folder The folder to export to. A row's folder value puts its files in that subfolder.
+	 * @param {Object} options Optional. mode: "documents" (default) or "artboards"; colorspace: the colorspace of the new documents
+	 * (default the master's); palette: a Palette to look color names up in; exports: the export targets for rows without any
+	 * (default one PNG); name: the default filename template (default "{variant}_{artboardName}_{scale}");
+	 * close: false to leave the variant documents open (default true in documents mode); gutter: the space between artboards (default 20);
+	 * overwrite and manifest: see {@link exportTargets}; a manifest file is written to the folder after the last row
+	 * @return {array} A result for each row: {name, document, artboard, files, error}, where document is left out once it's closed
+	 * and artboard is the artboard index in artboards mode
+	 */
+    CSTasks.generateVariants = function(doc, rows, folder, options){
+        options = options || {};
+        var colorspace = options.colorspace || doc.documentColorSpace;
+        var byArtboard = (options.mode == "artboards");
+        var gutter = options.gutter === undefined ? 20 : options.gutter;
+        var docName = doc.name.replace(/\.[^\.]+$/, "");
+        var contents = byArtboard ? getArtboardContents(doc) : null;
+        var manifest = getManifest(options.manifest);
+        var results = [];
+        var newDoc = null;
+
+        for (var i = 0; i < rows.length; i++){
+            var row = rows[i];
+            var result = {name: row.name || "variant-" + (i + 1), files: []};
+            results.push(result);
+            var variantDoc = null;
+            var copies = null;
+            try {
+                var index = (row.artboard === undefined) ? undefined : findArtboardIndex(doc, row.artboard);
+                if (byArtboard) {
+                    var source = doc.artboards[index || 0].artboardRect;
+                    var size = [source[2] - source[0], source[1] - source[3]];
+                    if (!newDoc) {
+                        newDoc = CSTasks.newDocument(doc, colorspace);
+                        newDoc.artboards.add(source);
+                        newDoc.artboards.remove(0);
+                    }
+                    else {
+                        var last = newDoc.artboards[newDoc.artboards.length - 1].artboardRect;
+                        newDoc.artboards.add(rectAt([last[2] + gutter, newDoc.artboards[0].artboardRect[1]], size[0], size[1]));
+                    }
+                    result.document = newDoc;
+                    result.artboard = newDoc.artboards.length - 1;
+                    newDoc.artboards[result.artboard].name = result.name;
+                    copies = copyArtboardContents(contents[index || 0], source, newDoc, result.artboard);
+                    if (copies.length > 0) applyVariantRow(copies, row, options.palette, colorspace);
+                    index = result.artboard;
+                }
+                else {
+                    variantDoc = CSTasks.duplicateDocument(doc, colorspace);
+                    result.document = variantDoc;
+                    applyVariantRow(variantDoc, row, options.palette, colorspace);
+                }
+
+                var targets = row.exports || (row["export"] ? [row["export"]] : options.exports || [{format: "png"}]);
+                var outFolder = row.folder ? new Folder(folder.fsName + "/" + CSTasks.sanitizeFileName(row.folder)) : folder;
+                if (!outFolder.exists) outFolder.create();
+                for (var t = 0; t < targets.length; t++){
+                    var target = normalizeTarget(targets[t]);
+                    if (!target.name) target.name = options.name || "{variant}_{artboardName}_{scale}";
+                    if (index !== undefined) target.artboards = index;
+                    var files = CSTasks.exportTargets(result.document, outFolder, [target], {overwrite: options.overwrite, manifest: manifest, tokens: {variant: result.name, docName: docName}});
+                    result.files = result.files.concat(files);
+                }
+            }
+            catch (e) {
+                result.error = e;
+                CSTasks.log("error", "Variant " + result.name + " failed: " + e.message, e);
+                if (byArtboard && result.document) {
+                    if (newDoc.artboards.length == 1) {
+                        //a document can't be left without artboards, so the one made just for this row goes too
+                        newDoc.close(SaveOptions.DONOTSAVECHANGES);
+                        newDoc = null;
+                    }
+                    else removeVariantArtboard(newDoc, result.artboard, copies || []);
+                    delete result.document;
+                    delete result.artboard;
+                }
+            }
+            finally {
+                if (variantDoc && options.close !== false) {
+                    variantDoc.close(SaveOptions.DONOTSAVECHANGES);
+                    delete result.document;
+                }
+            }
+        }
+        if (typeof options.manifest == "string") manifest.write(new File(folder.fsName + "/" + options.manifest));
+        return results;
+    };
+
+    /***************
+    Batch processing
+    ****************/
+    //Runs a job over a folder of files. The job is a function(doc, context) built from CSTasks calls, where context is
+    //{file, index, output}: the file that was opened, its position in the batch, and the output folder.
+    //Whatever the job returns is kept as the file's value. A job that throws fails that file, and the batch carries on.
+
+    //returns the files in a folder that match the mask, in name order, including those in subfolders if recursive is set,
+    //except those in the skipped folder (the batch's output, so a batch doesn't pick up the files an earlier run wrote)
+    function getBatchFiles(folder, mask, recursive, skip){
+        var files = [];
+        var entries = folder.getFiles();
+        var patterns = mask.split(";");
+        for (var p = 0; p < patterns.length; p++){
+            patterns[p] = new RegExp("^" + patterns[p].replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".") + "$", "i");
+        }
+        for (var i = 0; i < entries.length; i++){
+            if (entries[i] instanceof Folder) {
+                if (recursive && entries[i].fsName != skip) files = files.concat(getBatchFiles(entries[i], mask, true, skip));
+                continue;
+            }
+            for (var p = 0; p < patterns.length; p++){
+                if (patterns[p].test(decodeURI(entries[i].name))) {
+                    files.push(entries[i]);
+                    break;
+                }
+            }
+        }
+        return files;
+    }
+
+    /**
+     * @function runBatch
+	 * @description Opens each matching file in a folder, runs a job on it (see above), then saves and/or exports it and closes it without saving
+	 * anything else. Documents the job opens or creates are closed too. Illustrator's dialogs are turned off during the batch (see {@link configureLogging})
+	 * and set back as they were afterwards.
+	 * A file that fails is logged and the batch carries on. At the end, a summary is written as JSON to the output folder.
+	 * For example, runBatch(new Folder("~/icons"), function(doc){ CSTasks.outlineText(doc); }, {exports: [{format: "svg"}]}).
+	 * @param {Folder} folder The folder of files to process
+	 * @param {function} job Function(doc, context) to run on each document
+	 * @param {Object} options Optional. mask: the files to open, as semicolon-separated wildcards (default "*.ai;*.eps;*.svg");
+	 * recursive: true to include subfolders, apart from the output folder; output: the folder for exports and the summary
+	 * (default an "output" folder in the input folder, so a later batch on the same folder doesn't pick up the exports);
+	 * save: true to save each document in place after the job; exports: export targets for each document (see {@link exportTargets});
+	 * overwrite and manifest: see {@link exportTargets}, where a manifest file name collects every file in the batch;
+	 * summary: the summary's file name (default "batch-summary.json"), or false to not write one
+	 * @return {Object} Summary with folder, total, succeeded, failed, ms (the total time in milliseconds) and results:
+	 * an array of {file, ok, error, ms, files, value} for each file, where files are the paths of the exports and error is the error message, or null
+	 */
+    CSTasks.runBatch = function(folder, job, options){
+        options = options || {};
+        var output = options.output || new Folder(folder.fsName + "/output");
+        if (!output.exists) output.create();
+        var files = getBatchFiles(folder, options.mask || "*.ai;*.eps;*.svg", options.recursive, output.fsName);
+        var manifest = getManifest(options.manifest);
+        var summary = {folder: folder.fsName, total: files.length, succeeded: 0, failed: 0, ms: 0, results: []};
+        var batchStart = new Date().getTime();
+        //configureLogging only knows whether alerts were on, so Illustrator's own setting is kept to put back exactly
+        var interaction = app.userInteractionLevel;
+        var logging = CSTasks.configureLogging({interactive: false});
+
+        try {
+            for (var i = 0; i < files.length; i++){
+                var result = {file: files[i].fsName, ok: false, error: null, files: []};
+                var start = new Date().getTime();
+                var openBefore = toArray(app.documents);
+                try {
+                    var doc = app.open(files[i]);
+                    result.value = job(doc, {file: files[i], index: i, output: output});
+                    //saved before exporting, so the document is saved to its own file whatever the exports do
+                    if (options.save) doc.save();
+                    if (options.exports) {
+                        var written = CSTasks.exportTargets(doc, output, options.exports, {overwrite: options.overwrite, manifest: manifest});
+                        for (var w = 0; w < written.length; w++) result.files.push(written[w].fsName);
+                    }
+                    result.ok = true;
+                    summary.succeeded++;
+                    CSTasks.log("info", "Processed " + files[i].name);
+                }
+                catch (e) {
+                    result.error = e.message;
+                    summary.failed++;
+                    CSTasks.log("error", "Couldn't process " + files[i].name + ": " + e.message, e);
+                }
+                finally {
+                    //close everything opened since this file was, newest first
+                    var open = toArray(app.documents);
+                    for (var d = 0; d < open.length; d++){
+                        var leftOpen = true;
+                        for (var b = 0; b < openBefore.length; b++) if (openBefore[b] === open[d]) leftOpen = false;
+                        if (!leftOpen) continue;
+                        try {
+                            open[d].close(SaveOptions.DONOTSAVECHANGES);
+                        }
+                        catch (closeError) {
+                            CSTasks.log("warn", "Couldn't close " + open[d].name + ": " + closeError.message, closeError);
+                        }
+                    }
+                    result.ms = new Date().getTime() - start;
+                    summary.results.push(result);
+                }
+            }
+        }
+        finally {
+            CSTasks.configureLogging(logging);
+            app.userInteractionLevel = interaction;
+        }
+
+        summary.ms = new Date().getTime() - batchStart;
+        if (typeof options.manifest == "string") manifest.write(new File(output.fsName + "/" + options.manifest));
+        if (options.summary !== false) {
+            var written = {folder: summary.folder, total: summary.total, succeeded: summary.succeeded, failed: summary.failed, ms: summary.ms, results: []};
+            for (var i = 0; i < summary.results.length; i++){
+                var r = summary.results[i];
+                written.results.push({file: r.file, ok: r.ok, error: r.error, ms: r.ms, files: r.files});
+            }
+            CSTasks.writeTextFile(new File(output.fsName + "/" + (options.summary || "batch-summary.json")), CSTasks.toJSON(written, "  "));
+        }
+        CSTasks.log("info", "Batch finished: " + summary.succeeded + " of " + summary.total + " files processed, " + summary.failed + " failed");
+        return summary;
+    };
+
+    /*******
+    Auditing
+    ********/
+
+    /**
+     * @function getArtboardIndex
+	 * @description Takes a document and an object and returns the index of the artboard that contains the center of the object
+	 * @param {Document} doc The document
+	 * @param item The object (such as a pathItem or group)
+	 * @return {number} The index of the artboard, or -1 if the object isn't on an artboard
+	 */
+    CSTasks.getArtboardIndex = function(doc, item){
+        var bounds = item.geometricBounds;
+        var center = [(bounds[0] + bounds[2]) / 2, (bounds[1] + bounds[3]) / 2];
+        for (var i = 0; i < doc.artboards.length; i++){
+            var rect = doc.artboards[i].artboardRect;
+            if (center[0] >= rect[0] && center[0] <= rect[2] && center[1] <= rect[1] && center[1] >= rect[3]) return i;
+        }
+        return -1;
+    };
+
+    function getItemName(item){
+        return item.name ? item.name : "<" + item.typename + ">";
+    }
+
+    /**
+     * @function getLayerPath
+	 * @description Takes a layer and returns its path from the top-level layer, such as "Artwork/Icons"
+	 * @param {Layer} layer The layer
+	 * @return {String} The names of the layer and the layers that contain it, separated by "/"
+	 */
+    CSTasks.getLayerPath = function(layer){
+        var path = [layer.name];
+        while (layer.parent && layer.parent.typename == "Layer"){
+            layer = layer.parent;
+            path.unshift(layer.name);
+        }
+        return path.join("/");
+    };
+
+    /**
+     * @function getItemPath
+	 * @description Takes an object and returns its path from the top-level layer, such as "Artwork/Icons/Logo/<PathItem>".
+	 * Unnamed objects are shown by their type in angle brackets.
+	 * @param item The object (such as a pathItem or group)
+	 * @return {String} The names of the object, the groups and layers that contain it, separated by "/"
+	 */
+    CSTasks.getItemPath = function(item){
+        var path = [getItemName(item)];
+        var parent = item.parent;
+        while (parent && parent.typename != "Layer" && parent.typename != "Document"){
+            path.unshift(getItemName(parent));
+            parent = parent.parent;
+        }
+        if (parent && parent.typename == "Layer") path.unshift(CSTasks.getLayerPath(parent));
+        return path.join("/");
+    };
+
+    function isFontInstalled(name){
+        try {
+            textFonts.getByName(name);
+            return true;
+        }
+        catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * @function auditDocument
+	 * @description Checks a document against a color palette and common handoff problems without changing it. Reports:
+	 * offPalette: fills, strokes (including gradient stops) and text colors that don't match the palette;
+	 * missingFont: text using a font that isn't installed;
+	 * locked and hidden: locked or hidden layers and objects;
+	 * embeddedRaster: embedded raster images.
+	 * Each issue is {type, message, artboard, layer, item}, where artboard is the artboard name (or null if the object isn't on one),
+	 * layer is the layer path and item the object path (see {@link getItemPath}). Off-palette issues also have paint, color,
+	 * and with a Palette nearest and distance; missing font issues have font.
+	 * @param {Document} doc The document to audit
+	 * @param {array | Palette} palette Color palette as created from {@link initializeColorPalette}, or a Palette
+	 * @return {Object} Report with document, colorspace, date, counts (number of issues of each type) and issues
+	 */
+    CSTasks.auditDocument = function(doc, palette){
+        var colorspace = doc.documentColorSpace;
+        var report = {
+            document: doc.name,
+            colorspace: (colorspace == DocumentColorSpace.CMYK) ? "CMYK" : "RGB",
+            date: new Date().toString(),
+            counts: {offPalette: 0, missingFont: 0, locked: 0, hidden: 0, embeddedRaster: 0},
+            issues: []
+        };
+
+        function addIssue(type, message, item, layer, details){
+            var index = item ? CSTasks.getArtboardIndex(doc, item) : -1;
+            var issue = {
+                type: type,
+                message: message,
+                artboard: (index >= 0) ? doc.artboards[index].name : null,
+                layer: CSTasks.getLayerPath(item ? item.layer : layer),
+                item: item ? CSTasks.getItemPath(item) : null
+            };
+            for (var key in details) issue[key] = details[key];
+            report.issues.push(issue);
+            report.counts[type]++;
+        }
+
+        function checkColor(item, paint, color, stop){
+            if (isNoColor(color)) return;
+            if (color.typename == "GradientColor"){
+                var stops = color.gradient.gradientStops;
+                for (var j = 0; j < stops.length; j++) checkColor(item, paint, stops[j].color, j);
+                return;
+            }
+            var match = matchColorToPalette(color, palette, colorspace);
+            if (match.index >= 0) return;
+            var details = {paint: paint, color: CSTasks.describeColor(color)};
+            if (stop !== undefined) details.stop = stop;
+            if (isPalette(palette)){
+                var nearest = palette.nearest(color, colorspace);
+                if (nearest){
+                    details.nearest = nearest.entry.name;
+                    details.distance = Math.round(nearest.distance * 100) / 100;
+                }
+            }
+            addIssue("offPalette", "Off-palette " + paint + " color " + details.color, item, null, details);
+        }
+
+        function checkText(frame){
+            var seen = {};
+            for (var r = 0; r < frame.textRanges.length; r++){
+                var attributes = frame.textRanges[r].characterAttributes;
+                var fontName;
+                try {
+                    fontName = attributes.textFont.name;
+                }
+                catch (e) {
+                    fontName = null;
+                }
+                if (!seen["font " + fontName] && (!fontName || !isFontInstalled(fontName))){
+                    seen["font " + fontName] = true;
+                    addIssue("missingFont", "Font " + (fontName || "(unknown)") + " isn't installed", frame, null, {font: fontName});
+                }
+                var textColor = CSTasks.describeColor(attributes.fillColor);
+                if (!seen["color " + textColor]){
+                    seen["color " + textColor] = true;
+                    checkColor(frame, "text", attributes.fillColor);
+                }
+            }
+        }
+
+        CSTasks.walk(doc, function(item, info){
+            if (info.type == "Layer"){
+                if (item.locked) addIssue("locked", "Layer " + item.name + " is locked", null, item);
+                if (!item.visible) addIssue("hidden", "Layer " + item.name + " is hidden", null, item);
+                return;
+            }
+            if (item.locked) addIssue("locked", getItemName(item) + " is locked", item);
+            if (item.hidden) addIssue("hidden", getItemName(item) + " is hidden", item);
+            if (info.type == "PathItem"){
+                if (item.filled) checkColor(item, "fill", item.fillColor);
+                if (item.stroked) checkColor(item, "stroke", item.strokeColor);
+            }
+            else if (info.type == "TextFrame") checkText(item);
+            else if (info.type == "RasterItem" && item.embedded) addIssue("embeddedRaster", getItemName(item) + " is an embedded image", item);
+        });
+
+        return report;
+    };
+
+    function escapeHTML(text){
+        return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+    }
+
+    /**
+     * @function writeAuditReport
+	 * @description Writes a report from {@link auditDocument} to a JSON file and an HTML file in the specified folder
+	 * @param {Object} report The audit report
+	 * @param {Folder} folder The folder to write the files to
+	 * @param {String} baseName Optional file name without extension (default the document name followed by "-audit")
+	 * @return {array} The JSON and HTML Files that were written
+	 */
+    CSTasks.writeAuditReport = function(report, folder, baseName){
+        baseName = CSTasks.sanitizeFileName(baseName || report.document.replace(/\.[^\.]+$/, "") + "-audit");
+        var jsonFile = CSTasks.writeTextFile(new File(folder.fsName + "/" + baseName + ".json"), CSTasks.toJSON(report, "  "));
+
+        var columns = ["type", "message", "artboard", "layer", "item"];
+        var html = [
+            "<!DOCTYPE html>",
+            "<html>",
+            "<head>",
+            "<meta charset=\"utf-8\">",
+            "<title>Audit: " + escapeHTML(report.document) + "</title>",
+            "<style>body{font-family:sans-serif;margin:2rem}table{border-collapse:collapse}th,td{border:1px solid #ccc;padding:.25rem .5rem;text-align:left}</style>",
+            "</head>",
+            "<body>",
+            "<h1>" + escapeHTML(report.document) + "</h1>",
+            "<p>" + escapeHTML(report.colorspace) + " document, audited " + escapeHTML(report.date) + "</p>",
+            "<ul>"
+        ];
+        for (var type in report.counts) html.push("<li>" + escapeHTML(type) + ": " + report.counts[type] + "</li>");
+        html.push("</ul>");
+        if (report.issues.length > 0){
+            html.push("<table>", "<tr><th>" + columns.join("</th><th>") + "</th></tr>");
+            for (var i = 0; i < report.issues.length; i++){
+                var cells = [];
+                for (var c = 0; c < columns.length; c++){
+                    var value = report.issues[i][columns[c]];
+                    cells.push(escapeHTML((value === null || value === undefined) ? "" : value));
+                }
+                html.push("<tr><td>" + cells.join("</td><td>") + "</td></tr>");
+            }
+            html.push("</table>");
+        }
+        else html.push("<p>No issues found.</p>");
+        html.push("</body>", "</html>");
+        var htmlFile = CSTasks.writeTextFile(new File(folder.fsName + "/" + baseName + ".html"), html.join("\n"));
+
+        return [jsonFile, htmlFile];
+    };
+
+    /*************
+    Files and data
+    **************/
+
+    /**
+     * @function readTextFile
+	 * @description Reads a UTF-8 text file and returns its contents
+	 * @param {File} file The file to read
+	 * @return {String} The contents of the file
+	 */
+    CSTasks.readTextFile = function(file){
+        file.encoding = "UTF-8";
+        if (!file.open("r")) throw new Error("Couldn't open " + file.fsName);
+        var text = file.read();
+        file.close();
+        return text.replace(/^\uFEFF/, "");
+    };
+
+    /**
+     * @function writeTextFile
+	 * @description Writes a string to a UTF-8 text file, replacing its contents
+	 * @param {File} file The file to write
+	 * @param {String} text The contents for the file
+	 * @return {File} The file that was written
+	 */
+    CSTasks.writeTextFile = function(file, text){
+        file.encoding = "UTF-8";
+        if (!file.open("w")) throw new Error("Couldn't write to " + file.fsName);
+        file.write(text);
+        file.close();
+        return file;
+    };
+
+    //SHA-256 of a string of bytes (character codes 0-255), as a hex string
+    function sha256(bytes){
+        var k = [
+            0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+            0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+            0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+            0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+            0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+            0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+            0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+            0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+        ];
+        var h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+
+        //pad to a multiple of 64 bytes, ending with the length in bits
+        var length = bytes.length;
+        var words = [];
+        for (var i = 0; i < length; i++) words[i >> 2] |= (bytes.charCodeAt(i) & 0xff) << (24 - (i % 4) * 8);
+        words[length >> 2] |= 0x80 << (24 - (length % 4) * 8);
+        var count = (((length + 8) >> 6) + 1) * 16;
+        for (var i = 0; i < count; i++) words[i] = words[i] | 0;
+        words[count - 2] = Math.floor(length / 0x20000000);
+        words[count - 1] = (length * 8) | 0;
+
+        function rotate(x, n){ return (x >>> n) | (x << (32 - n)); }
+
+        var w = new Array(64);
+        for (var block = 0; block < count; block += 16){
+            var a = h[0], b = h[1], c = h[2], d = h[3], e = h[4], f = h[5], g = h[6], hh = h[7];
+            for (var t = 0; t < 64; t++){
+                if (t < 16) w[t] = words[block + t];
+                else {
+                    var s0 = rotate(w[t - 15], 7) ^ rotate(w[t - 15], 18) ^ (w[t - 15] >>> 3);
+                    var s1 = rotate(w[t - 2], 17) ^ rotate(w[t - 2], 19) ^ (w[t - 2] >>> 10);
+                    w[t] = (w[t - 16] + s0 + w[t - 7] + s1) | 0;
+                }
+                var t1 = (hh + (rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25)) + ((e & f) ^ (~e & g)) + k[t] + w[t]) | 0;
+                var t2 = ((rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+                hh = g; g = f; f = e; e = (d + t1) | 0;
+                d = c; c = b; b = a; a = (t1 + t2) | 0;
+            }
+            h[0] = (h[0] + a) | 0; h[1] = (h[1] + b) | 0; h[2] = (h[2] + c) | 0; h[3] = (h[3] + d) | 0;
+            h[4] = (h[4] + e) | 0; h[5] = (h[5] + f) | 0; h[6] = (h[6] + g) | 0; h[7] = (h[7] + hh) | 0;
+        }
+
+        var hex = "";
+        for (var i = 0; i < 8; i++) hex += ("0000000" + (h[i] >>> 0).toString(16)).slice(-8);
+        return hex;
+    }
+
+    /**
+     * @function hashFile
+	 * @description Returns the SHA-256 hash of a file's contents, so you can tell whether a file has changed
+	 * @param {File} file The file
+	 * @return {String} The hash as a lowercase hex string
+	 */
+    CSTasks.hashFile = function(file){
+        file.encoding = "BINARY";
+        if (!file.open("r")) throw new Error("Couldn't open " + file.fsName);
+        var bytes = file.read();
+        file.close();
+        return sha256(bytes);
+    };
+
+    function quoteJSON(str){
+        var escapes = {'"': '\\"', "\\": "\\\\", "\n": "\\n", "\r": "\\r", "\t": "\\t", "\b": "\\b", "\f": "\\f"};
+        return '"' + str.replace(/[\\"\x00-\x1f\u2028\u2029]/g, function(c){
+            return escapes[c] || "\\u" + ("0000" + c.charCodeAt(0).toString(16)).slice(-4);
+        }) + '"';
+    }
+
+    function stringifyJSON(value, indent, current){
+        if (value === null || value === undefined) return "null";
+        switch (typeof value){
+            case "number":
+                return isFinite(value) ? String(value) : "null";
+            case "boolean":
+                return String(value);
+            case "string":
+                return quoteJSON(value);
+        }
+        var inner = current + indent;
+        var open = indent ? "\n" + inner : "";
+        var separator = indent ? ",\n" + inner : ",";
+        var close = indent ? "\n" + current : "";
+        var parts = [];
+        if (isArray(value)){
+            for (var i = 0; i < value.length; i++) parts.push(stringifyJSON(value[i], indent, inner));
+            return (parts.length > 0) ? "[" + open + parts.join(separator) + close + "]" : "[]";
+        }
+        for (var key in value){
+            if (!value.hasOwnProperty(key) || value[key] === undefined || typeof value[key] == "function") continue;
+            parts.push(quoteJSON(key) + (indent ? ": " : ":") + stringifyJSON(value[key], indent, inner));
+        }
+        return (parts.length > 0) ? "{" + open + parts.join(separator) + close + "}" : "{}";
+    }
+
+    /**
+     * @function toJSON
+	 * @description Takes plain data (objects, arrays, strings, numbers, booleans) and returns it as a JSON string.
+	 * ExtendScript has no built-in JSON object, so this stands in for JSON.stringify.
+	 * @param value The data to convert
+	 * @param {String} indent Optional string used to indent nested levels, e.g. "  ". If omitted the JSON is on one line.
+	 * @return {String} The JSON string
+	 */
+    CSTasks.toJSON = function(value, indent){
+        return stringifyJSON(value, indent || "", "");
+    };
+
+    /**
+     * @function parseJSON
+	 * @description Takes a JSON string and returns the data it contains. Throws an error if the string isn't valid JSON.
+	 * @param {String} text The JSON string
+	 * @return The parsed data
+	 */
+    CSTasks.parseJSON = function(text){
+        //the same safety check as json2.js: only evaluate the text if it contains nothing but JSON
+        var stripped = text.replace(/\\(?:["\\\/bfnrt]|u[0-9a-fA-F]{4})/g, "@")
+            .replace(/"[^"\\\n\r]*"|true|false|null|-?\d+(?:\.\d*)?(?:[eE][+\-]?\d+)?/g, "]")
+            .replace(/(?:^|:|,)(?:\s*\[)+/g, "");
+        if (!/^[\],:{}\s]*$/.test(stripped)) throw new Error("Invalid JSON");
+        return eval("(" + text + ")");
+    };
+
+    /**
+     * @function parseCSV
+	 * @description Takes CSV text and returns its rows. Fields can be quoted with double quotes, which can contain delimiters,
+	 * line breaks and doubled quotes (""). Blank lines are skipped.
+	 * @param {String} text The CSV text
+	 * @param {Object} options Optional. delimiter: the field separator (default ","); header: false to return each row as an array of strings,
+	 * instead of an object whose keys come from the first row (default true)
+	 * @return {array} Array of rows
+	 */
+    CSTasks.parseCSV = function(text, options){
+        options = options || {};
+        var delimiter = options.delimiter || ",";
+        var rows = [];
+        var row = [];
+        var field = "";
+        var quoted = false;
+        var pos = 0;
+
+        function endRow(){
+            row.push(field);
+            if (row.length > 1 || row[0] != "") rows.push(row);
+            row = [];
+            field = "";
+        }
+
+        while (pos < text.length){
+            var c = text.charAt(pos);
+            if (quoted) {
+                if (c == '"' && text.charAt(pos + 1) == '"') {
+                    field += '"';
+                    pos++;
+                }
+                else if (c == '"') quoted = false;
+                else field += c;
+            }
+            else if (c == '"') quoted = true;
+            else if (c == delimiter) {
+                row.push(field);
+                field = "";
+            }
+            else if (c == "\r" || c == "\n") {
+                if (c == "\r" && text.charAt(pos + 1) == "\n") pos++;
+                endRow();
+            }
+            else field += c;
+            pos++;
+        }
+        if (field != "" || row.length > 0) endRow();
+
+        if (options.header === false || rows.length == 0) return rows;
+        var keys = rows.shift();
+        var objects = [];
+        for (var i = 0; i < rows.length; i++){
+            var object = {};
+            for (var k = 0; k < keys.length; k++) object[keys[k]] = (k < rows[i].length) ? rows[i][k] : "";
+            objects.push(object);
+        }
+        return objects;
+    };
+
+    /**
+     * @function readDataFile
+	 * @description Reads a .json or .csv file and returns its data. The rows of a CSV file are returned as objects (see {@link parseCSV}),
+	 * where a column whose header has dots makes nested objects and empty cells are left out: the columns "text.title" and "colors.Blue"
+	 * give {text: {title: ...}, colors: {Blue: ...}}.
+	 * @param {File} file The file to read
+	 * @return The data: for a CSV file, an array of row objects
+	 */
+    CSTasks.readDataFile = function(file){
+        var text = CSTasks.readTextFile(file);
+        if (!/\.csv$/i.test(file.name)) return CSTasks.parseJSON(text);
+        var rows = CSTasks.parseCSV(text);
+        var data = [];
+        for (var i = 0; i < rows.length; i++){
+            var object = {};
+            for (var key in rows[i]){
+                if (!rows[i].hasOwnProperty(key) || rows[i][key] === "") continue;
+                var path = key.split(".");
+                var target = object;
+                for (var p = 0; p < path.length - 1; p++){
+                    if (typeof target[path[p]] != "object") target[path[p]] = {};
+                    target = target[path[p]];
+                }
+                target[path[path.length - 1]] = rows[i][key];
+            }
+            data.push(object);
+        }
+        return data;
+    };
+
     return CSTasks;
 }());
\ No newline at end of file
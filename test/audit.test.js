@@ -0,0 +1,74 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {setup, rect, plain} = require('./mock-illustrator');
+
+test('getArtboardIndex finds the artboard containing the center of an object', () => {
+    const {CSTasks, doc} = setup();
+    doc.artboards.add([1000, 792, 1612, 0]);
+    assert.strictEqual(CSTasks.getArtboardIndex(doc, rect(doc, 10, 100, 10, 10)), 0);
+    assert.strictEqual(CSTasks.getArtboardIndex(doc, rect(doc, 1100, 100, 10, 10)), 1);
+    assert.strictEqual(CSTasks.getArtboardIndex(doc, rect(doc, -500, 100, 10, 10)), -1);
+});
+
+test('getLayerPath and getItemPath name layers, groups and unnamed objects', () => {
+    const {CSTasks, doc} = setup();
+    const layer = doc.layers[0];
+    layer.name = 'Artwork';
+    const icons = layer.layers.add();
+    icons.name = 'Icons';
+    const group = icons.groupItems.add();
+    group.name = 'Logo';
+    const path = rect(group, 0, 0, 10, 10);
+    assert.strictEqual(CSTasks.getLayerPath(icons), 'Artwork/Icons');
+    assert.strictEqual(CSTasks.getItemPath(path), 'Artwork/Icons/Logo/<PathItem>');
+});
+
+test('auditDocument reports off-palette colors, missing fonts, locked and hidden objects and embedded images', () => {
+    const {CSTasks, doc, host} = setup();
+    doc.name = 'brand.ai';
+    const palette = CSTasks.createPalette([{name: 'Red', rgb: [255, 0, 0]}, {name: 'Black', rgb: [0, 0, 0]}]);
+    const layer = doc.layers[0];
+    rect(layer, 10, 700, 10, 10, host.rgb(255, 0, 0));
+    const off = rect(layer, 10, 700, 10, 10, host.rgb(250, 0, 0));
+    off.name = 'off';
+    off.locked = true;
+    const frame = layer.textFrames.add();
+    frame.contents = 'Hi';
+    frame.textRange.characterAttributes.textFont = {name: 'Gone-Regular'};
+    const raster = layer.rasterItems.add();
+    raster.hidden = true;
+    const hiddenLayer = doc.layers.add();
+    hiddenLayer.name = 'Notes';
+    hiddenLayer.visible = false;
+
+    const report = CSTasks.auditDocument(doc, palette);
+    assert.strictEqual(report.document, 'brand.ai');
+    assert.strictEqual(report.colorspace, 'RGB');
+    assert.deepStrictEqual(plain(report.counts), {offPalette: 1, missingFont: 1, locked: 1, hidden: 2, embeddedRaster: 1});
+    const offPalette = report.issues.filter((issue) => issue.type == 'offPalette')[0];
+    assert.deepStrictEqual(plain(offPalette), {type: 'offPalette', message: 'Off-palette fill color RGB(250, 0, 0)', artboard: 'Artboard 1',
+        layer: 'Layer 1', item: 'Layer 1/off', paint: 'fill', color: 'RGB(250, 0, 0)', nearest: 'Red', distance: offPalette.distance});
+    assert.ok(offPalette.distance > 0);
+    assert.strictEqual(report.issues.filter((issue) => issue.type == 'missingFont')[0].font, 'Gone-Regular');
+    assert.ok(report.issues.some((issue) => issue.message == 'Layer Notes is hidden' && issue.item === null));
+    assert.strictEqual(doc.pageItems.length, 4, 'the document is not changed');
+});
+
+test('writeAuditReport writes JSON and escaped HTML files', () => {
+    const {CSTasks, doc, g, host} = setup();
+    doc.name = 'a&b.ai';
+    new g.Folder('/reports').create();
+    const report = CSTasks.auditDocument(doc, []);
+    report.issues.push({type: 'hidden', message: '<path> is hidden', artboard: null, layer: 'Layer 1', item: 'Layer 1/<path>'});
+    const files = CSTasks.writeAuditReport(report, new g.Folder('/reports'));
+    assert.deepStrictEqual(plain(Array.prototype.map.call(files, (file) => file.fsName)), ['/reports/a&b-audit.json', '/reports/a&b-audit.html']);
+    assert.strictEqual(JSON.parse(host.files['/reports/a&b-audit.json']).document, 'a&b.ai');
+    const html = host.files['/reports/a&b-audit.html'];
+    assert.match(html, /<h1>a&amp;b\.ai<\/h1>/);
+    assert.match(html, /<td>&lt;path&gt; is hidden<\/td><td><\/td>/);
+
+    CSTasks.writeAuditReport(CSTasks.auditDocument(doc, []), new g.Folder('/reports'), 'clean');
+    assert.match(host.files['/reports/clean.html'], /No issues found/);
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {setup, rect, plain} = require('./mock-illustrator');
+
+function addFiles(host, g, paths){
+    new g.Folder('/in').create();
+    paths.forEach((p) => { host.files[p] = ''; });
+}
+
+test('runBatch runs the job on each matching file, exports it and closes every document it opened', () => {
+    const {CSTasks, doc, g, host} = setup();
+    addFiles(host, g, ['/in/a.ai', '/in/b.EPS', '/in/notes.txt']);
+    host.openers['/in/a.ai'] = (opened) => { rect(opened, 0, 792, 10, 10); };
+    const seen = [];
+    const summary = CSTasks.runBatch(new g.Folder('/in'), function(opened, context){
+        seen.push([opened.name, context.index, context.output.fsName]);
+        CSTasks.duplicateDocument(opened, g.DocumentColorSpace.CMYK);
+        return opened.pageItems.length;
+    }, {output: new g.Folder('/out'), exports: [{format: 'svg', artboards: 0, name: '{docName}'}]});
+
+    assert.deepStrictEqual(seen, [['a.ai', 0, '/out'], ['b.EPS', 1, '/out']]);
+    assert.deepStrictEqual(plain(summary.results.map((result) => [result.file, result.ok, result.value, result.files])),
+        [['/in/a.ai', true, 1, ['/out/a.svg']], ['/in/b.EPS', true, 0, ['/out/b.svg']]]);
+    assert.strictEqual(summary.succeeded, 2);
+    assert.strictEqual(summary.failed, 0);
+    assert.deepStrictEqual(host.documents, [doc]);
+    assert.strictEqual(g.app.userInteractionLevel, g.UserInteractionLevel.DISPLAYALERTS);
+});
+
+test('runBatch carries on past files that fail and writes a summary', () => {
+    const {CSTasks, g, host} = setup();
+    addFiles(host, g, ['/in/a.ai', '/in/broken.ai', '/in/c.svg']);
+    host.openers['/in/broken.ai'] = null;
+    const summary = CSTasks.runBatch(new g.Folder('/in'), function(opened){
+        if (opened.name == 'c.svg') throw new Error('No artwork');
+    });
+
+    assert.deepStrictEqual(plain(summary.results.map((result) => [result.ok, result.error])),
+        [[true, null], [false, 'Can\'t open the illustration: /in/broken.ai'], [false, 'No artwork']]);
+    assert.strictEqual(host.documents.length, 1);
+    const written = JSON.parse(host.files['/in/output/batch-summary.json']);
+    assert.deepStrictEqual([written.folder, written.total, written.succeeded, written.failed], ['/in', 3, 1, 2]);
+    assert.deepStrictEqual(written.results.map((result) => result.file), ['/in/a.ai', '/in/broken.ai', '/in/c.svg']);
+    assert.ok(written.results.every((result) => typeof result.ms == 'number'));
+});
+
+test('runBatch can recurse into subfolders, filter with a mask and save in place', () => {
+    const {CSTasks, g, host} = setup();
+    addFiles(host, g, ['/in/a.ai', '/in/b.svg']);
+    new g.Folder('/in/sub').create();
+    host.files['/in/sub/c.ai'] = '';
+    const saved = [];
+    host.openers['/in/a.ai'] = host.openers['/in/sub/c.ai'] = (opened) => { opened.save = function(){ saved.push(this.name); }; };
+    const summary = CSTasks.runBatch(new g.Folder('/in'), function(){}, {mask: '*.ai', recursive: true, save: true, summary: false});
+    assert.deepStrictEqual(plain(summary.results.map((result) => result.file)), ['/in/a.ai', '/in/sub/c.ai']);
+    assert.deepStrictEqual(saved, ['a.ai', 'c.ai']);
+    assert.strictEqual(host.files['/in/output/batch-summary.json'], undefined);
+});
+
+test('runBatch saves each document to its own file before writing a PDF export', () => {
+    const {CSTasks, g, host} = setup();
+    addFiles(host, g, ['/in/a.ai']);
+    const summary = CSTasks.runBatch(new g.Folder('/in'), function(opened){ rect(opened, 0, 792, 10, 10); },
+        {save: true, exports: [{format: 'pdf', artboards: 'all', name: '{docName}'}], summary: false});
+    assert.deepStrictEqual(plain(summary.results[0].files), ['/in/output/a.pdf']);
+    assert.deepStrictEqual(host.saves.map((save) => [save.file, save.type]),
+        [['/in/a.ai', 'IllustratorSaveOptions'], ['/in/output/a.pdf', 'PDFSaveOptions']]);
+    assert.match(host.files['/in/a.ai'], /^SAVE IllustratorSaveOptions/);
+});
+
+test('runBatch writes to an output folder that a later batch on the same folder passes over', () => {
+    const {CSTasks, g, host} = setup();
+    addFiles(host, g, ['/in/a.ai']);
+    const options = {recursive: true, exports: [{format: 'svg', artboards: 0, name: '{docName}'}]};
+    CSTasks.runBatch(new g.Folder('/in'), function(){}, options);
+    assert.ok(host.files['/in/output/a.svg'] !== undefined);
+    const summary = CSTasks.runBatch(new g.Folder('/in'), function(){}, options);
+    assert.deepStrictEqual(plain(summary.results.map((result) => result.file)), ['/in/a.ai']);
+});
+
+test('runBatch puts back the user interaction level it found', () => {
+    const {CSTasks, g, host} = setup();
+    addFiles(host, g, ['/in/a.ai']);
+    g.app.userInteractionLevel = g.UserInteractionLevel.DONTDISPLAYALERTS;
+    CSTasks.runBatch(new g.Folder('/in'), function(){}, {summary: false});
+    assert.strictEqual(g.app.userInteractionLevel, g.UserInteractionLevel.DONTDISPLAYALERTS);
+});
@@ -0,0 +1,114 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {setup, rect, plain} = require('./mock-illustrator');
+
+function clippingGroup(doc){
+    const group = doc.layers[0].groupItems.add();
+    rect(group, 0, 0, 200, 200);
+    const mask = rect(group, 50, -50, 20, 20);
+    mask.clipping = true;
+    group.clipped = true;
+    return group;
+}
+
+test('getBounds returns geometric, visible and clipped bounds of objects together', () => {
+    const {CSTasks, doc} = setup();
+    const a = rect(doc, 10, 100, 20, 20);
+    a.strokeWidth = 4;
+    a.stroked = true;
+    const b = rect(doc, 50, 200, 20, 20);
+    assert.deepStrictEqual(plain(CSTasks.getBounds(a, 'geometric')), [10, 100, 30, 80]);
+    assert.deepStrictEqual(plain(CSTasks.getBounds(a)), [8, 102, 32, 78]);
+    assert.deepStrictEqual(plain(CSTasks.getBounds([a, b])), [8, 200, 70, 78]);
+    assert.deepStrictEqual(plain(CSTasks.getBounds(doc.artboards[0])), [0, 792, 612, 0]);
+    assert.throws(() => CSTasks.getBounds(a, 'outer'), /Unknown bounds type/);
+});
+
+test('getBounds only counts the area inside the mask of a clipping group for clipped bounds', () => {
+    const {CSTasks, doc} = setup();
+    const group = clippingGroup(doc);
+    assert.deepStrictEqual(plain(CSTasks.getBounds(group)), [0, 0, 200, -200]);
+    assert.deepStrictEqual(plain(CSTasks.getBounds(group, 'clipped')), [50, -50, 70, -70]);
+    const outer = doc.layers[0].groupItems.add();
+    group.move(outer, 'ElementPlacement.PLACEATEND');
+    rect(outer, 100, 0, 10, 10);
+    assert.deepStrictEqual(plain(CSTasks.getBounds(outer, 'clipped')), [50, 0, 110, -70]);
+});
+
+test('getAnchorPoint returns named points on bounds', () => {
+    const {CSTasks} = setup();
+    const bounds = [0, 100, 200, 0];
+    assert.deepStrictEqual(plain(CSTasks.getAnchorPoint(bounds)), [0, 100]);
+    assert.deepStrictEqual(plain(CSTasks.getAnchorPoint(bounds, 'center')), [100, 50]);
+    assert.deepStrictEqual(plain(CSTasks.getAnchorPoint(bounds, 'bottomRight')), [200, 0]);
+    assert.deepStrictEqual(plain(CSTasks.getAnchorPoint(bounds, 'top')), [100, 100]);
+    assert.throws(() => CSTasks.getAnchorPoint(bounds, 'middle'), /Unknown anchor/);
+});
+
+test('translateAnchorTo moves objects so an anchor of their bounds is at the destination', () => {
+    const {CSTasks, doc} = setup();
+    const a = rect(doc, 10, 100, 20, 20);
+    const b = rect(doc, 50, 200, 20, 20);
+    CSTasks.translateAnchorTo([a, b], [0, 0], {anchor: 'center'});
+    assert.deepStrictEqual(plain(CSTasks.getBounds([a, b])), [-30, 60, 30, -60]);
+    const group = clippingGroup(doc);
+    CSTasks.translateAnchorTo(group, [0, 0], {bounds: 'clipped'});
+    assert.deepStrictEqual(plain(CSTasks.getBounds(group, 'clipped')), [0, 0, 20, -20]);
+    b.locked = true;
+    assert.throws(() => CSTasks.translateAnchorTo([a, b], [500, 500]), {name: 'LockedTargetError'});
+    assert.deepStrictEqual(plain(a.position), [-30, -40]);
+});
+
+test('alignObjects aligns to the objects together, an artboard or a key object', () => {
+    const {CSTasks, doc} = setup();
+    const a = rect(doc, 10, 100, 20, 20);
+    const b = rect(doc, 50, 200, 40, 40);
+    CSTasks.alignObjects([a, b], 'left');
+    assert.deepStrictEqual(plain([a.left, b.left]), [10, 10]);
+    CSTasks.alignObjects([a, b], 'bottom', {to: doc.artboards[0]});
+    assert.deepStrictEqual(plain([a.top, b.top]), [20, 40]);
+    CSTasks.alignObjects([a, b], 'center', {to: b});
+    assert.deepStrictEqual(plain([a.left, b.left]), [20, 10]);
+    CSTasks.alignObjects([a, b], 'middle', {to: a});
+    assert.deepStrictEqual(plain([a.top, b.top]), [20, 30]);
+    assert.throws(() => CSTasks.alignObjects([a, b], 'diagonal'), /Unknown alignment/);
+});
+
+test('distributeObjects spaces objects evenly or at a fixed spacing', () => {
+    const {CSTasks, doc} = setup();
+    const a = rect(doc, 0, 0, 10, 10);
+    const c = rect(doc, 100, 0, 20, 10);
+    const b = rect(doc, 20, 0, 30, 10);
+    CSTasks.distributeObjects([a, c, b], 'horizontal');
+    assert.deepStrictEqual(plain([a.left, b.left, c.left]), [0, 40, 100]);
+    b.translate(0, -50);
+    c.translate(0, -20);
+    CSTasks.distributeObjects([a, b, c], 'vertical', {spacing: 5});
+    assert.deepStrictEqual(plain([a.top, c.top, b.top]), [0, -15, -30]);
+    assert.throws(() => CSTasks.distributeObjects([a, b], 'diagonal'), /Unknown direction/);
+});
+
+test('centerOnArtboard centers objects together on an artboard', () => {
+    const {CSTasks, doc} = setup();
+    doc.artboards.add([1000, 0, 1100, -100]);
+    const a = rect(doc, 0, 0, 10, 10);
+    const b = rect(doc, 30, 0, 10, 10);
+    CSTasks.centerOnArtboard([a, b], doc.artboards[1]);
+    assert.deepStrictEqual(plain(CSTasks.getBounds([a, b])), [1030, -45, 1070, -55]);
+    CSTasks.centerOnArtboard(a, doc.artboards[0], {vertical: false});
+    assert.deepStrictEqual(plain(a.geometricBounds), [301, -45, 311, -55]);
+});
+
+test('getBounds returns null for no objects, and the helpers that move objects do nothing', () => {
+    const {CSTasks, doc} = setup();
+    const a = rect(doc, 10, 100, 20, 20);
+    assert.strictEqual(CSTasks.getBounds([]), null);
+    assert.strictEqual(CSTasks.getBounds(doc.selection), null);
+    CSTasks.translateAnchorTo([], [0, 0]);
+    CSTasks.alignObjects(doc.selection, 'left');
+    CSTasks.alignObjects([], 'top', {to: doc.artboards[0]});
+    CSTasks.centerOnArtboard([], doc.artboards[0]);
+    assert.deepStrictEqual(plain(a.geometricBounds), [10, 100, 30, 80]);
+});
@@ -0,0 +1,341 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {setup, rect, plain} = require('./mock-illustrator');
+
+//a palette of red and blue, as created by initializeColorPalette
+function makePalette(CSTasks){
+    return CSTasks.initializeColorPalette([[255, 0, 0], [0, 0, 255]], [[0, 100, 100, 0], [100, 100, 0, 0]]);
+}
+
+function makeGradient(env, colors){
+    const gradient = env.doc.gradients.add();
+    gradient.name = 'Fade';
+    colors.forEach((color, i) => { gradient.gradientStops[i].color = color; });
+    const gradientColor = new env.g.GradientColor();
+    gradientColor.gradient = gradient;
+    return gradientColor;
+}
+
+test('colorMatch compares process, gray and spot colors in a colorspace', () => {
+    const {CSTasks, doc, g, host} = setup();
+    const rgb = g.DocumentColorSpace.RGB;
+    const cmyk = g.DocumentColorSpace.CMYK;
+    assert.strictEqual(CSTasks.colorMatch(host.rgb(10, 20, 30), host.rgb(10.5, 20, 30), rgb), true);
+    assert.strictEqual(CSTasks.colorMatch(host.rgb(10, 20, 30), host.rgb(12, 20, 30), rgb), false);
+    assert.strictEqual(CSTasks.colorMatch(host.rgb(10, 20, 30), host.rgb(12, 20, 30), rgb, 5), true);
+    assert.strictEqual(CSTasks.colorMatch(host.rgb(10, 20, 30), host.cmyk(0, 0, 0, 0), rgb), false);
+
+    const gray = new g.GrayColor();
+    gray.gray = 100;
+    assert.strictEqual(CSTasks.colorMatch(gray, host.cmyk(0, 0, 0, 100), cmyk), true);
+
+    const spot = doc.spots.add();
+    spot.color = host.cmyk(100, 0, 0, 0);
+    const tint = new g.SpotColor();
+    tint.spot = spot;
+    tint.tint = 50;
+    assert.strictEqual(CSTasks.colorMatch(tint, host.cmyk(50, 0, 0, 0), cmyk), true);
+
+    assert.strictEqual(CSTasks.colorMatch(new g.NoColor(), new g.NoColor(), rgb), true);
+    assert.strictEqual(CSTasks.colorMatch(new g.NoColor(), host.rgb(0, 0, 0), rgb), false);
+});
+
+test('colorMatchToPalette and colorMatchItemsToPalette return palette indices', () => {
+    const {CSTasks, doc, g, host} = setup();
+    const palette = makePalette(CSTasks);
+    const rgb = g.DocumentColorSpace.RGB;
+    assert.strictEqual(CSTasks.colorMatchToPalette(host.rgb(0, 0, 255), palette, rgb), 1);
+    assert.strictEqual(CSTasks.colorMatchToPalette(host.rgb(0, 255, 0), palette, rgb), -1);
+    assert.strictEqual(CSTasks.colorMatchToPalette(host.cmyk(0, 100, 100, 0), palette, g.DocumentColorSpace.CMYK), 0);
+
+    const a = rect(doc, 0, 0, 10, 10, host.rgb(255, 0, 0));
+    const b = rect(doc, 0, 0, 10, 10, host.rgb(1, 2, 3));
+    assert.deepStrictEqual(plain(CSTasks.colorMatchItemsToPalette([a, b], palette, rgb)), [0, -1]);
+});
+
+test('matchItemColors matches fills, strokes and gradient stops, skipping paints that are off', () => {
+    const env = setup();
+    const {CSTasks, doc, g, host} = env;
+    const palette = makePalette(CSTasks);
+    const a = rect(doc, 0, 0, 10, 10, host.rgb(255, 0, 0));
+    a.strokeColor = host.rgb(0, 0, 255);
+    const b = rect(doc, 0, 0, 10, 10, makeGradient(env, [host.rgb(0, 0, 255), host.rgb(9, 9, 9)]));
+    b.stroked = false;
+    const c = rect(doc, 0, 0, 10, 10);
+    c.filled = false;
+
+    assert.deepStrictEqual(plain(CSTasks.matchItemColors([a, b, c], palette, g.DocumentColorSpace.RGB)), [
+        {fill: 0, stroke: 1}, {fill: [1, -1], stroke: null}, {fill: null, stroke: null}
+    ]);
+
+    const named = CSTasks.createPalette([{name: 'Red', rgb: [255, 0, 0]}]);
+    const matches = CSTasks.matchItemColors([a], named, g.DocumentColorSpace.RGB);
+    assert.strictEqual(matches[0].fillDistance, 0);
+    assert.ok(matches[0].strokeDistance > 0);
+});
+
+test('convertAllToColor converts fills and strokes that are on and reports locked paths', () => {
+    const {CSTasks, doc, host} = setup();
+    const a = rect(doc, 0, 0, 10, 10, host.rgb(1, 2, 3));
+    const b = rect(doc, 0, 0, 10, 10);
+    b.filled = false;
+    b.strokeColor = host.rgb(4, 5, 6);
+    const locked = rect(doc, 0, 0, 10, 10, host.rgb(7, 8, 9));
+    locked.locked = true;
+
+    let report = CSTasks.convertAllToColor(doc, host.rgb(255, 0, 0), 50);
+    assert.strictEqual(report.touched.length, 2);
+    assert.strictEqual(report.skipped[0], locked);
+    assert.strictEqual(a.fillColor.red, 255);
+    assert.strictEqual(a.opacity, 50);
+    assert.strictEqual(b.filled, false);
+    assert.strictEqual(b.strokeColor.red, 255);
+    assert.strictEqual(locked.fillColor.red, 7);
+
+    report = CSTasks.convertAllToColor([locked], host.rgb(255, 0, 0), 100, {unlock: true});
+    assert.strictEqual(report.touched[0], locked);
+    assert.strictEqual(locked.fillColor.red, 255);
+    assert.strictEqual(locked.locked, true);
+});
+
+test('convertMatchedItemsToColor converts matching fills, strokes and gradient stops', () => {
+    const env = setup();
+    const {CSTasks, doc, g, host} = env;
+    const rgb = g.DocumentColorSpace.RGB;
+    const red = host.rgb(255, 0, 0);
+    const a = rect(doc, 0, 0, 10, 10, red);
+    const b = rect(doc, 0, 0, 10, 10, host.rgb(0, 255, 0));
+    b.strokeColor = red;
+    const c = rect(doc, 0, 0, 10, 10, makeGradient(env, [red, host.rgb(0, 0, 0)]));
+    const d = rect(doc, 0, 0, 10, 10, host.rgb(1, 1, 1));
+
+    const report = CSTasks.convertMatchedItemsToColor(doc, red, host.rgb(0, 0, 255), rgb);
+    assert.strictEqual(report.touched.length, 3);
+    assert.strictEqual(a.fillColor.blue, 255);
+    assert.strictEqual(b.fillColor.green, 255);
+    assert.strictEqual(b.strokeColor.blue, 255);
+    assert.strictEqual(c.fillColor.gradient.gradientStops[0].color.blue, 255);
+    assert.strictEqual(d.fillColor.red, 1);
+});
+
+test('converting gradient stops gives the converted paths their own gradient and leaves the shared swatch alone', () => {
+    const env = setup();
+    const {CSTasks, doc, g, host} = env;
+    const rgb = g.DocumentColorSpace.RGB;
+    const red = host.rgb(255, 0, 0);
+    const fade = makeGradient(env, [red, host.rgb(0, 0, 0)]);
+    fade.angle = 45;
+    const a = rect(doc, 0, 0, 10, 10, fade);
+    const b = rect(doc, 0, 0, 10, 10, fade);
+    const outside = rect(doc, 0, 0, 10, 10, fade);
+    outside.locked = true;
+
+    CSTasks.convertMatchedItemsToColor([a, b], red, host.rgb(0, 0, 255), rgb);
+    assert.strictEqual(a.fillColor.gradient.gradientStops[0].color.blue, 255);
+    assert.strictEqual(a.fillColor.gradient.gradientStops[1].color.red, 0);
+    assert.strictEqual(a.fillColor.angle, 45);
+    assert.strictEqual(a.fillColor.gradient, b.fillColor.gradient);
+    assert.strictEqual(outside.fillColor.gradient.name, 'Fade');
+    assert.strictEqual(outside.fillColor.gradient.gradientStops[0].color.red, 255);
+    assert.strictEqual(doc.gradients.length, 2);
+
+    const c = rect(doc, 0, 0, 10, 10, fade);
+    CSTasks.applyPalette([c], makePalette(CSTasks), [{fill: [1, -1]}], rgb);
+    assert.strictEqual(c.fillColor.gradient.gradientStops[0].color.blue, 255);
+    assert.strictEqual(outside.fillColor.gradient.gradientStops[0].color.red, 255);
+});
+
+test('describeColor describes every kind of color', () => {
+    const env = setup();
+    const {CSTasks, doc, g, host} = env;
+    const gray = new g.GrayColor();
+    gray.gray = 40;
+    const spot = doc.spots.add();
+    spot.name = 'PANTONE 300 C';
+    const spotColor = new g.SpotColor();
+    spotColor.spot = spot;
+    const pattern = new g.PatternColor();
+    pattern.pattern = {name: 'Dots'};
+    assert.deepStrictEqual([host.rgb(1, 2, 3.4), host.cmyk(0, 100, 100, 0), gray, spotColor, makeGradient(env, []), pattern, new g.NoColor(), null]
+        .map((color) => CSTasks.describeColor(color)),
+    ['RGB(1, 2, 3)', 'CMYK(0, 100, 100, 0)', 'Gray(40)', 'Spot(PANTONE 300 C, 100%)', 'Gradient(Fade)', 'Pattern(Dots)', 'None', 'None']);
+});
+
+test('applyPalette converts matches and reports unmatched colors', () => {
+    const env = setup();
+    const {CSTasks, doc, g, host} = env;
+    const palette = makePalette(CSTasks);
+    const cmyk = g.DocumentColorSpace.CMYK;
+    const a = rect(doc, 0, 0, 10, 10, host.rgb(255, 0, 0));
+    const b = rect(doc, 0, 0, 10, 10, host.rgb(1, 2, 3));
+    const c = rect(doc, 0, 0, 10, 10, makeGradient(env, [host.rgb(0, 0, 255), host.rgb(9, 9, 9)]));
+    c.strokeColor = host.rgb(0, 0, 255);
+
+    const report = CSTasks.applyPalette([a, b, c], palette, [0, -1, {fill: [1, -1], stroke: 1}], cmyk);
+    assert.strictEqual(a.fillColor.typename, 'CMYKColor');
+    assert.strictEqual(a.fillColor.magenta, 100);
+    assert.strictEqual(c.strokeColor.cyan, 100);
+    assert.strictEqual(c.fillColor.gradient.gradientStops[0].color.cyan, 100);
+    assert.deepStrictEqual(plain(report.converted.map((entry) => [entry.paint, entry.index, entry.stop])),
+        [['fill', 0, null], ['fill', 1, 0], ['stroke', 1, null]]);
+    assert.deepStrictEqual(plain(report.unmatchedColors), ['RGB(1, 2, 3)', 'RGB(9, 9, 9)']);
+});
+
+test('applyPalette reports near misses with their distance and the nearest palette color', () => {
+    const env = setup();
+    const {CSTasks, doc, g, host} = env;
+    const palette = CSTasks.createPalette([{name: 'Red', rgb: [255, 0, 0]}, {name: 'Blue', rgb: [0, 0, 255]}]);
+    const a = rect(doc, 0, 0, 10, 10, host.rgb(250, 5, 0));
+    const b = rect(doc, 0, 0, 10, 10, makeGradient(env, [host.rgb(0, 0, 255), host.rgb(0, 10, 240)]));
+    const matches = CSTasks.matchItemColors([a, b], palette, g.DocumentColorSpace.RGB);
+    assert.strictEqual(matches[0].fillNearest, 0);
+    assert.strictEqual(matches[1].fillNearest[1], 1);
+
+    const report = CSTasks.applyPalette([a, b], palette, matches, g.DocumentColorSpace.RGB);
+    assert.deepStrictEqual(plain(report.unmatched.map((entry) => [entry.paint, entry.stop, entry.nearest.name])), [['fill', null, 'Red'], ['fill', 1, 'Blue']]);
+    assert.strictEqual(report.unmatched[0].distance, matches[0].fillDistance);
+    assert.ok(report.unmatched[0].distance > 0);
+    assert.strictEqual(report.unmatched[1].distance, matches[1].fillDistance[1]);
+
+    const plainReport = CSTasks.applyPalette([a], makePalette(CSTasks), [-1], g.DocumentColorSpace.RGB);
+    assert.strictEqual(plainReport.unmatched[0].nearest, null);
+});
+
+test('convertToPalette alerts and lists unconverted colors below the artboards', () => {
+    const {CSTasks, doc, g, host} = setup();
+    const b = rect(doc, 0, 0, 10, 10, host.rgb(1, 2, 3));
+    const report = CSTasks.convertToPalette(doc, [b], makePalette(CSTasks), [-1], g.DocumentColorSpace.RGB);
+    assert.strictEqual(report.unmatched.length, 1);
+    assert.strictEqual(host.alerts.length, 1);
+    const frame = doc.textFrames[0];
+    assert.strictEqual(frame.contents, 'Unconverted colors:\nRGB(1, 2, 3)');
+    assert.strictEqual(frame.top, -20);
+});
+
+test('convertDocumentToColorspace copies the document and sets palette colors in the target colorspace', () => {
+    const {CSTasks, doc, g, host} = setup();
+    const group = doc.groupItems.add();
+    rect(group, 0, 100, 10, 10, host.rgb(0, 0, 255));
+    rect(doc, 0, 100, 10, 10, host.rgb(1, 2, 3));
+    const report = CSTasks.convertDocumentToColorspace(doc, makePalette(CSTasks), g.DocumentColorSpace.CMYK);
+    const paths = CSTasks.getItems(report.document, 'PathItem');
+    assert.strictEqual(report.document.documentColorSpace, g.DocumentColorSpace.CMYK);
+    assert.strictEqual(paths.length, 2);
+    assert.strictEqual(report.converted.length, 1);
+    assert.strictEqual(report.unmatched.length, 1);
+    assert.match(report.unmatchedColors[0], /^CMYK\(/, 'unmatched colors are left as Illustrator converted them');
+    const converted = report.converted[0].item.fillColor;
+    assert.deepStrictEqual([converted.cyan, converted.magenta, converted.yellow, converted.black], [100, 100, 0, 0]);
+});
+
+test('convertDocumentToColorspace pairs copies with originals across layers, locked and hidden objects included', () => {
+    const {CSTasks, doc, g, host} = setup();
+    const locked = rect(doc, 0, 100, 10, 10, host.rgb(0, 0, 255));
+    locked.name = 'locked';
+    locked.locked = true;
+    const red = rect(doc, 0, 100, 10, 10, host.rgb(255, 0, 0));
+    red.name = 'red';
+    const layer = doc.layers.add();
+    const hidden = rect(layer, 0, 100, 10, 10, host.rgb(255, 0, 0));
+    hidden.name = 'hidden';
+    hidden.hidden = true;
+    const blue = rect(layer, 0, 100, 10, 10, host.rgb(0, 0, 255));
+    blue.name = 'blue';
+    const report = CSTasks.convertDocumentToColorspace(doc, makePalette(CSTasks), g.DocumentColorSpace.CMYK);
+    assert.deepStrictEqual(plain(report.converted.map((entry) => [entry.item.name, entry.item.fillColor.cyan, entry.item.locked, entry.item.hidden]).sort()),
+        [['blue', 100, false, false], ['hidden', 0, false, true], ['locked', 100, true, false], ['red', 0, false, false]]);
+    assert.strictEqual(report.document.pageItems.length, 4);
+});
+
+test('getUniqueElements sorts and removes duplicates', () => {
+    const {CSTasks} = setup();
+    assert.deepStrictEqual(plain(CSTasks.getUniqueElements(['b', 'a', 'b', 'c', 'a'])), ['a', 'b', 'c']);
+    assert.deepStrictEqual(plain(CSTasks.getUniqueElements([])), []);
+});
+
+function themes(CSTasks){
+    const light = CSTasks.createPalette([{name: 'Primary', hex: '#0000FF'}, {name: 'Background', hex: '#FFFFFF'}, {name: 'Text', hex: '#000000'}]);
+    const dark = CSTasks.createPalette([{name: 'Background', hex: '#000000'}, {name: 'Primary', hex: '#6699FF'}, {name: 'Ink', hex: '#FFFFFF'}]);
+    return {light, dark};
+}
+
+test('createColorMapping pairs palette colors by name, then by position', () => {
+    const {CSTasks} = setup();
+    const {light, dark} = themes(CSTasks);
+    assert.deepStrictEqual(plain(CSTasks.createColorMapping(light, dark).map((pair) => [pair[0].name, pair[1].name])),
+        [['Primary', 'Primary'], ['Background', 'Background'], ['Text', 'Ink']]);
+});
+
+test('applyColorMapping swaps fills, strokes, gradients and text in one pass', () => {
+    const env = setup();
+    const {CSTasks, doc, host} = env;
+    const {light, dark} = themes(CSTasks);
+    const background = rect(doc, 0, 0, 100, 100, host.rgb(255, 255, 255));
+    const button = rect(doc, 10, -10, 50, 20, host.rgb(0, 0, 255));
+    button.strokeColor = host.rgb(0, 0, 0);
+    const fade = rect(doc, 10, -40, 50, 20, makeGradient(env, [host.rgb(0, 0, 255), host.rgb(255, 0, 0)]));
+    const label = CSTasks.createTextFrame(doc, 'Label', [10, -70], {color: host.rgb(0, 0, 0)});
+
+    const report = CSTasks.applyColorMapping(doc, CSTasks.createColorMapping(light, dark));
+    assert.strictEqual(CSTasks.rgbToHex([background.fillColor.red, background.fillColor.green, background.fillColor.blue]), '#000000');
+    assert.strictEqual(button.fillColor.red, 0x66);
+    assert.strictEqual(button.strokeColor.red, 255);
+    assert.strictEqual(fade.fillColor.gradient.gradientStops[0].color.red, 0x66);
+    assert.strictEqual(fade.fillColor.gradient.gradientStops[1].color.red, 255);
+    assert.strictEqual(label.textRange.characterAttributes.fillColor.red, 255);
+    assert.deepStrictEqual(plain(report.changes.map((change) => change.paint)), ['text fill', 'gradient', 'fill', 'stroke', 'fill']);
+    assert.strictEqual(report.touched.length, 4);
+
+    CSTasks.revertColorMapping(report);
+    assert.strictEqual(background.fillColor.red, 255);
+    assert.strictEqual(button.strokeColor.red, 0);
+    assert.strictEqual(fade.fillColor.gradient.gradientStops[0].color.blue, 255);
+    assert.strictEqual(label.textRange.characterAttributes.fillColor.red, 0);
+});
+
+test('applyColorMapping swaps the stops of a shared gradient in a copy, once for every object using it', () => {
+    const env = setup();
+    const {CSTasks, doc, host} = env;
+    const fade = makeGradient(env, [host.rgb(0, 0, 255), host.rgb(255, 0, 0)]);
+    const first = rect(doc, 0, 0, 10, 10, fade);
+    const second = rect(doc, 20, 0, 10, 10, fade);
+
+    const report = CSTasks.applyColorMapping(doc, {'#0000FF': '#FF0000', '#FF0000': '#0000FF'});
+    assert.strictEqual(report.touched.length, 2);
+    assert.strictEqual(first.fillColor.gradient, second.fillColor.gradient);
+    assert.notStrictEqual(first.fillColor.gradient, fade.gradient);
+    for (const item of [first, second]){
+        const stops = item.fillColor.gradient.gradientStops;
+        assert.deepStrictEqual(plain([stops[0].color.red, stops[1].color.blue]), [255, 255]);
+    }
+    assert.deepStrictEqual(plain([fade.gradient.gradientStops[0].color.blue, fade.gradient.gradientStops[1].color.red]), [255, 255]);
+
+    CSTasks.revertColorMapping(report);
+    assert.strictEqual(first.fillColor.gradient, fade.gradient);
+    assert.strictEqual(second.fillColor.gradient, fade.gradient);
+});
+
+test('applyColorMapping can swap two colors by name or hex, and preview changes with a dry run', () => {
+    const {CSTasks, doc, host} = setup();
+    const {light} = themes(CSTasks);
+    const blue = rect(doc, 0, 0, 10, 10, host.rgb(0, 0, 255));
+    const white = rect(doc, 0, 0, 10, 10, host.rgb(255, 255, 255));
+    const locked = rect(doc, 0, 0, 10, 10, host.rgb(0, 0, 255));
+    locked.locked = true;
+
+    let report = CSTasks.applyColorMapping(doc, {Primary: 'Background', '#FFFFFF': '#0000FF'}, {palette: light, dryRun: true});
+    assert.strictEqual(report.dryRun, true);
+    assert.strictEqual(report.changes.length, 2);
+    assert.strictEqual(report.skipped[0], locked);
+    assert.strictEqual(blue.fillColor.blue, 255);
+    assert.strictEqual(blue.fillColor.red, 0);
+
+    report = CSTasks.applyColorMapping([blue, white, locked], {Primary: 'Background', '#FFFFFF': '#0000FF'}, {palette: light, unlock: true});
+    assert.deepStrictEqual(plain([blue.fillColor.red, white.fillColor.red, locked.fillColor.red]), [255, 0, 255]);
+    assert.strictEqual(locked.locked, true);
+    CSTasks.revertColorMapping(report, {unlock: true});
+    assert.deepStrictEqual(plain([blue.fillColor.red, white.fillColor.red, locked.fillColor.red]), [0, 255, 0]);
+    assert.strictEqual(locked.locked, true);
+});
@@ -0,0 +1,138 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {setup, rect, plain} = require('./mock-illustrator');
+
+test('newDocument creates a document in the colorspace with the source units and origins', () => {
+    const {CSTasks, doc, g, host} = setup();
+    doc.rulerUnits = g.RulerUnits.Pixels;
+    doc.rulerOrigin = [5, 5];
+    const newDoc = CSTasks.newDocument(doc, g.DocumentColorSpace.CMYK);
+    assert.strictEqual(newDoc.documentColorSpace, g.DocumentColorSpace.CMYK);
+    assert.strictEqual(newDoc.rulerUnits, g.RulerUnits.Pixels);
+    assert.deepStrictEqual(newDoc.rulerOrigin, [5, 5]);
+    assert.strictEqual(host.documents.length, 2);
+});
+
+test('duplicateArtboardInNewDoc and duplicateArtboardsInNewDoc copy artboard rects', () => {
+    const {CSTasks, doc, g} = setup();
+    doc.artboards.add([1000, 0, 1100, -100]);
+    const one = CSTasks.duplicateArtboardInNewDoc(doc, doc.artboards[1], g.DocumentColorSpace.RGB);
+    assert.strictEqual(one.artboards.length, 1);
+    assert.deepStrictEqual(plain(one.artboards[0].artboardRect), [1000, 0, 1100, -100]);
+
+    const all = CSTasks.duplicateArtboardsInNewDoc(doc, g.DocumentColorSpace.RGB);
+    assert.deepStrictEqual(plain(Array.prototype.map.call(all.artboards, (artboard) => artboard.artboardRect)),
+        [[0, 792, 612, 0], [1000, 0, 1100, -100]]);
+});
+
+test('duplicateSelectionInNewDoc duplicates objects into another document', () => {
+    const {CSTasks, doc, g} = setup();
+    const a = rect(doc, 0, 0, 10, 10);
+    a.name = 'a';
+    const other = CSTasks.newDocument(doc, g.DocumentColorSpace.RGB);
+    const copies = CSTasks.duplicateSelectionInNewDoc([a], other);
+    assert.strictEqual(copies.length, 1);
+    assert.notStrictEqual(copies[0], a);
+    assert.strictEqual(other.pageItems[0].name, 'a');
+    assert.strictEqual(doc.pageItems.length, 1);
+});
+
+test('duplicateDocument copies artboards and contents in position, converting colors', () => {
+    const {CSTasks, doc, g, host} = setup();
+    doc.artboards.add([1000, 792, 1612, 0]);
+    const a = rect(doc, 1100, 500, 10, 10, host.rgb(255, 0, 0));
+    a.name = 'a';
+    const newDoc = CSTasks.duplicateDocument(doc, g.DocumentColorSpace.CMYK);
+    assert.strictEqual(newDoc.artboards.length, 2);
+    const copy = newDoc.pageItems[0];
+    assert.deepStrictEqual(plain(copy.geometricBounds), [1100, 500, 1110, 490]);
+    assert.strictEqual(copy.fillColor.typename, 'CMYKColor');
+    assert.strictEqual(copy.fillColor.magenta, 100);
+});
+
+test('duplicateDocument rebuilds the layers, keeping names, order and locked and hidden state', () => {
+    const {CSTasks, doc, g} = setup();
+    const base = doc.layers[0];
+    base.name = 'Base';
+    rect(base, 0, 100, 10, 10).name = 'bottom';
+    const top = rect(base, 0, 100, 10, 10);
+    top.name = 'top';
+    top.locked = true;
+    const labels = doc.layers.add();
+    labels.name = 'Labels';
+    labels.printable = false;
+    CSTasks.createTextFrame(doc, 'Hello', [0, 0], 12).hidden = true;
+    const sub = labels.layers.add();
+    sub.name = 'Sub';
+    const group = sub.groupItems.add();
+    const inner = rect(group, 5, 5, 10, 10);
+    inner.name = 'inner';
+    inner.locked = true;
+    labels.locked = true;
+    sub.visible = false;
+
+    const report = {};
+    const newDoc = CSTasks.duplicateDocument(doc, g.DocumentColorSpace.RGB, {report: report});
+    assert.deepStrictEqual(plain(Array.prototype.map.call(newDoc.layers, (layer) => [layer.name, layer.locked, layer.visible, layer.printable])),
+        [['Labels', true, true, false], ['Base', false, true, true]]);
+    const newLabels = newDoc.layers[0];
+    const newBase = newDoc.layers[1];
+    assert.deepStrictEqual(plain(Array.prototype.map.call(newBase.pageItems, (item) => [item.name, item.locked])), [['top', true], ['bottom', false]]);
+    assert.strictEqual(newLabels.textFrames[0].contents, 'Hello');
+    assert.strictEqual(newLabels.textFrames[0].hidden, true);
+    assert.strictEqual(newLabels.layers[0].name, 'Sub');
+    assert.strictEqual(newLabels.layers[0].visible, false);
+    const newInner = newLabels.layers[0].groupItems[0].pageItems[0];
+    assert.strictEqual(newInner.name, 'inner');
+    assert.strictEqual(newInner.locked, true);
+    assert.strictEqual(newDoc.pageItems.length, 5);
+    assert.strictEqual(report.touched.length, 4);
+    assert.strictEqual(report.skipped.length, 0);
+
+    assert.strictEqual(labels.locked, true);
+    assert.strictEqual(inner.locked, true);
+    assert.strictEqual(sub.visible, false);
+});
+
+test('duplicateDocument keeps the order of a layer\'s objects and of its sublayers, and reports each copy', () => {
+    const {CSTasks, doc, g} = setup();
+    const layer = doc.layers[0];
+    rect(layer, 0, 100, 10, 10).name = 'back';
+    layer.layers.add().name = 'Lower';
+    const front = rect(layer, 0, 100, 10, 10);
+    front.name = 'front';
+    front.hidden = true;
+    layer.layers.add().name = 'Upper';
+
+    const report = {};
+    const newDoc = CSTasks.duplicateDocument(doc, g.DocumentColorSpace.RGB, {report: report});
+    const newLayer = newDoc.layers[0];
+    assert.deepStrictEqual(plain(Array.prototype.map.call(newLayer.pageItems, (item) => item.name)), ['front', 'back']);
+    assert.deepStrictEqual(plain(Array.prototype.map.call(newLayer.layers, (sublayer) => sublayer.name)), ['Upper', 'Lower']);
+    assert.strictEqual(newLayer.pageItems[0].hidden, true);
+    assert.strictEqual(front.hidden, true);
+    assert.deepStrictEqual(plain(report.copies.map((pair) => [pair.source.name, pair.copy.name])),
+        [['Layer 1', 'Layer 1'], ['back', 'back'], ['front', 'front'], ['Lower', 'Lower'], ['Upper', 'Upper']]);
+});
+
+test('duplicateDocument copies artboard names and rulers, and process swatches in the new colorspace', () => {
+    const {CSTasks, doc, g, host} = setup();
+    doc.artboards[0].name = 'Icon';
+    doc.artboards[0].rulerOrigin = [10, 20];
+    const swatch = doc.swatches.add();
+    swatch.name = 'Brand Red';
+    swatch.color = host.rgb(255, 0, 0);
+    const newDoc = CSTasks.duplicateDocument(doc, g.DocumentColorSpace.CMYK);
+    assert.strictEqual(newDoc.artboards[0].name, 'Icon');
+    assert.deepStrictEqual(plain(newDoc.artboards[0].rulerOrigin), [10, 20]);
+    const copy = Array.prototype.filter.call(newDoc.swatches, (s) => s.name == 'Brand Red');
+    assert.strictEqual(copy.length, 1);
+    assert.strictEqual(copy[0].color.typename, 'CMYKColor');
+});
+
+test('newRect turns a top left position and size into an artboard rect', () => {
+    const {CSTasks} = setup();
+    assert.deepStrictEqual(plain(CSTasks.newRect(10, 20, 100, 50)), [10, -20, 110, -70]);
+});
@@ -0,0 +1,287 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {setup, rect, plain} = require('./mock-illustrator');
+
+function fileNames(files){
+    return plain(Array.prototype.map.call(files, (file) => file.name));
+}
+
+test('scaleAndExportPNG exports a PNG24 clipped to the artboard at the scale', () => {
+    const {CSTasks, doc, g} = setup();
+    CSTasks.scaleAndExportPNG(doc, new g.File('/out/icon.png'), 200);
+    assert.strictEqual(doc.exports.length, 1);
+    assert.strictEqual(doc.exports[0].file, '/out/icon.png');
+    assert.strictEqual(doc.exports[0].type, g.ExportType.PNG24);
+    assert.strictEqual(doc.exports[0].options.horizontalScale, 200);
+    assert.strictEqual(doc.exports[0].options.artBoardClipping, true);
+});
+
+test('getScaleForSize fits a rect inside a width and/or height', () => {
+    const {CSTasks} = setup();
+    assert.strictEqual(CSTasks.getScaleForSize([0, 100, 50, 0], 100), 200);
+    assert.strictEqual(CSTasks.getScaleForSize([0, 100, 50, 0], undefined, 50), 50);
+    assert.strictEqual(CSTasks.getScaleForSize([0, 100, 50, 0], 100, 50), 50);
+    assert.strictEqual(CSTasks.getScaleForSize([0, 100, 50, 0]), 100);
+});
+
+test('sanitizeFileName replaces unsafe characters and trims', () => {
+    const {CSTasks} = setup();
+    assert.strictEqual(CSTasks.sanitizeFileName(' a/b:c*d? '), 'a_b_c_d');
+    assert.strictEqual(CSTasks.sanitizeFileName('...'), 'untitled');
+});
+
+test('formatFileName fills in tokens and leaves unknown ones', () => {
+    const {CSTasks} = setup();
+    assert.strictEqual(CSTasks.formatFileName('{docName}-{artboardName}@{scale}', {docName: 'logo', artboardName: 'Icon', scale: 200}), 'logo-Icon@200');
+    assert.strictEqual(CSTasks.formatFileName('{docName}_{unknown}', {docName: 'logo'}), 'logo_{unknown}');
+});
+
+test('getUniqueFile numbers names already used in the run, or on disk when not overwriting', () => {
+    const {CSTasks, g, host} = setup();
+    const folder = new g.Folder('/out');
+    const used = {};
+    assert.strictEqual(CSTasks.getUniqueFile(folder, 'icon', 'png', used).name, 'icon.png');
+    assert.strictEqual(CSTasks.getUniqueFile(folder, 'ICON', 'png', used).name, 'ICON-2.png');
+    host.files['/out/logo.png'] = '';
+    assert.strictEqual(CSTasks.getUniqueFile(folder, 'logo', 'png', {}).name, 'logo.png');
+    assert.strictEqual(CSTasks.getUniqueFile(folder, 'logo', 'png', {}, false).name, 'logo-2.png');
+});
+
+test('exportDocument writes each format with the right options', () => {
+    const {CSTasks, doc, g, host} = setup();
+    doc.artboards.add([1000, 0, 1100, -100]);
+    CSTasks.exportDocument(doc, new g.File('/out/a.png'), 'PNG', {scale: 50, artboardIndex: 1});
+    CSTasks.exportDocument(doc, new g.File('/out/a8.png'), 'png8');
+    CSTasks.exportDocument(doc, new g.File('/out/a.jpg'), 'jpg', {quality: 60});
+    const [png, png8, jpg] = doc.exports;
+    assert.strictEqual(png.type, g.ExportType.PNG24);
+    assert.strictEqual(png.options.horizontalScale, 50);
+    assert.strictEqual(png.options.artBoardClipping, true);
+    assert.strictEqual(png.artboardIndex, 1);
+    assert.strictEqual(png8.type, g.ExportType.PNG8);
+    assert.strictEqual(png8.options.artBoardClipping, false);
+    assert.strictEqual(jpg.options.qualitySetting, 60);
+
+    CSTasks.exportDocument(doc, new g.File('/out/a.pdf'), 'pdf', {artboardIndex: 0});
+    assert.strictEqual(host.saves[0].type, 'PDFSaveOptions');
+    assert.strictEqual(host.saves[0].options.artboardRange, '1');
+    assert.throws(() => CSTasks.exportDocument(doc, new g.File('/out/a.gif'), 'gif'), /Unknown export format/);
+    assert.throws(() => CSTasks.exportDocument(doc, new g.File('/out/b.png'), 'png', {artboardIndex: 4}), {name: 'MissingArtboardError'});
+});
+
+test('exportDocument keeps the requested name for a single SVG or EPS artboard', () => {
+    const {CSTasks, doc, g, host} = setup();
+    CSTasks.exportDocument(doc, new g.File('/out/a.svg'), 'svg', {artboardIndex: 0});
+    CSTasks.exportDocument(doc, new g.File('/out/a.eps'), 'eps', {artboardIndex: 0});
+    assert.deepStrictEqual(Object.keys(host.files).sort(), ['/out/a.eps', '/out/a.svg']);
+});
+
+test('exportTargets writes every target and artboard with templated unique names', () => {
+    const {CSTasks, doc, g} = setup();
+    doc.name = 'logo.ai';
+    doc.artboards[0].name = 'Icon';
+    doc.artboards.add([1000, 0, 1100, -100]);
+    doc.artboards[1].name = 'Icon';
+    rect(doc, 0, 100, 100, 100);
+    const files = CSTasks.exportTargets(doc, new g.Folder('/out'), [
+        {format: 'png', scale: 200},
+        {format: 'jpg', width: 50, artboards: 1, name: '{docName}_{index}_{width}x{height}'},
+        {format: 'svg', artboards: 'all'}
+    ]);
+    assert.deepStrictEqual(fileNames(files), ['logo_Icon_200.png', 'logo_Icon_200-2.png', 'logo_1_50x50.jpg', 'logo_100.svg']);
+    assert.strictEqual(doc.exports[2].options.horizontalScale, 50);
+    assert.throws(() => CSTasks.exportTargets(doc, new g.Folder('/out'), [{format: 'gif'}]), /Unknown export format/);
+});
+
+test('exportArtboards exports each artboard with a template', () => {
+    const {CSTasks, doc, g} = setup();
+    doc.name = 'logo.ai';
+    doc.artboards.add([1000, 0, 1100, -100]);
+    const files = CSTasks.exportArtboards(doc, new g.Folder('/out'), '{docName}-{artboardName}@{scale}', {scale: 300});
+    assert.deepStrictEqual(fileNames(files), ['logo-Artboard 1@300.png', 'logo-Artboard 2@300.png']);
+});
+
+test('scaleAndExportPNG returns the file and can add it to a manifest', () => {
+    const {CSTasks, doc, g} = setup();
+    new g.Folder('/out').create();
+    const manifest = CSTasks.createManifest({hash: false});
+    const file = CSTasks.scaleAndExportPNG(doc, new g.File('/out/icon.png'), 50, {manifest: manifest});
+    assert.strictEqual(file.fsName, '/out/icon.png');
+    assert.deepStrictEqual(plain(manifest.entries), [{source: 'Untitled-1', document: 'Untitled-1', artboard: 'Artboard 1', artboardIndex: 0,
+        format: 'png', scale: 50, width: 306, height: 396, colorspace: 'rgb', path: '/out/icon.png', bytes: file.length}]);
+});
+
+test('exportTargets records every file in a manifest written next to the exports', () => {
+    const {CSTasks, doc, g, host} = setup();
+    new g.Folder('/out').create();
+    doc.name = 'logo.ai';
+    doc.artboards[0].artboardRect = [0, 0, 100, -50];
+    doc.artboards[0].name = 'Icon';
+    rect(doc, 0, 0, 100, 50);
+    CSTasks.exportTargets(doc, new g.Folder('/out'), [{format: 'png', width: 200}, {format: 'svg', artboards: 0, scale: 300}],
+        {manifest: 'manifest.json'});
+    const manifest = JSON.parse(host.files['/out/manifest.json']);
+    assert.strictEqual(manifest.count, 2);
+    assert.deepStrictEqual(manifest.assets.map((entry) => [entry.file, entry.format, entry.scale, entry.width, entry.height, entry.artboard]),
+        [['logo_Icon_200.png', 'png', 200, 200, 100, 'Icon'], ['logo_Icon_300.svg', 'svg', null, 100, 50, 'Icon']]);
+    assert.strictEqual(manifest.assets[0].path, '/out/logo_Icon_200.png');
+    assert.strictEqual(manifest.assets[0].colorspace, 'rgb');
+    assert.strictEqual(manifest.assets[1].sha256, CSTasks.hashFile(new g.File('/out/logo_Icon_300.svg')));
+});
+
+test('a manifest keeps entries from several exports and documents', () => {
+    const {CSTasks, doc, g, host} = setup();
+    new g.Folder('/out').create();
+    new g.Folder('/out/cmyk').create();
+    const cmykDoc = CSTasks.duplicateDocument(doc, g.DocumentColorSpace.CMYK);
+    const manifest = CSTasks.createManifest();
+    CSTasks.exportDocument(doc, new g.File('/out/a.jpg'), 'jpg', {artboardIndex: 0, manifest: manifest});
+    CSTasks.exportArtboards(cmykDoc, new g.Folder('/out/cmyk'), 'artboard-{index}', {format: 'pdf', manifest: manifest});
+    manifest.write(new g.File('/out/assets.json'));
+    const written = JSON.parse(host.files['/out/assets.json']);
+    assert.deepStrictEqual(written.assets.map((entry) => [entry.file, entry.colorspace]), [['a.jpg', 'rgb'], ['cmyk/artboard-0.pdf', 'cmyk']]);
+    assert.strictEqual(manifest.entries[0].file, undefined);
+});
+
+test('scaleAndExportPNG scales an artboard to a pixel size and names high-density exports', () => {
+    const {CSTasks, doc, g} = setup();
+    doc.artboards[0].artboardRect = [0, 0, 24, -12];
+    doc.artboards.add([100, 0, 148, -48]);
+    const file = CSTasks.scaleAndExportPNG(doc, new g.File('/out/icon.png'), null, {width: 24, artboardIndex: 1, resolution: 2});
+    assert.strictEqual(file.fsName, '/out/icon@2x.png');
+    assert.strictEqual(doc.exports[0].file, '/out/icon@2x.png');
+    assert.strictEqual(doc.exports[0].artboardIndex, 1);
+    assert.strictEqual(doc.exports[0].options.horizontalScale, 100);
+
+    CSTasks.scaleAndExportPNG(doc, new g.File('/out/wide.png'), 100, {height: 36, artboardIndex: 0});
+    assert.strictEqual(doc.exports[1].options.verticalScale, 300);
+    assert.throws(() => CSTasks.scaleAndExportPNG(doc, new g.File('/out/x.png'), 100, {artboardIndex: 2}), {name: 'MissingArtboardError'});
+});
+
+test('scaleAndExportPNG sets the PNG type, matte, transparency, antialiasing and clipping', () => {
+    const {CSTasks, doc, g} = setup();
+    CSTasks.scaleAndExportPNG(doc, new g.File('/out/a.png'), 100, {format: 'png8', matte: '#FF8000', antiAliasing: 'none', clip: false});
+    const png8 = doc.exports[0];
+    assert.strictEqual(png8.type, g.ExportType.PNG8);
+    assert.strictEqual(png8.options.transparency, false);
+    assert.strictEqual(png8.options.matte, true);
+    assert.deepStrictEqual([png8.options.matteColor.red, png8.options.matteColor.green, png8.options.matteColor.blue], [255, 128, 0]);
+    assert.strictEqual(png8.options.antiAliasing, false);
+    assert.strictEqual(png8.options.artBoardClipping, false);
+
+    CSTasks.scaleAndExportPNG(doc, new g.File('/out/b.png'), 100, {transparency: false});
+    assert.strictEqual(doc.exports[1].options.transparency, false);
+    assert.strictEqual(doc.exports[1].options.antiAliasing, true);
+});
+
+test('scaleAndExportPNG writes type-optimized antialiasing with Export for Screens under the requested name', () => {
+    const {CSTasks, doc, g, host} = setup();
+    new g.Folder('/out').create();
+    doc.artboards[0].name = 'Icon';
+    const manifest = CSTasks.createManifest({hash: false});
+    CSTasks.scaleAndExportPNG(doc, new g.File('/out/label.png'), 50, {antiAliasing: 'type', resolution: 3, manifest: manifest});
+    assert.strictEqual(doc.exports[0].type, g.ExportForScreensType.SE_PNG24);
+    assert.strictEqual(doc.exports[0].options.antiAliasing, g.AntiAliasingMethod.TYPEOPTIMIZED);
+    assert.strictEqual(doc.exports[0].options.scaleType, g.ExportForScreensScaleType.SCALEBYWIDTH);
+    assert.strictEqual(doc.exports[0].options.scaleTypeValue, 918);
+    assert.deepStrictEqual(Object.keys(host.files), ['/out/label@3x.png']);
+    assert.strictEqual(manifest.entries[0].scale, 150);
+    assert.throws(() => CSTasks.scaleAndExportPNG(doc, new g.File('/out/c.png'), 100, {antiAliasing: 'type', format: 'png8'}),
+        /Type-optimized antialiasing/);
+});
+
+test('scaleAndExportPNG uses Export for Screens for scales the classic export can\'t take', () => {
+    const {CSTasks, doc, g, host} = setup();
+    new g.Folder('/out').create();
+    doc.artboards[0].artboardRect = [0, 0, 24, -24];
+    doc.artboards[0].name = 'Icons: 24/Large';
+    CSTasks.scaleAndExportPNG(doc, new g.File('/out/icon.png'), 1000);
+    assert.strictEqual(doc.exports[0].type, g.ExportForScreensType.SE_PNG24);
+    assert.strictEqual(doc.exports[0].options.antiAliasing, g.AntiAliasingMethod.ARTOPTIMIZED);
+    assert.strictEqual(doc.exports[0].options.scaleTypeValue, 240);
+    assert.deepStrictEqual(Object.keys(host.files), ['/out/icon.png']);
+
+    CSTasks.scaleAndExportPNG(doc, new g.File('/out/small.png'), 700);
+    assert.strictEqual(doc.exports[1].type, g.ExportType.PNG24);
+    assert.throws(() => CSTasks.scaleAndExportPNG(doc, new g.File('/out/c.png'), 800, {format: 'png8'}), /Scales over 776.19%/);
+});
+
+test('scaleAndExportPNG finds the Export for Screens file in the subfolder it makes with Create Sub-folders on', () => {
+    const {CSTasks, doc, g, host} = setup();
+    new g.Folder('/out').create();
+    host.screensSubfolders = true;
+    doc.artboards[0].artboardRect = [0, 0, 24, -24];
+    CSTasks.scaleAndExportPNG(doc, new g.File('/out/icon.png'), 1000);
+    CSTasks.scaleAndExportPNG(doc, new g.File('/out/label.png'), 100, {antiAliasing: 'type'});
+    assert.deepStrictEqual(Object.keys(host.files).sort(), ['/out/icon.png', '/out/label.png']);
+    assert.strictEqual(new g.Folder('/out/240w').exists, false);
+    assert.strictEqual(new g.Folder('/out/24w').exists, false);
+
+    new g.Folder('/out/24w').create();
+    host.files['/out/24w/keep.png'] = '';
+    CSTasks.scaleAndExportPNG(doc, new g.File('/out/again.png'), 100, {antiAliasing: 'type'});
+    assert.ok(host.files['/out/again.png'] !== undefined);
+    assert.deepStrictEqual(Object.keys(host.files).filter((file) => file.indexOf('/out/24w/') == 0), ['/out/24w/keep.png']);
+});
+
+test('exportTargets passes PNG settings through to each export', () => {
+    const {CSTasks, doc, g} = setup();
+    CSTasks.exportTargets(doc, new g.Folder('/out'), [{format: 'png', matte: '#000000', antiAliasing: 'none'}]);
+    assert.strictEqual(doc.exports[0].options.transparency, false);
+    assert.strictEqual(doc.exports[0].options.matteColor.red, 0);
+    assert.strictEqual(doc.exports[0].options.antiAliasing, false);
+});
+
+test('exportDocument writes PDF and EPS from a copy, so the document keeps its own file', () => {
+    const {CSTasks, doc, g, host} = setup();
+    new g.Folder('/work').create();
+    doc.saveAs(new g.File('/work/logo.ai'));
+    rect(doc, 0, 100, 100, 100);
+    CSTasks.exportDocument(doc, new g.File('/out/logo.pdf'), 'pdf');
+    CSTasks.exportDocument(doc, new g.File('/out/logo.eps'), 'eps', {artboardIndex: 0});
+    assert.deepStrictEqual(host.saves.map((save) => save.type), ['IllustratorSaveOptions', 'PDFSaveOptions', 'EPSSaveOptions']);
+    assert.ok(host.files['/out/logo.pdf'] && host.files['/out/logo.eps']);
+    assert.strictEqual(doc.name, 'logo.ai');
+    assert.strictEqual(doc.fullName.fsName, '/work/logo.ai');
+    assert.deepStrictEqual(host.documents, [doc]);
+    assert.strictEqual(g.app.activeDocument, doc);
+});
+
+test('exportTargets records the document\'s own file as the source of every entry, including those after a PDF', () => {
+    const {CSTasks, doc, g} = setup();
+    new g.Folder('/work').create();
+    new g.Folder('/out').create();
+    doc.saveAs(new g.File('/work/logo.ai'));
+    const manifest = CSTasks.createManifest({hash: false});
+    CSTasks.exportTargets(doc, new g.Folder('/out'), [{format: 'pdf'}, {format: 'png'}, {format: 'eps'}], {manifest: manifest});
+    assert.deepStrictEqual(plain(manifest.entries.map((entry) => [entry.format, entry.source, entry.document])),
+        [['pdf', '/work/logo.ai', 'logo.ai'], ['png', '/work/logo.ai', 'logo.ai'], ['eps', '/work/logo.ai', 'logo.ai']]);
+});
+
+test('exportTargets saves all its PDF and EPS files from one copy of the document', () => {
+    const {CSTasks, doc, g, host} = setup();
+    new g.Folder('/out').create();
+    doc.artboards.add([1000, 0, 1100, -100]);
+    doc.artboards.add([2000, 0, 2100, -100]);
+    let copies = 0;
+    const duplicate = CSTasks.duplicateDocument;
+    CSTasks.duplicateDocument = function(){ copies++; return duplicate.apply(this, arguments); };
+    const files = CSTasks.exportTargets(doc, new g.Folder('/out'), [{format: 'pdf'}, {format: 'eps', artboards: 0}, {format: 'png'}]);
+    assert.strictEqual(files.length, 7);
+    assert.strictEqual(copies, 1);
+    assert.deepStrictEqual(host.documents, [doc]);
+    assert.strictEqual(g.app.activeDocument, doc);
+});
+
+test('exportDocument throws an IncompleteCopyError rather than leaving objects out of a PDF', () => {
+    const {CSTasks, doc, g, host} = setup();
+    new g.Folder('/out').create();
+    const stuck = rect(doc, 0, 100, 10, 10);
+    stuck.duplicate = function(){ throw new Error('Can\'t duplicate'); };
+    assert.throws(() => CSTasks.exportDocument(doc, new g.File('/out/logo.pdf'), 'pdf'),
+        (error) => error.name == 'IncompleteCopyError' && error.skipped[0] === stuck);
+    assert.strictEqual(host.files['/out/logo.pdf'], undefined);
+    assert.deepStrictEqual(host.documents, [doc]);
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {setup, plain} = require('./mock-illustrator');
+
+test('writeTextFile and readTextFile round-trip text and drop a byte order mark', () => {
+    const {CSTasks, g, host} = setup();
+    new g.Folder('/data').create();
+    const file = CSTasks.writeTextFile(new g.File('/data/a.txt'), 'héllo\nworld');
+    assert.strictEqual(host.files['/data/a.txt'], 'héllo\nworld');
+    assert.strictEqual(CSTasks.readTextFile(file), 'héllo\nworld');
+    host.files['/data/bom.txt'] = '\uFEFFtext';
+    assert.strictEqual(CSTasks.readTextFile(new g.File('/data/bom.txt')), 'text');
+    assert.throws(() => CSTasks.readTextFile(new g.File('/data/missing.txt')), /Couldn't open/);
+    assert.throws(() => CSTasks.writeTextFile(new g.File('/nowhere/a.txt'), ''), /Couldn't write/);
+});
+
+test('toJSON writes data that JSON.parse reads back', () => {
+    const {CSTasks} = setup();
+    const data = {name: 'a "quoted"\tname ', list: [1, 2.5, -3e-7, true, null], nested: {empty: [], none: {}}, skip: undefined};
+    const compact = CSTasks.toJSON(data);
+    assert.deepStrictEqual(JSON.parse(compact), JSON.parse(JSON.stringify(data)));
+    assert.strictEqual(compact.indexOf('\n'), -1);
+    assert.strictEqual(CSTasks.toJSON({a: [1]}, '  '), '{\n  "a": [\n    1\n  ]\n}');
+    assert.strictEqual(CSTasks.toJSON(NaN), 'null');
+});
+
+test('parseJSON reads JSON and rejects anything else', () => {
+    const {CSTasks} = setup();
+    assert.deepStrictEqual(plain(CSTasks.parseJSON('{"a": [1, "two", {"b": null}], "c": "\\u00e9"}')), {a: [1, 'two', {b: null}], c: 'é'});
+    assert.throws(() => CSTasks.parseJSON('{"a": alert(1)}'), /Invalid JSON/);
+});
+
+test('parseCSV reads quoted fields, line breaks and headers', () => {
+    const {CSTasks} = setup();
+    const text = 'name,title\r\nhome,"Home, sweet ""home"""\n\nabout,"Two\nlines"\nlast';
+    assert.deepStrictEqual(plain(CSTasks.parseCSV(text)), [
+        {name: 'home', title: 'Home, sweet "home"'},
+        {name: 'about', title: 'Two\nlines'},
+        {name: 'last', title: ''}
+    ]);
+    assert.deepStrictEqual(plain(CSTasks.parseCSV('a;b\n1;2\n', {delimiter: ';', header: false})), [['a', 'b'], ['1', '2']]);
+});
+
+test('readDataFile reads JSON, and CSV rows with dotted columns as nested objects', () => {
+    const {CSTasks, g, host} = setup();
+    new g.Folder('/data').create();
+    host.files['/data/rows.csv'] = 'name,text.title,colors.Blue,export.format\nhome,Home,Red,svg\nabout,,,\n';
+    host.files['/data/rows.json'] = '[{"name": "home", "text": {"title": "Home"}}]';
+    assert.deepStrictEqual(plain(CSTasks.readDataFile(new g.File('/data/rows.csv'))), [
+        {name: 'home', text: {title: 'Home'}, colors: {Blue: 'Red'}, export: {format: 'svg'}},
+        {name: 'about'}
+    ]);
+    assert.deepStrictEqual(plain(CSTasks.readDataFile(new g.File('/data/rows.json'))), [{name: 'home', text: {title: 'Home'}}]);
+});
+
+test('hashFile returns the SHA-256 of the file contents', () => {
+    const {CSTasks, g, host} = setup();
+    new g.Folder('/data').create();
+    host.files['/data/empty'] = '';
+    host.files['/data/abc'] = 'abc';
+    assert.strictEqual(CSTasks.hashFile(new g.File('/data/empty')), 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+    assert.strictEqual(CSTasks.hashFile(new g.File('/data/abc')), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {setup, rect, plain} = require('./mock-illustrator');
+
+function rects(doc){
+    return plain(Array.prototype.map.call(doc.artboards, (artboard) => artboard.artboardRect));
+}
+
+test('createArtboardGrid adds artboards in rows below the existing ones', () => {
+    const {CSTasks, doc} = setup();
+    const indices = CSTasks.createArtboardGrid(doc, 3, {width: 100, height: 50, gutter: 10, columns: 2, names: ['a', 'b', 'c']});
+    assert.deepStrictEqual(plain(indices), [1, 2, 3]);
+    assert.deepStrictEqual(rects(doc).slice(1), [[0, -10, 100, -60], [110, -10, 210, -60], [0, -70, 100, -120]]);
+    assert.deepStrictEqual(plain(Array.prototype.map.call(doc.artboards, (artboard) => artboard.name)), ['Artboard 1', 'a', 'b', 'c']);
+});
+
+test('createArtboardGrid can replace the existing artboards, using their size and position', () => {
+    const {CSTasks, doc} = setup();
+    doc.artboards[0].artboardRect = [100, 200, 164, 136];
+    const indices = CSTasks.createArtboardGrid(doc, 4, {replace: true});
+    assert.deepStrictEqual(plain(indices), [0, 1, 2, 3]);
+    assert.deepStrictEqual(rects(doc), [[100, 200, 164, 136], [184, 200, 248, 136], [100, 116, 164, 52], [184, 116, 248, 52]]);
+});
+
+test('arrangeArtboards lays artboards out in a grid and moves their contents', () => {
+    const {CSTasks, doc} = setup();
+    doc.artboards[0].artboardRect = [0, 0, 100, -100];
+    doc.artboards.add([500, 0, 550, -200]);
+    doc.artboards.add([-300, 300, -200, 200]);
+    const onSecond = rect(doc, 510, -10, 10, 10);
+    const onThird = rect(doc, -290, 290, 10, 10);
+    const locked = rect(doc, 520, -10, 10, 10);
+    locked.locked = true;
+
+    const report = CSTasks.arrangeArtboards(doc, {columns: 2, gutter: 10});
+    assert.deepStrictEqual(rects(doc), [[-300, 300, -200, 200], [-190, 300, -140, 100], [-300, 90, -200, -10]]);
+    assert.deepStrictEqual(plain(onSecond.position), [-180, 290]);
+    assert.deepStrictEqual(plain(onThird.position), [-290, 80]);
+    assert.strictEqual(report.touched.length, 2);
+    assert.strictEqual(report.skipped[0], locked);
+    assert.deepStrictEqual(plain(locked.position), [520, -10]);
+});
+
+test('moveArtboard moves one artboard and what is on it', () => {
+    const {CSTasks, doc} = setup();
+    const item = rect(doc, 10, 700, 10, 10);
+    const report = CSTasks.moveArtboard(doc, 0, [1000, 1000]);
+    assert.deepStrictEqual(rects(doc), [[1000, 1000, 1612, 208]]);
+    assert.deepStrictEqual(plain(item.position), [1010, 908]);
+    assert.strictEqual(report.touched[0], item);
+    doc.layers[0].locked = true;
+    assert.strictEqual(CSTasks.moveArtboard(doc, 0, [1000, 1000]).skipped[0], item);
+    CSTasks.moveArtboard(doc, 0, [0, 0], {unlock: true});
+    assert.deepStrictEqual(plain(item.position), [10, -92]);
+    assert.strictEqual(doc.layers[0].locked, true);
+    assert.throws(() => CSTasks.moveArtboard(doc, 1, [0, 0]), {name: 'MissingArtboardError'});
+});
+
+test('fitArtboardToContents fits visible objects with padding', () => {
+    const {CSTasks, doc} = setup();
+    rect(doc, 100, 500, 50, 50);
+    const stroked = rect(doc, 200, 400, 10, 10);
+    stroked.strokeWidth = 4;
+    stroked.stroked = true;
+    rect(doc, 0, 792, 612, 792).hidden = true;
+
+    assert.deepStrictEqual(plain(CSTasks.fitArtboardToContents(doc, 0, 10)), [90, 510, 222, 378]);
+    assert.deepStrictEqual(plain(CSTasks.fitArtboardToContents(doc, 0, [1, 2, 3, 4])), [96, 501, 214, 385]);
+
+    doc.artboards.add([5000, 0, 5100, -100]);
+    assert.deepStrictEqual(plain(CSTasks.fitArtboardToContents(doc, 1, 10)), [5000, 0, 5100, -100]);
+});
+
+test('nameArtboards names artboards in order, skipping empty names', () => {
+    const {CSTasks, doc} = setup();
+    CSTasks.createArtboardGrid(doc, 2);
+    assert.strictEqual(CSTasks.nameArtboards(doc, ['Icon', '', 'Banner', 'Extra']), 2);
+    assert.deepStrictEqual(plain(Array.prototype.map.call(doc.artboards, (artboard) => artboard.name)), ['Icon', 'Artboard 2', 'Banner']);
+    assert.strictEqual(CSTasks.nameArtboards(doc, ['Last'], 2), 1);
+    assert.strictEqual(doc.artboards[2].name, 'Last');
+});
@@ -0,0 +1,80 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {setup, plain} = require('./mock-illustrator');
+
+test('createError and isError make and recognise typed errors', () => {
+    const {CSTasks} = setup();
+    const error = CSTasks.createError(CSTasks.ErrorType.MISSING_FONT, 'No font', {font: 'Gone'});
+    assert.strictEqual(error.name, 'MissingFontError');
+    assert.strictEqual(error.message, 'No font');
+    assert.strictEqual(error.font, 'Gone');
+    assert.strictEqual(CSTasks.isError(error), true);
+    assert.strictEqual(CSTasks.isError(error, CSTasks.ErrorType.MISSING_FONT), true);
+    assert.strictEqual(CSTasks.isError(error, CSTasks.ErrorType.INVALID_COLOR), false);
+    assert.strictEqual(CSTasks.isError(new Error('plain')), false);
+});
+
+test('log writes to the console and alerts warnings by default, above the log level', () => {
+    const {CSTasks, host} = setup();
+    CSTasks.log('debug', 'hidden');
+    CSTasks.log('info', 'shown');
+    CSTasks.log('warn', 'careful');
+    assert.deepStrictEqual(host.output, ['[INFO] shown', '[WARN] careful']);
+    assert.deepStrictEqual(host.alerts, ['careful']);
+
+    CSTasks.configureLogging({level: 'debug'});
+    CSTasks.log('debug', 'now shown');
+    assert.strictEqual(host.output[2], '[DEBUG] now shown');
+    assert.throws(() => CSTasks.configureLogging({level: 'loud'}), /Unknown log level/);
+});
+
+test('custom, file and alert loggers receive entries', () => {
+    const {CSTasks, g, host} = setup();
+    const entries = [];
+    new g.Folder('/logs').create();
+    const previous = CSTasks.configureLogging({loggers: [
+        (entry) => entries.push(entry),
+        CSTasks.fileLogger(new g.File('/logs/run.log')),
+        CSTasks.alertLogger('error')
+    ]});
+    CSTasks.log('warn', 'first');
+    CSTasks.log('error', 'second', new Error('cause'));
+    assert.deepStrictEqual(plain(entries.map((entry) => [entry.level, entry.message])), [['warn', 'first'], ['error', 'second']]);
+    assert.strictEqual(entries[1].error.message, 'cause');
+    assert.match(host.files['/logs/run.log'], /\[WARN\] first\n.*\[ERROR\] second\n$/);
+    assert.deepStrictEqual(host.alerts, ['second']);
+
+    CSTasks.configureLogging(previous);
+    CSTasks.log('info', 'back to the console');
+    assert.deepStrictEqual(host.output, ['[INFO] back to the console']);
+});
+
+test('non-interactive mode never alerts and turns off Illustrator dialogs', () => {
+    const {CSTasks, g, host} = setup();
+    CSTasks.configureLogging({interactive: false});
+    assert.strictEqual(host.app.userInteractionLevel, g.UserInteractionLevel.DONTDISPLAYALERTS);
+    CSTasks.log('error', 'quiet');
+    assert.deepStrictEqual(host.alerts, []);
+    assert.deepStrictEqual(host.output, ['[ERROR] quiet']);
+});
+
+test('reportError logs, and throws when throwErrors is set', () => {
+    const {CSTasks, host} = setup();
+    CSTasks.configureLogging({interactive: false});
+    const error = CSTasks.createError(CSTasks.ErrorType.LOCKED_TARGET, 'locked');
+    assert.strictEqual(CSTasks.reportError(error), error);
+    assert.deepStrictEqual(host.output, ['[ERROR] locked']);
+    CSTasks.configureLogging({throwErrors: true});
+    assert.throws(() => CSTasks.reportError(error), (e) => e === error);
+});
+
+test('functions that used to alert report typed errors instead', () => {
+    const {CSTasks, doc, host} = setup();
+    CSTasks.configureLogging({interactive: false, throwErrors: true});
+    assert.throws(() => CSTasks.selectContentsOnArtboard(doc, 3), {name: 'MissingArtboardError', index: 3});
+    assert.throws(() => CSTasks.setFont(doc.textFrames.add(), 'NoSuchFont'), {name: 'MissingFontError', font: 'NoSuchFont'});
+    assert.deepStrictEqual(host.alerts, []);
+    assert.strictEqual(host.output.length, 2);
+});
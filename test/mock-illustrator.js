@@ -0,0 +1,1435 @@
+/********
+An in-memory stand-in for the parts of the Illustrator scripting object model that CSTasks uses, so CSTasks.jsx
+can be loaded and tested with Node, without Illustrator.
+
+createIllustrator() returns a host whose globals (app, File, RGBColor, DocumentColorSpace, ...) are installed
+into the script context by loadCSTasks(host). The host also keeps what a test needs to check afterwards:
+- host.files: the in-memory file system, an object from path to contents
+- host.alerts: the messages passed to alert()
+- host.output: the lines written with $.writeln()
+Documents record their exports in doc.exports and their saves in doc.saves.
+
+It's a model, not an emulator: geometry is rectangles, text is measured roughly, and colors are converted
+between RGB and CMYK with the naive formulas rather than color profiles.
+********/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function createIllustrator(){
+    const host = {files: {}, folders: {'/': true}, alerts: [], output: [], saves: []}; //saves: every saveAs, by any document
+    host.screensSubfolders = false; //Illustrator's Create Sub-folders preference for Export for Screens
+
+    /*****
+    Enums
+    *****/
+
+    function makeEnum(name, keys){
+        const values = {};
+        keys.forEach(function(key){ values[key] = name + '.' + key; });
+        return values;
+    }
+
+    const DocumentColorSpace = makeEnum('DocumentColorSpace', ['RGB', 'CMYK']);
+    const ElementPlacement = makeEnum('ElementPlacement', ['PLACEATBEGINNING', 'PLACEATEND', 'PLACEBEFORE', 'PLACEAFTER', 'INSIDE']);
+    const ExportType = makeEnum('ExportType', ['PNG24', 'PNG8', 'JPEG', 'SVG', 'GIF', 'TIFF', 'PHOTOSHOP', 'AUTOCAD', 'FLASH']);
+    const ImageColorSpace = makeEnum('ImageColorSpace', ['RGB', 'CMYK', 'LAB', 'GrayScale']);
+    const ColorConvertPurpose = makeEnum('ColorConvertPurpose', ['defaultpurpose', 'exportpurpose', 'previewpurpose', 'dummypurpose']);
+    const SaveOptions = makeEnum('SaveOptions', ['DONOTSAVECHANGES', 'SAVECHANGES', 'PROMPTTOSAVECHANGES']);
+    const Transformation = makeEnum('Transformation', ['BOTTOM', 'BOTTOMLEFT', 'BOTTOMRIGHT', 'CENTER', 'DOCUMENTORIGIN',
+        'LEFT', 'RIGHT', 'TOP', 'TOPLEFT', 'TOPRIGHT']);
+    const TextType = makeEnum('TextType', ['POINTTEXT', 'AREATEXT', 'PATHTEXT']);
+    const Justification = makeEnum('Justification', ['LEFT', 'CENTER', 'RIGHT', 'FULLJUSTIFY', 'FULLJUSTIFYLASTLINELEFT',
+        'FULLJUSTIFYLASTLINECENTER', 'FULLJUSTIFYLASTLINERIGHT']);
+    const RulerUnits = makeEnum('RulerUnits', ['Points', 'Pixels', 'Inches', 'Millimeters', 'Centimeters', 'Picas', 'Unknown']);
+    const ColorModel = makeEnum('ColorModel', ['PROCESS', 'SPOT', 'REGISTRATION']);
+    const GradientType = makeEnum('GradientType', ['LINEAR', 'RADIAL']);
+    const UserInteractionLevel = makeEnum('UserInteractionLevel', ['DISPLAYALERTS', 'DONTDISPLAYALERTS']);
+    const SVGFontType = makeEnum('SVGFontType', ['CEFFONT', 'SVGFONT', 'OUTLINEFONT']);
+    const AntiAliasingMethod = makeEnum('AntiAliasingMethod', ['None', 'ARTOPTIMIZED', 'TYPEOPTIMIZED']);
+    const ExportForScreensType = makeEnum('ExportForScreensType', ['SE_PNG24', 'SE_PNG8', 'SE_JPEG100', 'SE_SVG', 'SE_PDF']);
+    const ExportForScreensScaleType = makeEnum('ExportForScreensScaleType', ['SCALEBYFACTOR', 'SCALEBYWIDTH', 'SCALEBYHEIGHT', 'SCALEBYRESOLUTION']);
+
+    /**********
+    Collections
+    **********/
+
+    //an array-like snapshot with the Illustrator collection methods; DOM getters build a new one on every access, so they stay live
+    function makeCollection(typename, items, methods){
+        const collection = {typename: typename, length: items.length};
+        items.forEach(function(item, i){ collection[i] = item; });
+        collection.getByName = function(name){
+            for (let i = 0; i < items.length; i++){
+                if (items[i].name == name) return items[i];
+            }
+            throw new Error('No such element');
+        };
+        collection.index = function(item){ return items.indexOf(item); };
+        Object.keys(methods || {}).forEach(function(key){ collection[key] = methods[key]; });
+        return collection;
+    }
+
+    /*****
+    Colors
+    *****/
+
+    function RGBColor(){ this.typename = 'RGBColor'; this.red = 0; this.green = 0; this.blue = 0; }
+    function CMYKColor(){ this.typename = 'CMYKColor'; this.cyan = 0; this.magenta = 0; this.yellow = 0; this.black = 0; }
+    function GrayColor(){ this.typename = 'GrayColor'; this.gray = 0; }
+    function NoColor(){ this.typename = 'NoColor'; }
+    function SpotColor(){ this.typename = 'SpotColor'; this.spot = null; this.tint = 100; }
+    function GradientColor(){ this.typename = 'GradientColor'; this.gradient = null; this.angle = 0; this.length = 0; this.origin = [0, 0]; }
+    function PatternColor(){ this.typename = 'PatternColor'; this.pattern = null; }
+    function LabColor(){ this.typename = 'LabColor'; this.l = 0; this.a = 0; this.b = 0; }
+
+    //colors are values in Illustrator: assigning one to an object copies it
+    function cloneColor(color){
+        if (!color) return new NoColor();
+        const constructors = {RGBColor, CMYKColor, GrayColor, NoColor, SpotColor, GradientColor, PatternColor, LabColor};
+        const copy = new constructors[color.typename]();
+        Object.keys(color).forEach(function(key){ copy[key] = color[key]; });
+        return copy;
+    }
+
+    function rgb(r, g, b){
+        const color = new RGBColor();
+        color.red = r; color.green = g; color.blue = b;
+        return color;
+    }
+
+    function cmyk(c, m, y, k){
+        const color = new CMYKColor();
+        color.cyan = c; color.magenta = m; color.yellow = y; color.black = k;
+        return color;
+    }
+
+    function rgbToCmykValues(values){
+        const r = values[0] / 255, g = values[1] / 255, b = values[2] / 255;
+        const k = 1 - Math.max(r, g, b);
+        if (k >= 1) return [0, 0, 0, 100];
+        return [(1 - r - k) / (1 - k) * 100, (1 - g - k) / (1 - k) * 100, (1 - b - k) / (1 - k) * 100, k * 100];
+    }
+
+    function cmykToRgbValues(values){
+        const k = values[3] / 100;
+        return [255 * (1 - values[0] / 100) * (1 - k), 255 * (1 - values[1] / 100) * (1 - k), 255 * (1 - values[2] / 100) * (1 - k)];
+    }
+
+    function rgbToLabValues(values){
+        const linear = values.map(function(v){
+            const c = v / 255;
+            return (c <= 0.04045) ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        });
+        const xyz = [
+            (linear[0] * 0.4124 + linear[1] * 0.3576 + linear[2] * 0.1805) / 0.95047,
+            (linear[0] * 0.2126 + linear[1] * 0.7152 + linear[2] * 0.0722),
+            (linear[0] * 0.0193 + linear[1] * 0.1192 + linear[2] * 0.9505) / 1.08883
+        ].map(function(v){ return (v > 0.008856) ? Math.pow(v, 1 / 3) : (7.787 * v + 16 / 116); });
+        return [116 * xyz[1] - 16, 500 * (xyz[0] - xyz[1]), 200 * (xyz[1] - xyz[2])];
+    }
+
+    function labToRgbValues(values){
+        const fy = (values[0] + 16) / 116, fx = fy + values[1] / 500, fz = fy - values[2] / 200;
+        const xyz = [fx, fy, fz].map(function(f){ return (Math.pow(f, 3) > 0.008856) ? Math.pow(f, 3) : (f - 16 / 116) / 7.787; });
+        const x = xyz[0] * 0.95047, y = xyz[1], z = xyz[2] * 1.08883;
+        return [
+            x * 3.2406 + y * -1.5372 + z * -0.4986,
+            x * -0.9689 + y * 1.8758 + z * 0.0415,
+            x * 0.0557 + y * -0.2040 + z * 1.0570
+        ].map(function(c){
+            c = (c > 0.0031308) ? 1.055 * Math.pow(c, 1 / 2.4) - 0.055 : 12.92 * c;
+            return Math.max(0, Math.min(255, c * 255));
+        });
+    }
+
+    function convertSampleColor(fromSpace, values, toSpace){
+        let rgbValues;
+        if (fromSpace == ImageColorSpace.RGB) rgbValues = values.slice(0, 3);
+        else if (fromSpace == ImageColorSpace.CMYK) rgbValues = cmykToRgbValues(values);
+        else if (fromSpace == ImageColorSpace.LAB) rgbValues = labToRgbValues(values);
+        else rgbValues = [values[0] * 2.55, values[0] * 2.55, values[0] * 2.55];
+        if (toSpace == ImageColorSpace.RGB) return rgbValues;
+        if (toSpace == ImageColorSpace.CMYK) return rgbToCmykValues(rgbValues);
+        if (toSpace == ImageColorSpace.LAB) return rgbToLabValues(rgbValues);
+        return [(rgbValues[0] + rgbValues[1] + rgbValues[2]) / 7.65];
+    }
+
+    //what Illustrator does to colors that are copied into a document with another colorspace
+    function convertColorToSpace(color, colorspace, doc){
+        if (color.typename == 'RGBColor' && colorspace == DocumentColorSpace.CMYK){
+            const values = rgbToCmykValues([color.red, color.green, color.blue]);
+            return cmyk(values[0], values[1], values[2], values[3]);
+        }
+        if (color.typename == 'CMYKColor' && colorspace == DocumentColorSpace.RGB){
+            const values = cmykToRgbValues([color.cyan, color.magenta, color.yellow, color.black]);
+            return rgb(values[0], values[1], values[2]);
+        }
+        if (color.typename == 'GradientColor' && doc){
+            const copy = cloneColor(color);
+            copy.gradient = color.gradient._copyTo(doc);
+            return copy;
+        }
+        return cloneColor(color);
+    }
+
+    function Spot(doc){
+        this.typename = 'Spot';
+        this.name = 'Spot';
+        this.colorType = ColorModel.SPOT;
+        this._color = new CMYKColor();
+        this.parent = doc;
+    }
+    Object.defineProperty(Spot.prototype, 'color', {
+        get: function(){ return cloneColor(this._color); },
+        set: function(color){ this._color = cloneColor(color); }
+    });
+
+    function GradientStop(){
+        this.typename = 'GradientStop';
+        this._color = new NoColor();
+        this.rampPoint = 0;
+        this.midPoint = 50;
+        this.opacity = 100;
+    }
+    Object.defineProperty(GradientStop.prototype, 'color', {
+        get: function(){ return cloneColor(this._color); },
+        set: function(color){ this._color = cloneColor(color); }
+    });
+
+    function Gradient(doc){
+        this.typename = 'Gradient';
+        this.name = 'Gradient';
+        this.type = GradientType.LINEAR;
+        this.parent = doc;
+        this._stops = [new GradientStop(), new GradientStop()];
+        this._stops[1].rampPoint = 100;
+    }
+    Object.defineProperty(Gradient.prototype, 'gradientStops', {
+        get: function(){
+            const gradient = this;
+            return makeCollection('GradientStops', gradient._stops, {
+                add: function(){
+                    const stop = new GradientStop();
+                    gradient._stops.push(stop);
+                    return stop;
+                }
+            });
+        }
+    });
+    Gradient.prototype._copyTo = function(doc){
+        const copy = new Gradient(doc);
+        copy.name = this.name;
+        copy.type = this.type;
+        copy._stops = this._stops.map(function(stop){
+            const stopCopy = new GradientStop();
+            stopCopy._color = convertColorToSpace(stop._color, doc.documentColorSpace);
+            stopCopy.rampPoint = stop.rampPoint;
+            stopCopy.midPoint = stop.midPoint;
+            stopCopy.opacity = stop.opacity;
+            return stopCopy;
+        });
+        doc._gradients.push(copy);
+        return copy;
+    };
+
+    function Swatch(name, color){
+        this.typename = 'Swatch';
+        this.name = name || 'Swatch';
+        this._color = cloneColor(color);
+    }
+    Object.defineProperty(Swatch.prototype, 'color', {
+        get: function(){ return cloneColor(this._color); },
+        set: function(color){ this._color = cloneColor(color); }
+    });
+
+    function SwatchGroup(doc){
+        this.typename = 'SwatchGroup';
+        this.name = 'Swatch Group';
+        this.parent = doc;
+        this._swatches = [];
+    }
+    SwatchGroup.prototype.addSwatch = function(swatch){ this._swatches.push(swatch); };
+    SwatchGroup.prototype.getAllSwatches = function(){ return this._swatches.slice(); };
+    SwatchGroup.prototype.remove = function(){
+        const groups = this.parent._swatchGroups;
+        groups.splice(groups.indexOf(this), 1);
+    };
+
+    /****
+    Fonts
+    ****/
+
+    function TextFont(name, family, style){
+        this.typename = 'TextFont';
+        this.name = name;
+        this.family = family;
+        this.style = style;
+    }
+
+    host.fonts = [
+        new TextFont('ArialMT', 'Arial', 'Regular'),
+        new TextFont('Arial-BoldMT', 'Arial', 'Bold'),
+        new TextFont('Arial-ItalicMT', 'Arial', 'Italic'),
+        new TextFont('Helvetica', 'Helvetica', 'Regular'),
+        new TextFont('Helvetica-Bold', 'Helvetica', 'Bold'),
+        new TextFont('MyriadPro-Regular', 'Myriad Pro', 'Regular')
+    ];
+
+    function getTextFonts(){
+        return makeCollection('TextFonts', host.fonts);
+    }
+
+    /*********
+    Page items
+    *********/
+
+    function invalid(){
+        throw new Error('The object is no longer valid');
+    }
+
+    function isEditable(node){
+        for (let p = node; p && p.typename != 'Document'; p = p.parent){
+            if (p.locked) return false;
+        }
+        return true;
+    }
+
+    //walks up to the document
+    function getDocument(node){
+        let p = node;
+        while (p && p.typename != 'Document') p = p.parent;
+        return p;
+    }
+
+    function getChildren(container){
+        if (container.typename == 'Layer' || container.typename == 'GroupItem') return container._items;
+        if (container.typename == 'CompoundPathItem') return container._paths;
+        throw new Error(container.typename + ' cannot contain page items');
+    }
+
+    //puts item into a container, or next to a page item, at the placement given
+    function place(item, relativeObject, placement){
+        if (relativeObject.typename == 'Document') relativeObject = relativeObject.activeLayer;
+        if (placement == ElementPlacement.PLACEBEFORE || placement == ElementPlacement.PLACEAFTER){
+            const siblings = getChildren(relativeObject.parent);
+            const index = siblings.indexOf(relativeObject) + ((placement == ElementPlacement.PLACEAFTER) ? 1 : 0);
+            siblings.splice(index, 0, item);
+            item.parent = relativeObject.parent;
+        }
+        else {
+            const children = getChildren(relativeObject);
+            if (placement == ElementPlacement.PLACEATEND) children.push(item);
+            else children.unshift(item);
+            item.parent = relativeObject;
+        }
+        return item;
+    }
+
+    function detach(item){
+        if (!item.parent) return;
+        const siblings = getChildren(item.parent);
+        const index = siblings.indexOf(item);
+        if (index >= 0) siblings.splice(index, 1);
+        item.parent = null;
+    }
+
+    function unionBounds(boundsList){
+        if (boundsList.length == 0) return [0, 0, 0, 0];
+        const union = boundsList[0].slice();
+        boundsList.forEach(function(b){
+            union[0] = Math.min(union[0], b[0]);
+            union[1] = Math.max(union[1], b[1]);
+            union[2] = Math.max(union[2], b[2]);
+            union[3] = Math.min(union[3], b[3]);
+        });
+        return union;
+    }
+
+    function getAnchor(bounds, scaleAbout){
+        const x = {LEFT: bounds[0], CENTER: (bounds[0] + bounds[2]) / 2, RIGHT: bounds[2]};
+        const y = {TOP: bounds[1], CENTER: (bounds[1] + bounds[3]) / 2, BOTTOM: bounds[3]};
+        switch (scaleAbout){
+            case Transformation.TOPLEFT: return [x.LEFT, y.TOP];
+            case Transformation.TOP: return [x.CENTER, y.TOP];
+            case Transformation.TOPRIGHT: return [x.RIGHT, y.TOP];
+            case Transformation.LEFT: return [x.LEFT, y.CENTER];
+            case Transformation.RIGHT: return [x.RIGHT, y.CENTER];
+            case Transformation.BOTTOMLEFT: return [x.LEFT, y.BOTTOM];
+            case Transformation.BOTTOM: return [x.CENTER, y.BOTTOM];
+            case Transformation.BOTTOMRIGHT: return [x.RIGHT, y.BOTTOM];
+            case Transformation.DOCUMENTORIGIN: return [0, 0];
+        }
+        return [x.CENTER, y.CENTER];
+    }
+
+    class PageItem {
+        constructor(typename){
+            this.typename = typename;
+            this.name = '';
+            this.parent = null;
+            this.opacity = 100;
+            this.note = '';
+            this._locked = false;
+            this._hidden = false;
+            this._selected = false;
+            this._removed = false;
+            this._bounds = [0, 0, 0, 0]; //geometric bounds of leaf items: [left, top, right, bottom]
+        }
+
+        _check(){
+            if (this._removed) invalid();
+        }
+        _checkEditable(){
+            this._check();
+            if (!isEditable(this)) throw new Error('Target layer cannot be modified');
+        }
+
+        get locked(){ this._check(); return this._locked; }
+        set locked(value){ this._check(); this._locked = !!value; }
+        get hidden(){ this._check(); return this._hidden; }
+        set hidden(value){ this._check(); this._hidden = !!value; }
+        get selected(){ return this._selected; }
+        set selected(value){
+            this._check();
+            //Illustrator won't select locked or hidden objects
+            if (value && (!isEditable(this) || this._isHiddenInTree())) return;
+            this._selected = !!value;
+        }
+        _isHiddenInTree(){
+            for (let p = this; p && p.typename != 'Document'; p = p.parent){
+                if (p.typename == 'Layer' ? !p.visible : p._hidden) return true;
+            }
+            return false;
+        }
+
+        get layer(){
+            let p = this.parent;
+            while (p && p.typename != 'Layer') p = p.parent;
+            return p;
+        }
+
+        get geometricBounds(){ return this._bounds.slice(); }
+        get visibleBounds(){ return this.geometricBounds; }
+        get controlBounds(){ return this.visibleBounds; }
+        get position(){ const b = this.geometricBounds; return [b[0], b[1]]; }
+        set position(pos){ const b = this.geometricBounds; this.translate(pos[0] - b[0], pos[1] - b[1]); }
+        get left(){ return this.geometricBounds[0]; }
+        set left(value){ this.translate(value - this.left, 0); }
+        get top(){ return this.geometricBounds[1]; }
+        set top(value){ this.translate(0, value - this.top); }
+        get width(){ const b = this.geometricBounds; return b[2] - b[0]; }
+        set width(value){ const w = this.width; if (w) this.resize(value / w * 100, 100, true, true, true, true, 0, Transformation.TOPLEFT); }
+        get height(){ const b = this.geometricBounds; return b[1] - b[3]; }
+        set height(value){ const h = this.height; if (h) this.resize(100, value / h * 100, true, true, true, true, 0, Transformation.TOPLEFT); }
+
+        translate(dx, dy){
+            this._checkEditable();
+            this._moveBy(dx || 0, dy || 0);
+        }
+        _moveBy(dx, dy){
+            this._bounds = [this._bounds[0] + dx, this._bounds[1] + dy, this._bounds[2] + dx, this._bounds[3] + dy];
+        }
+
+        resize(scaleX, scaleY, changePositions, changeFillPatterns, changeFillGradients, changeStrokePattern, changeLineWidths, scaleAbout){
+            this._checkEditable();
+            const anchor = getAnchor(this.geometricBounds, scaleAbout);
+            this._scale(scaleX / 100, scaleY / 100, anchor, changeLineWidths ? changeLineWidths / 100 : 1);
+        }
+        _scale(sx, sy, anchor, lineScale){
+            const b = this._bounds;
+            this._bounds = [anchor[0] + (b[0] - anchor[0]) * sx, anchor[1] + (b[1] - anchor[1]) * sy,
+                anchor[0] + (b[2] - anchor[0]) * sx, anchor[1] + (b[3] - anchor[1]) * sy];
+            if (this.strokeWidth !== undefined) this.strokeWidth *= lineScale;
+        }
+
+        move(relativeObject, placement){
+            this._checkEditable();
+            detach(this);
+            place(this, relativeObject, placement);
+            if (getDocument(relativeObject) && getDocument(relativeObject) !== this._document) this._adopt(getDocument(relativeObject));
+            return this;
+        }
+        moveToBeginning(container){ return this.move(container, ElementPlacement.PLACEATBEGINNING); }
+        moveToEnd(container){ return this.move(container, ElementPlacement.PLACEATEND); }
+        get _document(){ return getDocument(this); }
+
+        duplicate(relativeObject, placement){
+            this._check();
+            const target = relativeObject || this.parent;
+            const copy = this._clone(getDocument(target));
+            place(copy, target, placement || ElementPlacement.PLACEATBEGINNING);
+            return copy;
+        }
+        _clone(doc){
+            const copy = Object.create(Object.getPrototypeOf(this));
+            Object.keys(this).forEach(function(key){ copy[key] = this[key]; }, this);
+            copy.parent = null;
+            copy._selected = false;
+            copy._bounds = this._bounds.slice();
+            return copy;
+        }
+        //converts colors for a document with a different colorspace
+        _adopt(doc){}
+
+        remove(){
+            this._checkEditable();
+            detach(this);
+            this._removed = true;
+        }
+    }
+
+    class PathItem extends PageItem {
+        constructor(doc){
+            super('PathItem');
+            this.filled = true;
+            this.stroked = false;
+            this.strokeWidth = 1;
+            this.clipping = false;
+            this.closed = true;
+            this.guides = false;
+            this._fillColor = (doc && doc.documentColorSpace == DocumentColorSpace.CMYK) ? cmyk(0, 0, 0, 100) : rgb(0, 0, 0);
+            this._strokeColor = new NoColor();
+        }
+        get fillColor(){ this._check(); return cloneColor(this._fillColor); }
+        set fillColor(color){
+            this._checkEditable();
+            this._fillColor = cloneColor(color);
+            this.filled = (color.typename != 'NoColor');
+        }
+        get strokeColor(){ this._check(); return cloneColor(this._strokeColor); }
+        set strokeColor(color){
+            this._checkEditable();
+            this._strokeColor = cloneColor(color);
+            this.stroked = (color.typename != 'NoColor');
+        }
+        get visibleBounds(){
+            const b = this.geometricBounds;
+            const half = this.stroked ? this.strokeWidth / 2 : 0;
+            return [b[0] - half, b[1] + half, b[2] + half, b[3] - half];
+        }
+        get area(){ return this.width * this.height; }
+        _clone(doc){
+            const copy = super._clone(doc);
+            copy._fillColor = convertColorToSpace(this._fillColor, doc ? doc.documentColorSpace : null, doc);
+            copy._strokeColor = convertColorToSpace(this._strokeColor, doc ? doc.documentColorSpace : null, doc);
+            return copy;
+        }
+        _adopt(doc){
+            this._fillColor = convertColorToSpace(this._fillColor, doc.documentColorSpace, doc);
+            this._strokeColor = convertColorToSpace(this._strokeColor, doc.documentColorSpace, doc);
+        }
+    }
+
+    //shared by the page items that contain other page items
+    function containerBounds(children, visible){
+        const bounds = children.filter(function(child){ return !child.guides; })
+            .map(function(child){ return visible ? child.visibleBounds : child.geometricBounds; });
+        return unionBounds(bounds);
+    }
+
+    class GroupItem extends PageItem {
+        constructor(){
+            super('GroupItem');
+            this.clipped = false;
+            this._items = [];
+        }
+        get pageItems(){ this._check(); return makeCollection('PageItems', this._items); }
+        get pathItems(){ return makeItemCollection(this, 'PathItems', PathItem, this._items); }
+        get groupItems(){ return makeItemCollection(this, 'GroupItems', GroupItem, this._items); }
+        get compoundPathItems(){ return makeItemCollection(this, 'CompoundPathItems', CompoundPathItem, this._items); }
+        get textFrames(){ return makeItemCollection(this, 'TextFrames', TextFrame, this._items); }
+        get _mask(){
+            if (!this.clipped) return null;
+            return this._items.filter(function(item){
+                return (item.typename == 'PathItem' && item.clipping) ||
+                    (item.typename == 'CompoundPathItem' && item._paths.length > 0 && item._paths[0].clipping);
+            })[0] || null;
+        }
+        //like Illustrator, the bounds of a clipping group include the art hidden by its mask
+        get geometricBounds(){ return containerBounds(this._items, false); }
+        get visibleBounds(){ return containerBounds(this._items, true); }
+        _moveBy(dx, dy){
+            this._items.forEach(function(item){ item._moveBy(dx, dy); });
+        }
+        _scale(sx, sy, anchor, lineScale){
+            this._items.forEach(function(item){ item._scale(sx, sy, anchor, lineScale); });
+        }
+        _clone(doc){
+            const copy = super._clone(doc);
+            copy._items = this._items.map(function(item){
+                const child = item._clone(doc);
+                child.parent = copy;
+                return child;
+            });
+            return copy;
+        }
+        _adopt(doc){
+            this._items.forEach(function(item){ item._adopt(doc); });
+        }
+    }
+
+    class CompoundPathItem extends PageItem {
+        constructor(){
+            super('CompoundPathItem');
+            this._paths = [];
+        }
+        get pathItems(){
+            const compound = this;
+            this._check();
+            return makeCollection('PathItems', this._paths, {
+                add: function(){ return place(new PathItem(getDocument(compound)), compound, ElementPlacement.PLACEATBEGINNING); },
+                rectangle: function(top, left, width, height){
+                    const path = this.add();
+                    path._bounds = [left, top, left + width, top - height];
+                    return path;
+                }
+            });
+        }
+        get geometricBounds(){ return containerBounds(this._paths, false); }
+        get visibleBounds(){ return containerBounds(this._paths, true); }
+        _moveBy(dx, dy){
+            this._paths.forEach(function(path){ path._moveBy(dx, dy); });
+        }
+        _scale(sx, sy, anchor, lineScale){
+            this._paths.forEach(function(path){ path._scale(sx, sy, anchor, lineScale); });
+        }
+        _clone(doc){
+            const copy = super._clone(doc);
+            copy._paths = this._paths.map(function(path){
+                const child = path._clone(doc);
+                child.parent = copy;
+                return child;
+            });
+            return copy;
+        }
+        _adopt(doc){
+            this._paths.forEach(function(path){ path._adopt(doc); });
+        }
+    }
+
+    function CharacterAttributes(doc){
+        this.typename = 'CharacterAttributes';
+        this.size = 12;
+        this.leading = 14.4;
+        this.autoLeading = true;
+        this.tracking = 0;
+        this.textFont = host.fonts[0];
+        this._fillColor = (doc && doc.documentColorSpace == DocumentColorSpace.CMYK) ? cmyk(0, 0, 0, 100) : rgb(0, 0, 0);
+        this._strokeColor = new NoColor();
+    }
+    Object.defineProperty(CharacterAttributes.prototype, 'fillColor', {
+        get: function(){ return cloneColor(this._fillColor); },
+        set: function(color){ this._fillColor = cloneColor(color); }
+    });
+    Object.defineProperty(CharacterAttributes.prototype, 'strokeColor', {
+        get: function(){ return cloneColor(this._strokeColor); },
+        set: function(color){ this._strokeColor = cloneColor(color); }
+    });
+
+    class TextFrame extends PageItem {
+        constructor(doc){
+            super('TextFrame');
+            this.kind = TextType.POINTTEXT;
+            this._contents = '';
+            this._styles = []; //per-character attributes where they differ from _attributes
+            this._attributes = new CharacterAttributes(doc);
+            this._paragraph = {typename: 'ParagraphAttributes', justification: Justification.LEFT};
+            this._area = null; //[width, height] for area text
+        }
+        get contents(){ return this._contents; }
+        set contents(value){
+            //like Illustrator, the whole text takes on the first character's formatting
+            this._attributes = this._styleAt(0);
+            this._styles = [];
+            this._contents = String(value);
+        }
+        _styleAt(index){ return this._styles[index] || this._attributes; }
+        //a range of characters; its attributes apply to every character in it
+        _range(start, length){
+            const frame = this;
+            let size = length;
+            return {
+                typename: 'TextRange',
+                get length(){ return size; },
+                set length(value){ size = value; },
+                get contents(){ return frame._contents.substr(start, size); },
+                set contents(value){
+                    value = String(value);
+                    const style = frame._styles[start] || null;
+                    while (frame._styles.length < frame._contents.length) frame._styles.push(null);
+                    frame._styles.splice.apply(frame._styles, [start, size].concat(value.split('').map(function(){ return style; })));
+                    frame._contents = frame._contents.substr(0, start) + value + frame._contents.substr(start + size);
+                    size = value.length;
+                },
+                get characterAttributes(){ return frame._rangeAttributes(start, start + size); },
+                paragraphAttributes: frame._paragraph,
+                remove(){ this.contents = ''; }
+            };
+        }
+        _rangeAttributes(start, end){
+            const first = this._styleAt(start);
+            let own = true;
+            for (let i = 0; i < this._contents.length; i++){
+                const inside = i >= start && i < end;
+                if (inside != (this._styleAt(i) === first)) own = false;
+            }
+            if (own) return first;
+            const attributes = Object.assign(Object.create(CharacterAttributes.prototype), first);
+            while (this._styles.length < this._contents.length) this._styles.push(null);
+            for (let i = start; i < end; i++) this._styles[i] = attributes;
+            return attributes;
+        }
+        get textRange(){
+            this._check();
+            return this._range(0, this._contents.length);
+        }
+        get textRanges(){ return makeCollection('TextRanges', [this.textRange]); }
+        get paragraphs(){ return makeCollection('Paragraphs', [this.textRange]); }
+        get characters(){
+            this._check();
+            const ranges = [];
+            for (let i = 0; i < this._contents.length; i++) ranges.push(this._range(i, 1));
+            return makeCollection('Characters', ranges);
+        }
+        get geometricBounds(){
+            //text is measured roughly: each character is 0.6 em wide and each line is the leading tall
+            const left = this._bounds[0], top = this._bounds[1];
+            if (this._area) return [left, top, left + this._area[0], top - this._area[1]];
+            const lines = String(this.contents).split(/\r|\n/);
+            const longest = Math.max.apply(null, lines.map(function(line){ return line.length; }));
+            const size = this._attributes.size;
+            return [left, top, left + longest * size * 0.6, top - lines.length * size * 1.2];
+        }
+        _scale(sx, sy, anchor){
+            const b = this.geometricBounds;
+            this._bounds = [anchor[0] + (b[0] - anchor[0]) * sx, anchor[1] + (b[1] - anchor[1]) * sy, 0, 0];
+            if (this._area) this._area = [this._area[0] * sx, this._area[1] * sy];
+            else this._attributes.size *= sy;
+        }
+        _clone(doc){
+            const copy = super._clone(doc);
+            copy._attributes = Object.assign(Object.create(CharacterAttributes.prototype), this._attributes);
+            copy._attributes._fillColor = convertColorToSpace(this._attributes._fillColor, doc ? doc.documentColorSpace : null, doc);
+            copy._styles = this._styles.map(function(style){
+                if (!style) return null;
+                const attributes = Object.assign(Object.create(CharacterAttributes.prototype), style);
+                attributes._fillColor = convertColorToSpace(style._fillColor, doc ? doc.documentColorSpace : null, doc);
+                return attributes;
+            });
+            copy._paragraph = Object.assign({}, this._paragraph);
+            copy._area = this._area ? this._area.slice() : null;
+            return copy;
+        }
+        _adopt(doc){
+            const seen = [];
+            [this._attributes].concat(this._styles).forEach(function(attributes){
+                if (!attributes || seen.indexOf(attributes) >= 0) return;
+                seen.push(attributes);
+                attributes._fillColor = convertColorToSpace(attributes._fillColor, doc.documentColorSpace, doc);
+            });
+        }
+        createOutline(){
+            this._checkEditable();
+            const doc = getDocument(this);
+            const group = new GroupItem();
+            place(group, this, ElementPlacement.PLACEBEFORE);
+            const outline = place(new PathItem(doc), group, ElementPlacement.PLACEATEND);
+            outline._bounds = this.geometricBounds;
+            outline._fillColor = cloneColor(this._attributes._fillColor);
+            this.remove();
+            return group;
+        }
+    }
+
+    class RasterItem extends PageItem {
+        constructor(){
+            super('RasterItem');
+            this.embedded = true;
+            this.file = null;
+        }
+    }
+
+    class PlacedItem extends PageItem {
+        constructor(){
+            super('PlacedItem');
+            this.file = null;
+        }
+        embed(){
+            this._checkEditable();
+            const raster = new RasterItem();
+            raster._bounds = this._bounds.slice();
+            raster.name = this.name;
+            place(raster, this, ElementPlacement.PLACEBEFORE);
+            this.remove();
+            return raster;
+        }
+    }
+
+    class SymbolItem extends PageItem {
+        constructor(){
+            super('SymbolItem');
+            this.symbol = null;
+        }
+    }
+
+    //a collection of one type of page item in a layer or group, with add() and the other creation methods
+    function makeItemCollection(container, typename, ItemClass, items){
+        const doc = getDocument(container);
+        function add(){
+            const item = new ItemClass(doc);
+            return place(item, container, ElementPlacement.PLACEATBEGINNING);
+        }
+        const methods = {add: add};
+        if (ItemClass === PathItem){
+            methods.rectangle = function(top, left, width, height){
+                const path = add();
+                path._bounds = [left, top, left + width, top - height];
+                return path;
+            };
+        }
+        if (ItemClass === TextFrame){
+            methods.pointText = function(anchor){
+                const frame = add();
+                frame._bounds = [anchor[0], anchor[1], anchor[0], anchor[1]];
+                return frame;
+            };
+            methods.areaText = function(textPath){
+                const frame = add();
+                const b = textPath.geometricBounds;
+                frame.kind = TextType.AREATEXT;
+                frame._bounds = [b[0], b[1], b[0], b[1]];
+                frame._area = [b[2] - b[0], b[1] - b[3]];
+                textPath.remove();
+                return frame;
+            };
+        }
+        return makeCollection(typename, items.filter(function(item){ return item instanceof ItemClass; }), methods);
+    }
+
+    /*****
+    Layers
+    *****/
+
+    class Layer {
+        constructor(name){
+            this.typename = 'Layer';
+            this.name = name || 'Layer';
+            this.parent = null;
+            this.locked = false;
+            this.visible = true;
+            this.printable = true;
+            this.opacity = 100;
+            this._items = [];
+            this._layers = [];
+        }
+        get pageItems(){ return makeCollection('PageItems', this._items); }
+        get pathItems(){ return makeItemCollection(this, 'PathItems', PathItem, this._items); }
+        get groupItems(){ return makeItemCollection(this, 'GroupItems', GroupItem, this._items); }
+        get compoundPathItems(){ return makeItemCollection(this, 'CompoundPathItems', CompoundPathItem, this._items); }
+        get textFrames(){ return makeItemCollection(this, 'TextFrames', TextFrame, this._items); }
+        get rasterItems(){ return makeItemCollection(this, 'RasterItems', RasterItem, this._items); }
+        get placedItems(){ return makeItemCollection(this, 'PlacedItems', PlacedItem, this._items); }
+        get symbolItems(){ return makeItemCollection(this, 'SymbolItems', SymbolItem, this._items); }
+        get layers(){
+            const layer = this;
+            return makeCollection('Layers', this._layers, {
+                add: function(){
+                    const sublayer = new Layer('Layer ' + (layer._layers.length + 1));
+                    sublayer.parent = layer;
+                    layer._layers.unshift(sublayer);
+                    return sublayer;
+                }
+            });
+        }
+        get hasSelectedArtwork(){
+            return allItems(this).some(function(item){ return item._selected; });
+        }
+        remove(){
+            const siblings = this.parent._layers;
+            siblings.splice(siblings.indexOf(this), 1);
+        }
+    }
+
+    //every page item in a layer or document, nested ones included, in stacking order
+    function allItems(container, includeCompoundPaths){
+        const items = [];
+        function visit(list){
+            list.forEach(function(item){
+                items.push(item);
+                if (item.typename == 'GroupItem') visit(item._items);
+                if (item.typename == 'CompoundPathItem' && includeCompoundPaths) visit(item._paths);
+            });
+        }
+        function visitLayer(layer){
+            visit(layer._items);
+            layer._layers.forEach(visitLayer);
+        }
+        if (container.typename == 'Document') container._layers.forEach(visitLayer);
+        else visitLayer(container);
+        return items;
+    }
+
+    /********
+    Artboards
+    ********/
+
+    function Artboard(rect, name){
+        this.typename = 'Artboard';
+        this._rect = rect.slice();
+        this.name = name;
+        this.rulerOrigin = [0, 0];
+        this.showCenter = false;
+    }
+    Object.defineProperty(Artboard.prototype, 'artboardRect', {
+        get: function(){ return this._rect.slice(); },
+        set: function(rect){ this._rect = rect.slice(); }
+    });
+
+    /********
+    Documents
+    ********/
+
+    let untitledCount = 0;
+
+    class Document {
+        constructor(colorSpace, width, height){
+            this.typename = 'Document';
+            untitledCount++;
+            this.name = 'Untitled-' + untitledCount;
+            this._file = null;
+            this.documentColorSpace = colorSpace || DocumentColorSpace.RGB;
+            this.rulerUnits = RulerUnits.Points;
+            this.pageOrigin = [0, 0];
+            this.rulerOrigin = [0, 0];
+            this.saved = true;
+            this.exports = [];
+            this.saves = [];
+            this.closed = false;
+            this._layers = [new Layer('Layer 1')];
+            this._layers[0].parent = this;
+            this._activeLayer = this._layers[0];
+            this._artboards = [new Artboard([0, height || 792, width || 612, 0], 'Artboard 1')];
+            this._activeArtboard = 0;
+            this._swatches = [new Swatch('[None]', new NoColor())];
+            const registration = new Spot(this);
+            registration.name = '[Registration]';
+            registration.colorType = ColorModel.REGISTRATION;
+            registration._color = cmyk(100, 100, 100, 100);
+            this._spots = [registration];
+            const registrationColor = new SpotColor();
+            registrationColor.spot = registration;
+            this._swatches.push(new Swatch('[Registration]', registrationColor));
+            this._swatchGroups = [];
+            this._gradients = [];
+        }
+
+        get fullName(){ return this._file; }
+        get path(){ return this._file ? this._file.parent : null; }
+
+        get layers(){
+            const doc = this;
+            return makeCollection('Layers', this._layers, {
+                add: function(){
+                    const layer = new Layer('Layer ' + (doc._layers.length + 1));
+                    layer.parent = doc;
+                    doc._layers.unshift(layer);
+                    doc._activeLayer = layer;
+                    return layer;
+                }
+            });
+        }
+        get activeLayer(){
+            if (this._layers.indexOf(this._activeLayer) < 0 && !this._isLayerInDocument(this._activeLayer)) this._activeLayer = this._layers[0];
+            return this._activeLayer;
+        }
+        set activeLayer(layer){ this._activeLayer = layer; }
+        _isLayerInDocument(layer){
+            for (let p = layer; p; p = p.parent){
+                if (p === this) return true;
+            }
+            return false;
+        }
+
+        get pageItems(){ return makeCollection('PageItems', allItems(this)); }
+        get pathItems(){ return this._typedItems('PathItems', PathItem, true); }
+        get groupItems(){ return this._typedItems('GroupItems', GroupItem); }
+        get compoundPathItems(){ return this._typedItems('CompoundPathItems', CompoundPathItem); }
+        get textFrames(){ return this._typedItems('TextFrames', TextFrame); }
+        get rasterItems(){ return this._typedItems('RasterItems', RasterItem); }
+        get placedItems(){ return this._typedItems('PlacedItems', PlacedItem); }
+        get symbolItems(){ return this._typedItems('SymbolItems', SymbolItem); }
+        _typedItems(typename, ItemClass, includeCompoundPaths){
+            const layerCollection = makeItemCollection(this.activeLayer, typename, ItemClass, []);
+            const items = allItems(this, includeCompoundPaths).filter(function(item){ return item instanceof ItemClass; });
+            const methods = {};
+            Object.keys(layerCollection).forEach(function(key){
+                if (typeof layerCollection[key] == 'function' && key != 'getByName' && key != 'index') methods[key] = layerCollection[key];
+            });
+            return makeCollection(typename, items, methods);
+        }
+
+        get selection(){
+            return allItems(this, true).filter(function(item){ return item._selected; });
+        }
+        set selection(items){
+            allItems(this, true).forEach(function(item){ item._selected = false; });
+            (items || []).forEach(function(item){ item.selected = true; });
+        }
+
+        get artboards(){
+            const doc = this;
+            return makeCollection('Artboards', this._artboards, {
+                add: function(rect){
+                    const artboard = new Artboard(rect, 'Artboard ' + (doc._artboards.length + 1));
+                    doc._artboards.push(artboard);
+                    return artboard;
+                },
+                remove: function(index){
+                    if (doc._artboards.length <= 1) throw new Error('A document must have at least one artboard');
+                    doc._artboards.splice(index, 1);
+                    if (doc._activeArtboard >= doc._artboards.length) doc._activeArtboard = 0;
+                },
+                setActiveArtboardIndex: function(index){
+                    if (index < 0 || index >= doc._artboards.length) throw new Error('Artboard index out of range');
+                    doc._activeArtboard = index;
+                },
+                getActiveArtboardIndex: function(){ return doc._activeArtboard; }
+            });
+        }
+
+        get swatches(){
+            const doc = this;
+            return makeCollection('Swatches', this._swatches, {
+                add: function(){
+                    const swatch = new Swatch('Swatch ' + doc._swatches.length, new NoColor());
+                    doc._swatches.push(swatch);
+                    return swatch;
+                }
+            });
+        }
+        get swatchGroups(){
+            const doc = this;
+            return makeCollection('SwatchGroups', this._swatchGroups, {
+                add: function(){
+                    const group = new SwatchGroup(doc);
+                    doc._swatchGroups.push(group);
+                    return group;
+                }
+            });
+        }
+        get spots(){
+            const doc = this;
+            return makeCollection('Spots', this._spots, {
+                add: function(){
+                    const spot = new Spot(doc);
+                    doc._spots.push(spot);
+                    return spot;
+                }
+            });
+        }
+        get gradients(){
+            const doc = this;
+            return makeCollection('Gradients', this._gradients, {
+                add: function(){
+                    //like Illustrator, each new gradient gets a name of its own
+                    const gradient = new Gradient(doc);
+                    gradient.name = 'New Gradient Swatch ' + (doc._gradients.length + 1);
+                    doc._gradients.push(gradient);
+                    return gradient;
+                }
+            });
+        }
+
+        get geometricBounds(){ return containerBounds(allItems(this).filter(function(item){ return item.parent.typename == 'Layer'; }), false); }
+        get visibleBounds(){ return containerBounds(allItems(this).filter(function(item){ return item.parent.typename == 'Layer'; }), true); }
+
+        selectObjectsOnActiveArtboard(){
+            const rect = this._artboards[this._activeArtboard]._rect;
+            this.selection = null;
+            allItems(this).forEach(function(item){
+                if (item.parent.typename != 'Layer') return;
+                const b = item.visibleBounds;
+                const overlaps = b[0] < rect[2] && b[2] > rect[0] && b[1] > rect[3] && b[3] < rect[1];
+                if (overlaps) item.selected = true;
+            });
+            return true;
+        }
+
+        //writes a stand-in for the exported file, including Illustrator's habit of adding the artboard name
+        //to the file name when a single artboard is saved from a multi-artboard SVG or EPS
+        _write(file, kind, type, options){
+            let target = file;
+            if (options && options.saveMultipleArtboards && options.artboardRange){
+                const index = parseInt(options.artboardRange, 10) - 1;
+                const base = file.name.replace(/\.[^.]+$/, '');
+                const ext = file.name.substr(base.length);
+                target = new File(file.parent.fsName + '/' + base + '_' + this._artboards[index].name + ext);
+            }
+            host.files[target.fsName] = kind + ' ' + type + ' ' + this.name;
+            const record = {file: target.fsName, type: type, options: Object.assign({}, options), artboardIndex: this._activeArtboard};
+            return record;
+        }
+
+        exportFile(file, type, options){
+            if (this.closed) invalid();
+            this.exports.push(this._write(file, 'EXPORT', type, options));
+        }
+        //writes each artboard in the item's range (e.g. "1,3-4") to <prefix><artboard name>.<ext> in the folder,
+        //or with host.screensSubfolders in a subfolder named for the scale, such as "2x" or "240w"
+        exportForScreens(folder, type, options, item, prefix){
+            if (this.closed) invalid();
+            if (host.screensSubfolders){
+                const scaleType = options.scaleType || ExportForScreensScaleType.SCALEBYFACTOR;
+                const suffix = {SCALEBYFACTOR: 'x', SCALEBYWIDTH: 'w', SCALEBYHEIGHT: 'h', SCALEBYRESOLUTION: 'ppi'}[scaleType.split('.')[1]];
+                folder = new Folder(folder.fsName + '/' + (options.scaleTypeValue === undefined ? 1 : options.scaleTypeValue) + suffix);
+                folder.create();
+            }
+            const ext = {SE_PNG24: '.png', SE_PNG8: '.png', SE_JPEG100: '.jpg', SE_SVG: '.svg', SE_PDF: '.pdf'}[type.split('.')[1]];
+            const doc = this;
+            String(item.artboards).split(',').forEach(function(range){
+                const ends = range.split('-').map(function(n){ return parseInt(n, 10); });
+                for (let n = ends[0]; n <= ends[ends.length - 1]; n++){
+                    //like Illustrator, characters that file names can't have are replaced in the artboard's name
+                    const name = doc._artboards[n - 1].name.replace(/[\\\/:*?"<>|]/g, '_');
+                    const file = new File(folder.fsName + '/' + (prefix || '') + name + ext);
+                    host.files[file.fsName] = 'EXPORT ' + type + ' ' + doc.name;
+                    doc.exports.push({file: file.fsName, type: type, options: Object.assign({}, options), artboardIndex: n - 1});
+                }
+            });
+        }
+        saveAs(file, options){
+            if (this.closed) invalid();
+            const type = options ? options.typename : 'IllustratorSaveOptions';
+            const record = this._write(file, 'SAVE', type, options);
+            this.saves.push(record);
+            host.saves.push(record);
+            this._file = new File(file.fsName);
+            this.name = file.name;
+            this.saved = true;
+        }
+        save(){
+            if (!this._file) throw new Error('The document has not been saved before');
+            this.saveAs(this._file, new IllustratorSaveOptions());
+        }
+        close(saveOptions){
+            if (saveOptions == SaveOptions.SAVECHANGES) this.save();
+            this.closed = true;
+            const index = host.documents.indexOf(this);
+            if (index >= 0) host.documents.splice(index, 1);
+        }
+        activate(){
+            const index = host.documents.indexOf(this);
+            host.documents.splice(index, 1);
+            host.documents.unshift(this);
+        }
+    }
+
+    function DocumentPreset(){
+        this.typename = 'DocumentPreset';
+        this.colorMode = DocumentColorSpace.RGB;
+        this.units = RulerUnits.Points;
+        this.width = 612;
+        this.height = 792;
+        this.title = '';
+    }
+
+    /**********
+    Export options
+    **********/
+
+    function optionsClass(typename, defaults){
+        return function(){
+            this.typename = typename;
+            Object.assign(this, defaults);
+        };
+    }
+
+    const ExportOptionsPNG24 = optionsClass('ExportOptionsPNG24', {antiAliasing: true, artBoardClipping: false, horizontalScale: 100,
+        verticalScale: 100, matte: true, matteColor: rgb(255, 255, 255), saveAsHTML: false, transparency: true});
+    const ExportOptionsPNG8 = optionsClass('ExportOptionsPNG8', {antiAliasing: true, artBoardClipping: false, horizontalScale: 100,
+        verticalScale: 100, matte: true, matteColor: rgb(255, 255, 255), saveAsHTML: false, transparency: true, colorCount: 128,
+        colorDither: 'ColorDitherMethod.Diffusion', colorReduction: 'ColorReductionMethod.SELECTIVE', interlaced: false});
+    const ExportOptionsJPEG = optionsClass('ExportOptionsJPEG', {antiAliasing: true, artBoardClipping: false, horizontalScale: 100,
+        verticalScale: 100, matte: true, matteColor: rgb(255, 255, 255), qualitySetting: 30, optimization: true});
+    const ExportOptionsSVG = optionsClass('ExportOptionsSVG', {embedRasterImages: false, saveMultipleArtboards: false, artboardRange: '',
+        fontType: SVGFontType.CEFFONT});
+    const PDFSaveOptions = optionsClass('PDFSaveOptions', {artboardRange: '', preserveEditability: true});
+    const EPSSaveOptions = optionsClass('EPSSaveOptions', {saveMultipleArtboards: false, artboardRange: '', embedAllFonts: true});
+    const IllustratorSaveOptions = optionsClass('IllustratorSaveOptions', {saveMultipleArtboards: false, artboardRange: '', pdfCompatible: true});
+    const ExportForScreensOptionsPNG24 = optionsClass('ExportForScreensOptionsPNG24', {antiAliasing: AntiAliasingMethod.ARTOPTIMIZED,
+        backgroundBlack: false, interlaced: false, scaleType: ExportForScreensScaleType.SCALEBYFACTOR, scaleTypeValue: 1,
+        transparency: true});
+    const ExportForScreensItemToExport = optionsClass('ExportForScreensItemToExport', {artboards: '', document: true, assets: []});
+
+    /**********
+    File system
+    **********/
+
+    function normalize(p){
+        p = String(p).replace(/\\/g, '/').replace(/^~/, '/home');
+        const normalized = path.posix.normalize(p.charAt(0) == '/' ? p : '/' + p);
+        return (normalized.length > 1) ? normalized.replace(/\/$/, '') : normalized;
+    }
+
+    class File {
+        constructor(p){
+            this.typename = 'File';
+            this.fsName = normalize(p);
+            this.encoding = 'UTF-8';
+            this.error = '';
+            this._mode = null;
+            this._position = 0;
+        }
+        get name(){ return path.posix.basename(this.fsName); }
+        get fullName(){ return this.fsName; }
+        get absoluteURI(){ return this.fsName; }
+        get parent(){ return new Folder(path.posix.dirname(this.fsName)); }
+        get exists(){ return Object.prototype.hasOwnProperty.call(host.files, this.fsName); }
+        get length(){ return this.exists ? host.files[this.fsName].length : -1; }
+        get eof(){ return !this.exists || this._position >= host.files[this.fsName].length; }
+        toString(){ return this.fsName; }
+        open(mode){
+            if (!new Folder(path.posix.dirname(this.fsName)).exists) {
+                this.error = 'Folder does not exist';
+                return false;
+            }
+            if (mode == 'r' && !this.exists) {
+                this.error = 'File or folder does not exist';
+                return false;
+            }
+            if (mode == 'w' || (mode == 'a' && !this.exists) || (mode == 'e' && !this.exists)) host.files[this.fsName] = '';
+            this._mode = mode;
+            this._position = (mode == 'a') ? host.files[this.fsName].length : 0;
+            return true;
+        }
+        read(chars){
+            if (!this._mode) throw new Error('File is not open');
+            const contents = host.files[this.fsName];
+            const end = (chars === undefined) ? contents.length : this._position + chars;
+            const text = contents.substring(this._position, end);
+            this._position = Math.min(end, contents.length);
+            return text;
+        }
+        readln(){
+            const contents = host.files[this.fsName];
+            let end = contents.indexOf('\n', this._position);
+            if (end < 0) end = contents.length;
+            const line = contents.substring(this._position, end).replace(/\r$/, '');
+            this._position = end + 1;
+            return line;
+        }
+        write(){
+            if (this._mode != 'w' && this._mode != 'a' && this._mode != 'e') throw new Error('File is not open for writing');
+            const text = Array.prototype.join.call(arguments, '');
+            const contents = host.files[this.fsName];
+            host.files[this.fsName] = contents.substring(0, this._position) + text + contents.substring(this._position + text.length);
+            this._position += text.length;
+            return true;
+        }
+        writeln(){
+            return this.write(Array.prototype.join.call(arguments, '') + '\n');
+        }
+        close(){
+            this._mode = null;
+            return true;
+        }
+        remove(){
+            if (!this.exists) return false;
+            delete host.files[this.fsName];
+            return true;
+        }
+        rename(newName){
+            if (!this.exists) return false;
+            const target = path.posix.join(path.posix.dirname(this.fsName), newName);
+            host.files[target] = host.files[this.fsName];
+            delete host.files[this.fsName];
+            this.fsName = target;
+            return true;
+        }
+        copy(target){
+            if (!this.exists) return false;
+            host.files[normalize(String(target.fsName || target))] = host.files[this.fsName];
+            return true;
+        }
+    }
+
+    class Folder {
+        constructor(p){
+            this.typename = 'Folder';
+            this.fsName = normalize(p);
+        }
+        get name(){ return path.posix.basename(this.fsName); }
+        get fullName(){ return this.fsName; }
+        get absoluteURI(){ return this.fsName; }
+        get parent(){ return (this.fsName == '/') ? null : new Folder(path.posix.dirname(this.fsName)); }
+        get exists(){ return Object.prototype.hasOwnProperty.call(host.folders, this.fsName); }
+        toString(){ return this.fsName; }
+        create(){
+            for (let p = this.fsName; p != '/'; p = path.posix.dirname(p)) host.folders[p] = true;
+            return true;
+        }
+        remove(){
+            if (!this.exists || this.getFiles().length > 0) return false;
+            delete host.folders[this.fsName];
+            return true;
+        }
+        getFiles(mask){
+            const folder = this.fsName;
+            const names = {};
+            Object.keys(host.files).concat(Object.keys(host.folders)).forEach(function(p){
+                if (p != folder && path.posix.dirname(p) == folder) names[p] = true;
+            });
+            let test = function(){ return true; };
+            if (typeof mask == 'function') test = mask;
+            else if (mask) {
+                const patterns = String(mask).split(';').map(function(glob){
+                    return new RegExp('^' + glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.') + '$', 'i');
+                });
+                test = function(item){ return patterns.some(function(pattern){ return pattern.test(item.name); }); };
+            }
+            return Object.keys(names).sort().map(function(p){
+                return Object.prototype.hasOwnProperty.call(host.folders, p) ? new Folder(p) : new File(p);
+            }).filter(test);
+        }
+    }
+
+    /**
+    App
+    **/
+
+    host.documents = [];
+    host.openers = {}; //functions that fill in a document opened from a path, by path
+
+    function addDocument(colorSpace, width, height){
+        const doc = new Document(colorSpace, width, height);
+        host.documents.unshift(doc);
+        return doc;
+    }
+
+    const app = {
+        typename: 'Application',
+        name: 'Adobe Illustrator',
+        version: '21.0.0',
+        userInteractionLevel: UserInteractionLevel.DISPLAYALERTS,
+        get documents(){
+            return makeCollection('Documents', host.documents, {
+                add: function(colorSpace, width, height){ return addDocument(colorSpace, width, height); },
+                addDocument: function(startupPreset, preset){
+                    const doc = addDocument(preset ? preset.colorMode : DocumentColorSpace.RGB, preset && preset.width, preset && preset.height);
+                    if (preset) doc.rulerUnits = preset.units;
+                    return doc;
+                }
+            });
+        },
+        get activeDocument(){
+            if (host.documents.length == 0) throw new Error('There is no document');
+            return host.documents[0];
+        },
+        set activeDocument(doc){ doc.activate(); },
+        get textFonts(){ return getTextFonts(); },
+        convertSampleColor: convertSampleColor,
+        open: function(file){
+            const fsName = normalize(file.fsName || file);
+            if (!Object.prototype.hasOwnProperty.call(host.files, fsName)) throw new Error('File does not exist: ' + fsName);
+            if (host.openers[fsName] === null) throw new Error('Can\'t open the illustration: ' + fsName);
+            const doc = addDocument(DocumentColorSpace.RGB);
+            doc._file = new File(fsName);
+            doc.name = doc._file.name;
+            if (host.openers[fsName]) host.openers[fsName](doc, host);
+            return doc;
+        },
+        redraw: function(){}
+    };
+
+    host.globals = {
+        app: app,
+        $: {writeln: function(){ host.output.push(Array.prototype.join.call(arguments, '')); }, global: null},
+        alert: function(message){ host.alerts.push(String(message)); },
+        File: File,
+        Folder: Folder,
+        DocumentPreset: DocumentPreset,
+        RGBColor: RGBColor,
+        CMYKColor: CMYKColor,
+        GrayColor: GrayColor,
+        NoColor: NoColor,
+        SpotColor: SpotColor,
+        GradientColor: GradientColor,
+        PatternColor: PatternColor,
+        LabColor: LabColor,
+        ExportOptionsPNG24: ExportOptionsPNG24,
+        ExportOptionsPNG8: ExportOptionsPNG8,
+        ExportOptionsJPEG: ExportOptionsJPEG,
+        ExportOptionsSVG: ExportOptionsSVG,
+        ExportForScreensOptionsPNG24: ExportForScreensOptionsPNG24,
+        ExportForScreensItemToExport: ExportForScreensItemToExport,
+        PDFSaveOptions: PDFSaveOptions,
+        EPSSaveOptions: EPSSaveOptions,
+        IllustratorSaveOptions: IllustratorSaveOptions,
+        DocumentColorSpace: DocumentColorSpace,
+        ElementPlacement: ElementPlacement,
+        ExportType: ExportType,
+        ImageColorSpace: ImageColorSpace,
+        ColorConvertPurpose: ColorConvertPurpose,
+        SaveOptions: SaveOptions,
+        Transformation: Transformation,
+        TextType: TextType,
+        Justification: Justification,
+        RulerUnits: RulerUnits,
+        ColorModel: ColorModel,
+        GradientType: GradientType,
+        UserInteractionLevel: UserInteractionLevel,
+        SVGFontType: SVGFontType,
+        AntiAliasingMethod: AntiAliasingMethod,
+        ExportForScreensType: ExportForScreensType,
+        ExportForScreensScaleType: ExportForScreensScaleType
+    };
+    host.globals.$.global = host.globals;
+    Object.defineProperty(host.globals, 'textFonts', {get: getTextFonts, enumerable: true}); //so tests can add or remove fonts
+
+    host.app = app;
+    host.rgb = rgb;
+    host.cmyk = cmyk;
+    return host;
+}
+
+/**
+ * Loads CSTasks.jsx into a script context with the host's globals and returns the CSTasks object
+ */
+function loadCSTasks(host){
+    const source = fs.readFileSync(path.join(__dirname, '..', 'CSTasks.jsx'), 'utf8');
+    const context = vm.createContext(host.globals);
+    vm.runInContext(source, context, {filename: 'CSTasks.jsx'});
+    return context.CSTasks;
+}
+
+/**
+ * Creates a fresh host with one open document and loads CSTasks into it
+ */
+function setup(colorSpace){
+    const host = createIllustrator();
+    const CSTasks = loadCSTasks(host);
+    const doc = host.app.documents.add(colorSpace ? host.globals.DocumentColorSpace[colorSpace] : undefined);
+    return {host: host, CSTasks: CSTasks, doc: doc, g: host.globals};
+}
+
+/**
+ * Adds a filled rectangle to a layer, group or document and returns it
+ */
+function rect(container, left, top, width, height, fillColor){
+    const path = container.pathItems.rectangle(top, left, width, height);
+    if (fillColor) path.fillColor = fillColor;
+    return path;
+}
+
+/**
+ * Copies plain data returned by CSTasks into this realm, so it can be compared with assert.deepStrictEqual
+ * (arrays and objects made in the script context have that context's prototypes)
+ */
+function plain(value){
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {createIllustrator: createIllustrator, loadCSTasks: loadCSTasks, setup: setup, rect: rect, plain: plain};
@@ -0,0 +1,195 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {setup, rect, plain} = require('./mock-illustrator');
+
+const definition = [
+    {name: 'Red', rgb: [255, 0, 0], cmyk: [0, 100, 100, 0]},
+    {name: 'Blue', hex: '#005EB8', spot: 'PANTONE 300 C'},
+    {name: 'Black', cmyk: [0, 0, 0, 100]}
+];
+
+test('initializeColorPalette pairs RGB and CMYK colors', () => {
+    const {CSTasks} = setup();
+    const palette = CSTasks.initializeColorPalette([[255, 0, 0]], [[0, 100, 100, 0]]);
+    assert.strictEqual(palette.length, 1);
+    assert.strictEqual(palette[0][0].typename, 'RGBColor');
+    assert.strictEqual(palette[0][0].red, 255);
+    assert.strictEqual(palette[0][1].typename, 'CMYKColor');
+    assert.strictEqual(palette[0][1].magenta, 100);
+});
+
+test('hexToRGB and rgbToHex convert both ways', () => {
+    const {CSTasks} = setup();
+    assert.deepStrictEqual(plain(CSTasks.hexToRGB('#005EB8')), [0, 94, 184]);
+    assert.deepStrictEqual(plain(CSTasks.hexToRGB('0af')), [0, 170, 255]);
+    assert.throws(() => CSTasks.hexToRGB('#12345'), {name: 'InvalidColorError', message: 'Invalid hex color: 12345'});
+    assert.strictEqual(CSTasks.rgbToHex([0, 94, 184]), '#005EB8');
+    assert.strictEqual(CSTasks.rgbToHex([300, -5, 15.6]), '#FF0010');
+});
+
+test('initializePalette fills in missing values from a definition', () => {
+    const {CSTasks} = setup();
+    const palette = CSTasks.initializePalette(definition);
+    assert.strictEqual(palette.length, 3);
+    assert.strictEqual(palette[1][0].blue, 184);
+    assert.strictEqual(palette[2][0].red, 0);
+    assert.throws(() => CSTasks.initializePalette([{name: 'Empty'}]), {name: 'InvalidColorError', color: 'Empty'});
+});
+
+test('writePaletteJSON and readPaletteJSON round-trip a definition', () => {
+    const {CSTasks, g, host} = setup();
+    const file = new g.File('/palettes/brand.json');
+    new g.Folder('/palettes').create();
+    CSTasks.writePaletteJSON(definition, file);
+    const data = JSON.parse(host.files['/palettes/brand.json']);
+    assert.strictEqual(data.name, 'brand');
+    const read = CSTasks.readPaletteJSON(file);
+    assert.deepStrictEqual(plain(read.map((entry) => entry.hex)), ['#FF0000', '#005EB8', '#000000']);
+    assert.strictEqual(read[1].spot, 'PANTONE 300 C');
+
+    host.files['/palettes/list.json'] = '\uFEFF[{"name": "Red", "hex": "#FF0000"}]';
+    assert.strictEqual(CSTasks.readPaletteJSON(new g.File('/palettes/list.json'))[0].name, 'Red');
+    host.files['/palettes/bad.json'] = '{"name": "x"}';
+    assert.throws(() => CSTasks.readPaletteJSON(new g.File('/palettes/bad.json')), /doesn't contain a list of colors/);
+});
+
+test('writePaletteASE and readPaletteASE round-trip names, values and spot colors', () => {
+    const {CSTasks, g} = setup();
+    new g.Folder('/palettes').create();
+    const rgbFile = CSTasks.writePaletteASE(definition, new g.File('/palettes/brand.ase'));
+    const read = CSTasks.readPaletteASE(rgbFile);
+    assert.deepStrictEqual(plain(read.map((entry) => entry.name)), ['Red', 'Blue', 'Black']);
+    assert.deepStrictEqual(plain(read[1].rgb), [0, 94, 184]);
+    assert.strictEqual(read[1].spot, 'Blue');
+
+    const cmykFile = CSTasks.writePaletteASE(definition, new g.File('/palettes/brand-cmyk.ase'), {model: 'CMYK'});
+    assert.deepStrictEqual(plain(CSTasks.readPalette(cmykFile)[0].cmyk), [0, 100, 100, 0]);
+});
+
+test('readPaletteASE rejects files that are not ASE', () => {
+    const {CSTasks, g, host} = setup();
+    new g.Folder('/palettes').create();
+    host.files['/palettes/bad.ase'] = 'nope';
+    assert.throws(() => CSTasks.readPaletteASE(new g.File('/palettes/bad.ase')), /not an Adobe Swatch Exchange file/);
+});
+
+test('readPaletteSwatches reads process and spot swatches and skips special ones', () => {
+    const {CSTasks, doc, host, g} = setup();
+    const red = doc.swatches.add();
+    red.name = 'Red';
+    red.color = host.rgb(255, 0, 0);
+    const spot = doc.spots.add();
+    spot.name = 'PANTONE 300 C';
+    spot.color = host.cmyk(100, 44, 0, 0);
+    const spotColor = new g.SpotColor();
+    spotColor.spot = spot;
+    const spotSwatch = doc.swatches.add();
+    spotSwatch.name = 'Brand Blue';
+    spotSwatch.color = spotColor;
+    const group = doc.swatchGroups.add();
+    group.name = 'Brand';
+    group.addSwatch(red);
+
+    const all = CSTasks.readPaletteSwatches(doc);
+    assert.deepStrictEqual(plain(all.map((entry) => entry.name)), ['Red', 'Brand Blue']);
+    assert.strictEqual(all[1].spot, 'PANTONE 300 C');
+    assert.deepStrictEqual(plain(all[1].cmyk), [100, 44, 0, 0]);
+    assert.deepStrictEqual(plain(CSTasks.readPaletteSwatches(doc, 'Brand').map((entry) => entry.name)), ['Red']);
+});
+
+test('rgbToLab and deltaE measure perceptual distance', () => {
+    const {CSTasks} = setup();
+    const white = CSTasks.rgbToLab([255, 255, 255]);
+    assert.ok(Math.abs(white[0] - 100) < 0.01);
+    assert.strictEqual(CSTasks.deltaE(white, white), 0);
+    assert.ok(CSTasks.deltaE(CSTasks.rgbToLab([255, 0, 0]), CSTasks.rgbToLab([254, 1, 0])) < 2.3);
+});
+
+test('createPalette looks up colors by name and hex and matches exactly or to the nearest', () => {
+    const {CSTasks, g, host} = setup();
+    const palette = CSTasks.createPalette(definition);
+    assert.strictEqual(palette.indexOf('Blue'), 1);
+    assert.strictEqual(palette.get('Black').hex, '#000000');
+    assert.strictEqual(palette.get('Green'), null);
+    assert.strictEqual(palette.fromHex('#005eb8').name, 'Blue');
+    assert.strictEqual(palette.toArray().length, 3);
+    assert.deepStrictEqual(plain(palette.toDefinition()[1]), {name: 'Blue', rgb: [0, 94, 184], cmyk: plain(palette.entries[1].cmyk), hex: '#005EB8', spot: 'PANTONE 300 C'});
+
+    const rgb = g.DocumentColorSpace.RGB;
+    assert.strictEqual(palette.match(host.rgb(255, 0, 0), rgb).index, 0);
+    const near = host.rgb(250, 5, 0);
+    assert.strictEqual(palette.match(near, rgb).index, -1);
+    assert.ok(palette.match(near, rgb).distance > 0);
+    assert.strictEqual(palette.nearest(near, rgb).entry.name, 'Red');
+    assert.strictEqual(palette.match(new g.NoColor(), rgb), null);
+
+    const loose = CSTasks.createPalette(definition, {mode: 'nearest', maxDistance: 5});
+    assert.strictEqual(loose.match(near, rgb).index, 0);
+    assert.strictEqual(loose.match(host.rgb(0, 255, 0), rgb).index, -1);
+    const tolerant = CSTasks.createPalette(definition, {tolerance: 10});
+    assert.strictEqual(tolerant.match(near, rgb).index, 0);
+});
+
+test('an empty Palette matches nothing, and colors can still be checked against it', () => {
+    const {CSTasks, doc, g, host} = setup();
+    const palette = CSTasks.createPalette([]);
+    const rgb = g.DocumentColorSpace.RGB;
+    const match = palette.match(host.rgb(255, 0, 0), rgb);
+    assert.deepStrictEqual([match.index, match.entry, match.distance], [-1, null, Infinity]);
+    assert.strictEqual(palette.nearest(host.rgb(255, 0, 0), rgb), null);
+    assert.strictEqual(CSTasks.colorMatchToPalette(host.rgb(255, 0, 0), palette, rgb), -1);
+    rect(doc, 0, 100, 10, 10, host.rgb(255, 0, 0));
+    const report = CSTasks.auditDocument(doc, palette);
+    assert.strictEqual(report.issues.filter((issue) => issue.type == 'offPalette').length, 1);
+    const applied = CSTasks.applyPalette(doc.pathItems, palette, CSTasks.matchItemColors(doc.pathItems, palette, rgb), rgb);
+    assert.strictEqual(applied.unmatched[0].nearest, null);
+});
+
+test('loadPalette reads a palette file into a Palette', () => {
+    const {CSTasks, g} = setup();
+    new g.Folder('/palettes').create();
+    CSTasks.writePaletteJSON(definition, new g.File('/palettes/brand.json'));
+    const palette = CSTasks.loadPalette(new g.File('/palettes/brand.json'), {tolerance: 2});
+    assert.strictEqual(palette.tolerance, 2);
+    assert.strictEqual(palette.entries.length, 3);
+});
+
+test('createSwatchSheet draws a labelled swatch grid in an RGB and a CMYK document', () => {
+    const {CSTasks, doc, g, host} = setup();
+    const palette = CSTasks.createPalette(definition);
+    const sheet = CSTasks.createSwatchSheet(doc, palette, {columns: 2, title: 'Brand colors'});
+    assert.deepStrictEqual(plain(sheet.documents.map((sheetDoc) => sheetDoc.documentColorSpace)), [g.DocumentColorSpace.RGB, g.DocumentColorSpace.CMYK]);
+    assert.strictEqual(host.documents.length, 3);
+
+    const [rgbDoc, cmykDoc] = sheet.documents;
+    assert.strictEqual(rgbDoc.artboards[0].name, 'Palette');
+    //2 columns of 120 pt swatches with an 18 pt gutter and 36 pt margins; 2 rows of 80 pt swatches over five 11.25 pt label lines, under a 22.5 pt title
+    assert.deepStrictEqual(plain(rgbDoc.artboards[0].artboardRect), [0, 0, 330, -(72 + 22.5 + 18 + 2 * (80 + 5.625 + 56.25) + 18)]);
+
+    const swatches = Array.prototype.filter.call(rgbDoc.pathItems, (item) => item.name == 'Blue');
+    assert.deepStrictEqual(plain(swatches[0].geometricBounds), [174, -76.5, 294, -156.5]);
+    assert.strictEqual(swatches[0].fillColor.blue, 184);
+    assert.strictEqual(Array.prototype.find.call(cmykDoc.pathItems, (item) => item.name == 'Red').fillColor.typename, 'CMYKColor');
+
+    const label = Array.prototype.find.call(rgbDoc.textFrames, (frame) => frame.name == 'Blue label');
+    assert.deepStrictEqual(label.contents.split('\r'), ['Blue', 'RGB 0 94 184', 'CMYK ' + palette.entries[1].cmyk.join(' '), 'HEX #005EB8', 'PANTONE 300 C']);
+    assert.strictEqual(label.textRange.characterAttributes.size, 9);
+    assert.strictEqual(Array.prototype.find.call(rgbDoc.textFrames, (frame) => frame.name == 'Title').contents, 'Brand colors');
+});
+
+test('createSwatchSheet exports and closes the sheets, and names the colors of a color palette array', () => {
+    const {CSTasks, doc, g, host} = setup();
+    new g.Folder('/assets').create();
+    const colors = CSTasks.initializeColorPalette([[255, 0, 0], [0, 0, 255]], [[0, 100, 100, 0], [100, 100, 0, 0]]);
+    const sheet = CSTasks.createSwatchSheet(doc, colors, {name: 'brand', folder: new g.Folder('/assets'),
+        exports: [{format: 'pdf'}, {format: 'png', scale: 200, name: '{sheet}-{colorspace}@2x'}], manifest: 'manifest.json', close: true});
+    assert.strictEqual(sheet.documents.length, 0);
+    assert.deepStrictEqual(host.documents, [doc]);
+    assert.deepStrictEqual(plain(sheet.files.map((file) => file.name)), ['brand_rgb.pdf', 'brand-rgb@2x.png', 'brand_cmyk.pdf', 'brand-cmyk@2x.png']);
+    assert.strictEqual(JSON.parse(host.files['/assets/manifest.json']).count, 4);
+
+    const open = CSTasks.createSwatchSheet(doc, colors, {colorspaces: [g.DocumentColorSpace.CMYK]});
+    assert.deepStrictEqual(Array.prototype.map.call(open.documents[0].pathItems, (item) => item.name).sort(), ['Color 1', 'Color 2']);
+});
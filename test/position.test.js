@@ -0,0 +1,51 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {setup, rect, plain} = require('./mock-illustrator');
+
+test('getArtboardTopLeft and getArtboardsTopLeft return the top left corner of artboards', () => {
+    const {CSTasks, doc} = setup();
+    doc.artboards.add([-100, 50, 0, -50]);
+    doc.artboards.add([700, 900, 800, 800]);
+    assert.deepStrictEqual(plain(CSTasks.getArtboardTopLeft(doc.artboards[1])), [-100, 50]);
+    assert.deepStrictEqual(plain(CSTasks.getArtboardsTopLeft(doc.artboards)), [-100, 900]);
+});
+
+test('getCollectionTopLeft returns the top left corner of a set of objects', () => {
+    const {CSTasks, doc} = setup();
+    const a = rect(doc, 10, 100, 20, 20);
+    const b = rect(doc, 50, 200, 20, 20);
+    assert.deepStrictEqual(plain(CSTasks.getCollectionTopLeft([a, b])), [10, 200]);
+});
+
+test('getOffset subtracts the second position from the first', () => {
+    const {CSTasks} = setup();
+    assert.deepStrictEqual(plain(CSTasks.getOffset([10, 20], [4, 30])), [6, -10]);
+});
+
+test('translateSelectionTo moves objects together, keeping their relative positions', () => {
+    const {CSTasks, doc} = setup();
+    const a = rect(doc, 10, 100, 20, 20);
+    const b = rect(doc, 50, 200, 20, 20);
+    CSTasks.translateSelectionTo([a, b], [0, 0]);
+    assert.deepStrictEqual(plain(a.position), [0, -100]);
+    assert.deepStrictEqual(plain(b.position), [40, 0]);
+});
+
+test('translateObjectTo moves one object to a position', () => {
+    const {CSTasks, doc} = setup();
+    const a = rect(doc, 10, 100, 20, 20);
+    CSTasks.translateObjectTo(a, [300, 400]);
+    assert.deepStrictEqual(plain(a.geometricBounds), [300, 400, 320, 380]);
+});
+
+test('translating locked objects throws a LockedTargetError without moving anything', () => {
+    const {CSTasks, doc} = setup();
+    const a = rect(doc, 10, 100, 20, 20);
+    const b = rect(doc, 50, 200, 20, 20);
+    b.locked = true;
+    assert.throws(() => CSTasks.translateSelectionTo([a, b], [0, 0]), {name: 'LockedTargetError'});
+    assert.deepStrictEqual(plain(a.position), [10, 100]);
+    assert.throws(() => CSTasks.translateObjectTo(b, [0, 0]), {name: 'LockedTargetError'});
+});
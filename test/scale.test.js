@@ -0,0 +1,108 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {setup, rect, plain} = require('./mock-illustrator');
+
+test('scaleObjects scales objects together about an anchor, with or without their strokes', () => {
+    const {CSTasks, doc} = setup();
+    const a = rect(doc, 0, 0, 10, 10);
+    const b = rect(doc, 30, 0, 10, 10);
+    b.strokeWidth = 2;
+    b.stroked = true;
+    CSTasks.scaleObjects([a, b], 200, {anchor: 'topLeft'});
+    assert.deepStrictEqual(plain(a.geometricBounds), [0, 0, 20, -20]);
+    assert.deepStrictEqual(plain(b.geometricBounds), [60, 0, 80, -20]);
+    assert.strictEqual(b.strokeWidth, 4);
+    CSTasks.scaleObjects(b, [50, 50], {strokes: false});
+    assert.deepStrictEqual(plain(b.geometricBounds), [65, -5, 75, -15]);
+    assert.strictEqual(b.strokeWidth, 4);
+    a.locked = true;
+    assert.throws(() => CSTasks.scaleObjects([a, b], 50), {name: 'LockedTargetError'});
+    assert.deepStrictEqual(plain(b.geometricBounds), [65, -5, 75, -15]);
+});
+
+test('scaleObjects can snap objects to whole pixels', () => {
+    const {CSTasks, doc} = setup();
+    const a = rect(doc, 0, 0, 10, 10);
+    CSTasks.scaleObjects(a, 133, {snap: true});
+    assert.deepStrictEqual(plain(a.position), [-2, 2]);
+});
+
+test('scaleObjectsToSize fits objects to a width and height', () => {
+    const {CSTasks, doc} = setup();
+    const a = rect(doc, 0, 0, 40, 20);
+    assert.strictEqual(CSTasks.scaleObjectsToSize(a, 20, 20, {anchor: 'topLeft'}), 50);
+    assert.deepStrictEqual(plain(a.geometricBounds), [0, 0, 20, -10]);
+});
+
+test('scaleObjects and scaleObjectsToSize do nothing with no objects', () => {
+    const {CSTasks, doc} = setup();
+    const a = rect(doc, 0, 0, 40, 20);
+    CSTasks.scaleObjects([], 200);
+    CSTasks.scaleObjects(doc.selection, 50, {snap: true});
+    assert.strictEqual(CSTasks.scaleObjectsToSize([], 20, 20), null);
+    assert.deepStrictEqual(plain(a.geometricBounds), [0, 0, 40, -20]);
+});
+
+test('scaleArtboard resizes an artboard and scales its contents, keeping their offset', () => {
+    const {CSTasks, doc} = setup();
+    doc.artboards[0].artboardRect = [0, 0, 48, -48];
+    const a = rect(doc, 4, -4, 40, 40);
+    a.strokeWidth = 4;
+    a.stroked = true;
+    const locked = rect(doc, 10, -10, 4, 4);
+    locked.locked = true;
+
+    const report = CSTasks.scaleArtboard(doc, 0, 24);
+    assert.deepStrictEqual(plain(doc.artboards[0].artboardRect), [0, 0, 24, -24]);
+    assert.deepStrictEqual(plain(a.geometricBounds), [2, -2, 22, -22]);
+    assert.strictEqual(a.strokeWidth, 2);
+    assert.strictEqual(report.touched[0], a);
+    assert.strictEqual(report.skipped[0], locked);
+    assert.deepStrictEqual(plain(locked.geometricBounds), [10, -10, 14, -14]);
+
+    CSTasks.scaleArtboard(doc, 0, 16, null, {snap: true, unlock: true});
+    assert.deepStrictEqual(plain(doc.artboards[0].artboardRect), [0, 0, 16, -16]);
+    assert.deepStrictEqual(plain(a.position), [1, -1]);
+    assert.strictEqual(locked.locked, true);
+    assert.throws(() => CSTasks.scaleArtboard(doc, 3, 16), {name: 'MissingArtboardError'});
+});
+
+test('scaleArtboard can center the contents when the proportions change', () => {
+    const {CSTasks, doc} = setup();
+    doc.artboards[0].artboardRect = [0, 0, 100, -100];
+    const a = rect(doc, 0, 0, 100, 100);
+    CSTasks.scaleArtboard(doc, 0, 100, 50, {keepOffset: false});
+    assert.deepStrictEqual(plain(a.geometricBounds), [25, 0, 75, -50]);
+});
+
+test('createSizeVariants makes one artboard or document per size', () => {
+    const {CSTasks, doc, host} = setup();
+    doc.artboards[0].artboardRect = [0, 0, 48, -48];
+    doc.artboards[0].name = 'icon';
+    rect(doc, 0, 0, 48, 48);
+    rect(doc, 0, 0, 48, 48).hidden = true;
+
+    const [variants] = CSTasks.createSizeVariants(doc, 0, [16, 24, [32, 16]]);
+    assert.deepStrictEqual(plain(Array.prototype.map.call(variants.artboards, (artboard) => artboard.artboardRect)),
+        [[0, 0, 16, -16], [36, 0, 60, -24], [80, 0, 112, -16]]);
+    assert.deepStrictEqual(plain(Array.prototype.map.call(variants.artboards, (artboard) => artboard.name)), ['icon-16', 'icon-24', 'icon-32']);
+    assert.deepStrictEqual(plain(Array.prototype.map.call(variants.pageItems, (item) => item.geometricBounds)),
+        [[0, 0, 16, -16], [36, 0, 60, -24], [80, 0, 96, -16]]);
+
+    const docs = CSTasks.createSizeVariants(doc, 0, [16, 32], {documents: true, colorspace: host.globals.DocumentColorSpace.CMYK, name: '{name}@{width}x{height}'});
+    assert.strictEqual(docs.length, 2);
+    assert.strictEqual(docs[1].documentColorSpace, 'DocumentColorSpace.CMYK');
+    assert.strictEqual(docs[1].artboards[0].name, 'icon@32x32');
+    assert.deepStrictEqual(plain(docs[1].pageItems[0].geometricBounds.map(Math.round)), [0, 0, 32, -32]);
+});
+
+test('createSizeVariants scales locked objects and keeps them locked', () => {
+    const {CSTasks, doc} = setup();
+    doc.artboards[0].artboardRect = [0, 0, 48, -48];
+    rect(doc, 0, 0, 48, 48).locked = true;
+    const [variants] = CSTasks.createSizeVariants(doc, 0, [16]);
+    assert.strictEqual(variants.pageItems[0].locked, true);
+    assert.deepStrictEqual(plain(variants.pageItems[0].geometricBounds), [0, 0, 16, -16]);
+});
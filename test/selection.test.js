@@ -0,0 +1,145 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {setup, rect, plain} = require('./mock-illustrator');
+
+function names(items){
+    return plain(Array.prototype.map.call(items, (item) => item.name));
+}
+
+test('selectEverything selects unlocked visible objects inside groups, and compound paths as a whole', () => {
+    const {CSTasks, doc} = setup();
+    const layer = doc.layers[0];
+    const group = layer.groupItems.add();
+    const a = rect(group, 0, 0, 10, 10);
+    a.name = 'a';
+    const compound = layer.compoundPathItems.add();
+    compound.name = 'compound';
+    compound.pathItems.rectangle(0, 0, 10, 10);
+    const locked = rect(layer, 0, 0, 10, 10);
+    locked.locked = true;
+    const hidden = rect(layer, 0, 0, 10, 10);
+    hidden.hidden = true;
+    const other = doc.layers.add();
+    other.locked = true;
+    rect(other, 0, 0, 10, 10);
+
+    assert.deepStrictEqual(names(CSTasks.selectEverything(doc)).sort(), ['a', 'compound']);
+});
+
+test('selectContentsOnArtboard selects objects on the artboard and alerts for a missing artboard', () => {
+    const {CSTasks, doc, host} = setup();
+    doc.artboards.add([1000, 0, 1100, -100]);
+    const on = rect(doc, 1010, -10, 20, 20);
+    on.name = 'on';
+    rect(doc, 10, 700, 20, 20).name = 'off';
+    assert.deepStrictEqual(names(CSTasks.selectContentsOnArtboard(doc, 1)), ['on']);
+    assert.strictEqual(CSTasks.selectContentsOnArtboard(doc, 5).length, 0);
+    assert.deepStrictEqual(host.alerts, ['There is no artboard with the index 5']);
+});
+
+test('groupSelection keeps stacking order and groups compound path members with their compound path', () => {
+    const {CSTasks, doc} = setup();
+    const layer = doc.layers[0];
+    const bottom = rect(layer, 0, 0, 10, 10);
+    bottom.name = 'bottom';
+    const compound = layer.compoundPathItems.add();
+    compound.name = 'compound';
+    const member = compound.pathItems.rectangle(0, 0, 10, 10);
+    const top = rect(layer, 0, 0, 10, 10);
+    top.name = 'top';
+
+    const group = CSTasks.groupSelection(doc, [top, member, bottom]);
+    assert.deepStrictEqual(names(group.pageItems), ['top', 'compound', 'bottom']);
+    assert.strictEqual(member.parent, compound);
+});
+
+test('ungroupOnce moves the contents in front of the group, in order, and removes the group', () => {
+    const {CSTasks, doc} = setup();
+    const layer = doc.layers[0];
+    rect(layer, 0, 0, 10, 10).name = 'below';
+    const group = layer.groupItems.add();
+    const inner = group.groupItems.add();
+    inner.name = 'inner';
+    rect(group, 0, 0, 10, 10).name = 'a';
+    rect(layer, 0, 0, 10, 10).name = 'above';
+
+    CSTasks.ungroupOnce(group);
+    assert.deepStrictEqual(names(layer.pageItems), ['above', 'a', 'inner', 'below']);
+});
+
+test('ungroupAll flattens nested groups, keeps compound paths and clipping groups unless asked to release them', () => {
+    const {CSTasks, doc} = setup();
+    const layer = doc.layers[0];
+    const outer = layer.groupItems.add();
+    const nested = outer.groupItems.add();
+    const compound = nested.compoundPathItems.add();
+    compound.name = 'compound';
+    compound.pathItems.rectangle(0, 0, 10, 10);
+    const clip = outer.groupItems.add();
+    clip.name = 'clip';
+    rect(clip, 0, 0, 50, 50).name = 'art';
+    const mask = rect(clip, 0, 0, 10, 10);
+    mask.name = 'mask';
+    mask.clipping = true;
+    clip.clipped = true;
+
+    let report = CSTasks.ungroupAll(doc);
+    assert.deepStrictEqual(plain({ungrouped: report.ungrouped, released: report.released}), {ungrouped: 2, released: 0});
+    assert.deepStrictEqual(names(layer.pageItems), ['clip', 'compound']);
+
+    report = CSTasks.ungroupAll(layer, {clipping: 'release', removeMasks: true});
+    assert.strictEqual(report.released, 1);
+    assert.deepStrictEqual(names(layer.pageItems), ['art', 'compound']);
+});
+
+test('ungroupAll skips locked groups unless unlock is set, then relocks', () => {
+    const {CSTasks, doc} = setup();
+    const layer = doc.layers[0];
+    const group = layer.groupItems.add();
+    rect(group, 0, 0, 10, 10).name = 'a';
+    layer.locked = true;
+
+    let report = CSTasks.ungroupAll(doc);
+    assert.strictEqual(report.ungrouped, 0);
+    assert.strictEqual(report.skipped[0], group);
+
+    report = CSTasks.ungroupAll(doc, {unlock: true});
+    assert.strictEqual(report.ungrouped, 1);
+    assert.strictEqual(layer.locked, true);
+    assert.deepStrictEqual(names(layer.pageItems), ['a']);
+});
+
+test('clearArtboard deletes unlocked visible objects on the artboard and reports what it skipped', () => {
+    const {CSTasks, doc} = setup();
+    const layer = doc.layers[0];
+    const keep = rect(layer, 10, 700, 10, 10);
+    keep.name = 'keep';
+    keep.locked = true;
+    rect(layer, 20, 700, 10, 10).name = 'gone';
+    rect(layer, 2000, 700, 10, 10).name = 'elsewhere';
+
+    let report = CSTasks.clearArtboard(doc, 0);
+    assert.deepStrictEqual(plain(report.touched), ['Layer 1/gone']);
+    assert.strictEqual(report.skipped[0], keep);
+    assert.deepStrictEqual(names(layer.pageItems), ['elsewhere', 'keep']);
+
+    report = CSTasks.clearArtboard(doc, 0, {unlock: true});
+    assert.deepStrictEqual(plain(report.touched), ['Layer 1/keep']);
+    assert.deepStrictEqual(names(layer.pageItems), ['elsewhere']);
+    assert.strictEqual(layer.locked, false);
+});
+
+test('clearArtboard throws a MissingArtboardError for a missing artboard', () => {
+    const {CSTasks, doc} = setup();
+    assert.throws(() => CSTasks.clearArtboard(doc, 2), {name: 'MissingArtboardError'});
+});
+
+test('ungroupOnce throws a LockedTargetError for a locked group', () => {
+    const {CSTasks, doc} = setup();
+    const group = doc.groupItems.add();
+    rect(group, 0, 0, 10, 10);
+    doc.layers[0].locked = true;
+    assert.throws(() => CSTasks.ungroupOnce(group), {name: 'LockedTargetError'});
+});
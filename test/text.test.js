@@ -0,0 +1,111 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {setup, plain} = require('./mock-illustrator');
+
+test('setFont sets an installed font and alerts for a missing one', () => {
+    const {CSTasks, doc, host} = setup();
+    const frame = doc.textFrames.add();
+    CSTasks.setFont(frame, 'Helvetica-Bold');
+    assert.strictEqual(frame.textRange.characterAttributes.textFont.name, 'Helvetica-Bold');
+    CSTasks.setFont(frame, 'NoSuchFont');
+    assert.strictEqual(frame.textRange.characterAttributes.textFont.name, 'Helvetica-Bold');
+    assert.strictEqual(host.alerts.length, 1);
+    assert.match(host.alerts[0], /NoSuchFont/);
+});
+
+test('createTextFrame adds text at a position and size', () => {
+    const {CSTasks, doc} = setup();
+    CSTasks.createTextFrame(doc, 'Hello', [10, 20], 18);
+    const frame = doc.textFrames[0];
+    assert.strictEqual(frame.contents, 'Hello');
+    assert.strictEqual(frame.left, 10);
+    assert.strictEqual(frame.top, 20);
+    assert.strictEqual(frame.textRange.characterAttributes.size, 18);
+});
+
+test('findFont looks fonts up by name or family and style, with fallbacks', () => {
+    const {CSTasks, host} = setup();
+    assert.strictEqual(CSTasks.findFont('Helvetica-Bold').name, 'Helvetica-Bold');
+    assert.strictEqual(CSTasks.findFont({family: 'arial', style: 'bold'}).name, 'Arial-BoldMT');
+    assert.strictEqual(CSTasks.findFont({family: 'Myriad Pro'}).name, 'MyriadPro-Regular');
+    assert.strictEqual(CSTasks.findFont({family: 'Gotham', style: 'Bold'}, ['NoSuchFont', {family: 'Helvetica', style: 'Bold'}]).name, 'Helvetica-Bold');
+    assert.strictEqual(CSTasks.findFont('Gotham-Bold', ['NoSuchFont']), null);
+    host.fonts.push({typename: 'TextFont', name: 'Gotham-Bold', family: 'Gotham', style: 'Bold'});
+    assert.strictEqual(CSTasks.findFont('Gotham-Bold').family, 'Gotham');
+});
+
+test('setFont uses fallbacks and names every font it tried when none is installed', () => {
+    const {CSTasks, doc, host} = setup();
+    const frame = doc.textFrames.add();
+    assert.strictEqual(CSTasks.setFont(frame, {family: 'Gotham', style: 'Bold'}, ['Arial-BoldMT']).name, 'Arial-BoldMT');
+    assert.strictEqual(CSTasks.setFont(frame, 'Gotham-Bold', [{family: 'Gotham'}]), null);
+    assert.strictEqual(frame.textRange.characterAttributes.textFont.name, 'Arial-BoldMT');
+    assert.match(host.alerts[0], /Gotham-Bold, Gotham Regular/);
+});
+
+test('createTextFrame applies a style and returns the frame, as point or area text', () => {
+    const {CSTasks, doc, host, g} = setup();
+    const red = host.rgb(255, 0, 0);
+    const frame = CSTasks.createTextFrame(doc, 'Label', [10, 20], {font: {family: 'Helvetica', style: 'Bold'}, size: 18,
+        leading: 20, tracking: 50, color: red, justification: 'center'});
+    const attributes = frame.textRange.characterAttributes;
+    assert.strictEqual(frame.kind, 'TextType.POINTTEXT');
+    assert.deepStrictEqual(plain([frame.left, frame.top]), [10, 20]);
+    assert.deepStrictEqual(plain([attributes.textFont.name, attributes.size, attributes.leading, attributes.autoLeading, attributes.tracking]),
+        ['Helvetica-Bold', 18, 20, false, 50]);
+    assert.strictEqual(attributes.fillColor.red, 255);
+    assert.strictEqual(frame.textRange.paragraphAttributes.justification, g.Justification.CENTER);
+
+    const area = CSTasks.createTextFrame(doc, 'Wrapped text', [0, 100], {area: [200, 50], justification: 'full', leading: 'auto'});
+    assert.strictEqual(area.kind, 'TextType.AREATEXT');
+    assert.deepStrictEqual(plain(area.geometricBounds), [0, 100, 200, 50]);
+    assert.strictEqual(area.textRange.characterAttributes.autoLeading, true);
+    assert.strictEqual(area.textRange.paragraphAttributes.justification, g.Justification.FULLJUSTIFYLASTLINELEFT);
+});
+
+test('substituteText fills in variables and skips locked frames', () => {
+    const {CSTasks, doc} = setup();
+    const title = CSTasks.createTextFrame(doc, '{name} ({size}px) {unknown}', [0, 0], 12);
+    const plainText = CSTasks.createTextFrame(doc, 'No variables', [0, 0], 12);
+    const locked = CSTasks.createTextFrame(doc, '{name}', [0, 0], 12);
+    locked.locked = true;
+
+    let report = CSTasks.substituteText(doc, {name: 'Home', size: 24});
+    assert.strictEqual(title.contents, 'Home (24px) {unknown}');
+    assert.strictEqual(plainText.contents, 'No variables');
+    assert.strictEqual(report.touched.length, 1);
+    assert.strictEqual(report.skipped[0], locked);
+
+    report = CSTasks.substituteText([locked], {name: 'Home'}, {unlock: true});
+    assert.strictEqual(locked.contents, 'Home');
+    assert.strictEqual(locked.locked, true);
+});
+
+test('substituteText keeps the formatting of a frame with several styles', () => {
+    const {CSTasks, doc} = setup();
+    const frame = CSTasks.createTextFrame(doc, 'Hi {name}, welcome', [0, 0], 12);
+    const bold = frame.characters[3];
+    bold.length = 6;
+    bold.characterAttributes.size = 20;
+
+    CSTasks.substituteText(doc, {name: 'Alexandra'});
+    assert.strictEqual(frame.contents, 'Hi Alexandra, welcome');
+    const sizes = [];
+    for (let i = 0; i < frame.characters.length; i++) sizes.push(frame.characters[i].characterAttributes.size);
+    assert.deepStrictEqual(sizes.slice(0, 3), [12, 12, 12]);
+    assert.deepStrictEqual(sizes.slice(3, 12), [20, 20, 20, 20, 20, 20, 20, 20, 20]);
+    assert.deepStrictEqual(sizes.slice(12), [12, 12, 12, 12, 12, 12, 12, 12, 12]);
+});
+
+test('outlineText replaces text frames with outlines', () => {
+    const {CSTasks, doc} = setup();
+    CSTasks.createTextFrame(doc, 'One', [0, 0], 12);
+    const hidden = CSTasks.createTextFrame(doc, 'Two', [0, 0], 12);
+    hidden.hidden = true;
+    const report = CSTasks.outlineText(doc);
+    assert.strictEqual(report.touched[0].typename, 'GroupItem');
+    assert.strictEqual(report.skipped[0], hidden);
+    assert.strictEqual(doc.textFrames.length, 1);
+});
@@ -0,0 +1,124 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {setup, rect, plain} = require('./mock-illustrator');
+
+//Layer 1: [group: [path a, compound: [path b]], path c], sublayer Inner: [path d]
+function buildTree(){
+    const env = setup();
+    const layer = env.doc.layers[0];
+    const inner = layer.layers.add();
+    inner.name = 'Inner';
+    const d = rect(inner, 0, 0, 10, 10);
+    d.name = 'd';
+    const c = rect(layer, 0, 0, 10, 10);
+    c.name = 'c';
+    const group = layer.groupItems.add();
+    group.name = 'group';
+    const compound = group.compoundPathItems.add();
+    const b = compound.pathItems.rectangle(0, 0, 10, 10);
+    b.name = 'b';
+    const a = rect(group, 0, 0, 10, 10);
+    a.name = 'a';
+    return Object.assign(env, {layer, inner, group, compound, a, b, c, d});
+}
+
+test('walk visits layers, groups and compound paths in order, objects before sublayers', () => {
+    const {CSTasks, doc} = buildTree();
+    const visited = [];
+    CSTasks.walk(doc, (item, info) => { visited.push(info.type + ':' + info.depth); });
+    assert.deepStrictEqual(visited, ['Layer:0', 'GroupItem:1', 'PathItem:2', 'CompoundPathItem:2', 'PathItem:3',
+        'PathItem:1', 'Layer:1', 'PathItem:2']);
+});
+
+test('walk skips the contents of an object when the visitor returns false', () => {
+    const {CSTasks, doc} = buildTree();
+    const visited = [];
+    CSTasks.walk(doc, (item, info) => {
+        visited.push(info.type);
+        return info.type != 'GroupItem';
+    });
+    assert.deepStrictEqual(visited, ['Layer', 'GroupItem', 'PathItem', 'Layer', 'PathItem']);
+});
+
+test('walk filters by typename, array of typenames or function but still walks through containers', () => {
+    const {CSTasks, doc, a, b, c, d, group} = buildTree();
+    assert.deepStrictEqual(plain(CSTasks.getItems(doc, 'PathItem').map((item) => item.name)), ['a', 'b', 'c', 'd']);
+    assert.deepStrictEqual(plain(CSTasks.getItems(doc, ['GroupItem', 'Layer']).map((item) => item.name)), ['Layer 1', 'group', 'Inner']);
+    const found = CSTasks.getItems(doc, (item) => item.name == 'd');
+    assert.strictEqual(found.length, 1);
+    assert.strictEqual(found[0], d);
+    assert.ok(CSTasks.getItems(doc).includes(a) && CSTasks.getItems(doc).includes(b) && CSTasks.getItems(doc).includes(c));
+    assert.ok(CSTasks.getItems(doc).includes(group));
+});
+
+test('walk reports inherited locked and hidden state, layer and parent', () => {
+    const {CSTasks, doc, layer, inner, group, compound, b, d} = buildTree();
+    group.locked = true;
+    inner.visible = false;
+    const infos = new Map();
+    CSTasks.walk(doc, (item, info) => { infos.set(item, info); });
+    assert.strictEqual(infos.get(b).locked, true);
+    assert.strictEqual(infos.get(b).hidden, false);
+    assert.strictEqual(infos.get(b).layer, layer);
+    assert.strictEqual(infos.get(b).parent, compound);
+    assert.strictEqual(infos.get(d).hidden, true);
+    assert.strictEqual(infos.get(d).layer, inner);
+});
+
+test('walk accepts a group, a layer or an array of objects as the container', () => {
+    const {CSTasks, group, inner, a, c, layer} = buildTree();
+    assert.deepStrictEqual(plain(CSTasks.getItems(group, 'PathItem').map((item) => item.name)), ['a', 'b']);
+    assert.deepStrictEqual(plain(CSTasks.getItems(inner).map((item) => item.name)), ['d']);
+    layer.locked = true;
+    const infos = [];
+    CSTasks.walk([c, a], (item, info) => { infos.push([item.name, info.depth, info.locked]); });
+    assert.deepStrictEqual(infos, [['c', 0, true], ['a', 0, true]]);
+});
+
+test('unlockContents unlocks and shows contents and ancestors, and restoreContents puts them back', () => {
+    const {CSTasks, layer, inner, group, a, d} = buildTree();
+    layer.locked = true;
+    group.locked = true;
+    inner.visible = false;
+    d.hidden = true;
+    const state = CSTasks.unlockContents(group);
+    assert.strictEqual(layer.locked, false);
+    assert.strictEqual(group.locked, false);
+    assert.strictEqual(inner.visible, false, 'only the group and what contains it are changed');
+    assert.strictEqual(state.length, 2);
+    assert.strictEqual(state[0].target, layer);
+    assert.strictEqual(state[1].target, group);
+    CSTasks.restoreContents(state);
+    assert.strictEqual(layer.locked, true);
+    assert.strictEqual(group.locked, true);
+
+    const docState = CSTasks.unlockContents(layer.parent, {unhide: true});
+    assert.strictEqual(inner.visible, true);
+    assert.strictEqual(d.hidden, false);
+    assert.strictEqual(layer.locked, true, 'unlock was not asked for');
+    CSTasks.restoreContents(docState);
+    assert.strictEqual(inner.visible, false);
+    assert.strictEqual(d.hidden, true);
+});
+
+test('unlockContents records each layer and object once when objects share ancestors or contain each other', () => {
+    const {CSTasks, layer, group, a, c} = buildTree();
+    layer.locked = true;
+    group.locked = true;
+    a.locked = true;
+    c.hidden = true;
+    const state = CSTasks.unlockContents([a, c, group]);
+    assert.deepStrictEqual(plain(state.map((entry) => entry.target.name)), ['Layer 1', 'group', 'a', 'c']);
+    CSTasks.restoreContents(state);
+    assert.deepStrictEqual([layer.locked, group.locked, a.locked, c.hidden], [true, true, true, true]);
+});
+
+test('restoreContents ignores objects deleted while they were unlocked', () => {
+    const {CSTasks, doc, c} = buildTree();
+    c.locked = true;
+    const state = CSTasks.unlockContents(doc);
+    c.remove();
+    assert.doesNotThrow(() => CSTasks.restoreContents(state));
+});
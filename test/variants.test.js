@@ -0,0 +1,98 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {setup, rect, plain} = require('./mock-illustrator');
+
+function master(){
+    const env = setup();
+    const {CSTasks, doc, host, g} = env;
+    doc.name = 'logo.ai';
+    doc.artboards[0].artboardRect = [0, 0, 100, -100];
+    doc.artboards[0].name = 'Icon';
+    rect(doc, 10, -10, 80, 80, host.rgb(0, 0, 255));
+    CSTasks.createTextFrame(doc, '{title}', [10, -50], 12);
+    new g.Folder('/out').create();
+    env.palette = CSTasks.createPalette([{name: 'Blue', hex: '#0000FF'}, {name: 'Red', hex: '#FF0000'}]);
+    return env;
+}
+
+test('generateVariants makes and exports a document for each row, then closes it', () => {
+    const {CSTasks, doc, host, g, palette} = master();
+    const rows = [
+        {name: 'home', text: {title: 'Home'}, colors: {Blue: 'Red'}, export: {format: 'svg'}},
+        {name: 'about', text: {title: 'About'}, exports: [{format: 'png', scale: '200'}], folder: 'pages'}
+    ];
+    const results = CSTasks.generateVariants(doc, rows, new g.Folder('/out'), {palette: palette});
+    assert.deepStrictEqual(plain(results.map((result) => result.files.map((file) => file.fsName))),
+        [['/out/home_Icon_100.svg'], ['/out/pages/about_Icon_200.png']]);
+    assert.strictEqual(results[0].document, undefined);
+    assert.strictEqual(host.documents.length, 1);
+    assert.strictEqual(doc.textFrames[0].contents, '{title}');
+    assert.strictEqual(doc.pathItems[0].fillColor.blue, 255);
+});
+
+test('generateVariants can put the variants on artboards in one document', () => {
+    const {CSTasks, doc, host, g, palette} = master();
+    const rows = [{name: 'home', text: {title: 'Home'}, colors: {Blue: '#00FF00'}}, {text: {title: 'About'}, artboard: 'Icon'}];
+    const results = CSTasks.generateVariants(doc, rows, new g.Folder('/out'), {mode: 'artboards', palette: palette, name: '{docName}-{variant}'});
+    const variants = results[0].document;
+    assert.strictEqual(results[1].document, variants);
+    assert.deepStrictEqual(plain(results.map((result) => result.artboard)), [0, 1]);
+    assert.deepStrictEqual(plain(Array.prototype.map.call(variants.artboards, (artboard) => [artboard.name, artboard.artboardRect])),
+        [['home', [0, 0, 100, -100]], ['variant-2', [120, 0, 220, -100]]]);
+    assert.deepStrictEqual(plain(Array.prototype.map.call(variants.textFrames, (frame) => frame.contents).sort()), ['About', 'Home']);
+    const green = Array.prototype.filter.call(variants.pathItems, (item) => item.fillColor.green == 255);
+    assert.strictEqual(green.length, 1);
+    assert.strictEqual(green[0].left, 10);
+    assert.deepStrictEqual(plain(results.map((result) => result.files[0].name)), ['logo-home.png', 'logo-variant-2.png']);
+    assert.strictEqual(host.documents.length, 2);
+});
+
+test('generateVariants logs a failed row and carries on', () => {
+    const {CSTasks, doc, g, host} = master();
+    CSTasks.configureLogging({loggers: [CSTasks.consoleLogger()]});
+    const results = CSTasks.generateVariants(doc, [{name: 'bad', artboard: 'Missing'}, {name: 'good'}], new g.Folder('/out'));
+    assert.strictEqual(results[0].error.name, 'MissingArtboardError');
+    assert.strictEqual(results[1].files.length, 1);
+    assert.match(host.output[0], /Variant bad failed/);
+    assert.strictEqual(host.documents.length, 1);
+});
+
+test('generateVariants takes a failed row\'s artboard and art back out in artboards mode', () => {
+    const {CSTasks, doc, g, palette} = master();
+    const rows = [{name: 'ok', text: {title: 'OK'}}, {name: 'bad', text: {title: 'Bad'}, colors: {Blue: '#zz'}}, {name: 'ok2', text: {title: 'OK 2'}}];
+    const results = CSTasks.generateVariants(doc, rows, new g.Folder('/out'), {mode: 'artboards', palette: palette});
+    assert.ok(results[1].error);
+    assert.strictEqual(results[1].artboard, undefined);
+    const variants = results[0].document;
+    assert.strictEqual(results[2].document, variants);
+    assert.deepStrictEqual(plain(results.map((result) => result.artboard)), [0, null, 1]);
+    assert.deepStrictEqual(plain(Array.prototype.map.call(variants.artboards, (artboard) => [artboard.name, artboard.artboardRect])),
+        [['ok', [0, 0, 100, -100]], ['ok2', [120, 0, 220, -100]]]);
+    assert.deepStrictEqual(plain(Array.prototype.map.call(variants.textFrames, (frame) => frame.contents).sort()), ['OK', 'OK 2']);
+    assert.strictEqual(variants.pathItems.length, 2);
+});
+
+test('generateVariants closes the artboards document when its only row fails', () => {
+    const {CSTasks, doc, g, host, palette} = master();
+    const results = CSTasks.generateVariants(doc, [{name: 'bad', colors: {Blue: '#zz'}}, {name: 'ok'}], new g.Folder('/out'), {mode: 'artboards', palette: palette});
+    assert.ok(results[0].error);
+    assert.strictEqual(results[0].document, undefined);
+    assert.strictEqual(results[1].artboard, 0);
+    assert.strictEqual(results[1].document.artboards.length, 1);
+    assert.strictEqual(host.documents.length, 2);
+});
+
+test('generateVariants keeps numeric file names from a CSV file as names, and numeric settings as numbers', () => {
+    const {CSTasks, doc, g, host} = master();
+    new g.Folder('/data').create();
+    host.files['/data/rows.csv'] = 'name,export.name,export.scale\nicon,16,200\n';
+    const manifest = CSTasks.createManifest({hash: false});
+    const results = CSTasks.generateVariants(doc, CSTasks.readDataFile(new g.File('/data/rows.csv')), new g.Folder('/out'), {manifest: manifest});
+    assert.strictEqual(results[0].error, undefined);
+    assert.deepStrictEqual(plain(results[0].files.map((file) => file.fsName)), ['/out/16.png']);
+    assert.strictEqual(manifest.entries[0].scale, 200);
+    const inline = CSTasks.generateVariants(doc, [{name: 'year', export: {name: '2024'}}], new g.Folder('/out'));
+    assert.deepStrictEqual(plain(inline[0].files.map((file) => file.fsName)), ['/out/2024.png']);
+});